@@ -0,0 +1,25 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+    {
+        ignores: ['examples/**', 'logs/**', 'server/data/**']
+    },
+    js.configs.recommended,
+    {
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'commonjs',
+            globals: globals.node
+        },
+        rules: {
+            // Rest siblings drop fields from a copy; Express error handlers need all four
+            // parameters to be recognised as error handlers
+            'no-unused-vars': ['error', {
+                caughtErrors: 'none',
+                ignoreRestSiblings: true,
+                argsIgnorePattern: '^next$'
+            }]
+        }
+    }
+];
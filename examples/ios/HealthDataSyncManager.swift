@@ -27,6 +27,7 @@ struct SyncDataResponse: Codable {
     let success: Bool
     let data: [HealthDataRecord]
     let pagination: PaginationInfo
+    let ackToken: String?
     let lastSyncTimestamp: Int64
     let timestamp: String
 }
@@ -46,6 +47,7 @@ struct PaginationInfo: Codable {
     let limit: Int
     let offset: Int
     let hasMore: Bool
+    let nextCursor: String?
 }
 
 struct DeviceRegistration: Codable {
@@ -218,23 +220,37 @@ class HealthDataSyncManager: NSObject {
         }
         
         do {
-            let lastSyncTimestamp = getLastSyncTimestamp()
-            let url = URL(string: "\(serverURL)/api/v1/sync/data/\(deviceId)?since=\(lastSyncTimestamp)")!
+            // The server remembers how far we got through acknowledgements, so a pull without
+            // a cursor resumes after the last page we confirmed
+            var cursor: String? = nil
+            var savedCount = 0
             
-            let (data, response) = try await session.data(from: url)
-            
-            guard let httpResponse = response as? HTTPURLResponse,
-                  httpResponse.statusCode == 200 else {
-                return .httpError(httpResponse?.statusCode ?? 0)
-            }
-            
-            let syncResponse = try JSONDecoder().decode(SyncDataResponse.self, from: data)
-            
-            // Process and save health data to HealthKit
-            let savedCount = await saveHealthDataToHealthKit(syncResponse.data)
-            
-            // Update last sync timestamp
-            updateLastSyncTimestamp(syncResponse.lastSyncTimestamp)
+            repeat {
+                var components = URLComponents(string: "\(serverURL)/api/v1/sync/data/\(deviceId)")!
+                if let cursor = cursor {
+                    components.queryItems = [URLQueryItem(name: "cursor", value: cursor)]
+                }
+                
+                let (data, response) = try await session.data(from: components.url!)
+                
+                guard let httpResponse = response as? HTTPURLResponse,
+                      httpResponse.statusCode == 200 else {
+                    return .httpError((response as? HTTPURLResponse)?.statusCode ?? 0)
+                }
+                
+                let syncResponse = try JSONDecoder().decode(SyncDataResponse.self, from: data)
+                
+                // Process and save health data to HealthKit
+                savedCount += await saveHealthDataToHealthKit(syncResponse.data)
+                
+                // Acknowledge the page only once it is in HealthKit - if the app is killed
+                // before this point the server delivers the page again
+                if let ackToken = syncResponse.ackToken {
+                    try await acknowledgePage(ackToken, serverURL: serverURL)
+                }
+                
+                cursor = syncResponse.pagination.hasMore ? syncResponse.pagination.nextCursor : nil
+            } while cursor != nil
             
             print("Synced \(savedCount) records from server")
             return .success(savedCount)
@@ -245,6 +261,18 @@ class HealthDataSyncManager: NSObject {
         }
     }
     
+    private func acknowledgePage(_ ackToken: String, serverURL: String) async throws {
+        var request = URLRequest(url: URL(string: "\(serverURL)/api/v1/sync/ack/\(deviceId)")!)
+        request.httpMethod = "POST"
+        request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        request.httpBody = try JSONEncoder().encode(["ackToken": ackToken])
+        
+        let (_, response) = try await session.data(for: request)
+        guard let httpResponse = response as? HTTPURLResponse, httpResponse.statusCode == 200 else {
+            throw URLError(.badServerResponse)
+        }
+    }
+    
     // MARK: - Save to HealthKit
     
     private func saveHealthDataToHealthKit(_ records: [HealthDataRecord]) async -> Int {
@@ -374,16 +402,6 @@ class HealthDataSyncManager: NSObject {
         return .bluetoothNotImplemented
     }
     
-    // MARK: - Timestamp Management
-    
-    private func getLastSyncTimestamp() -> Int64 {
-        return UserDefaults.standard.object(forKey: "lastSyncTimestamp") as? Int64 ?? 0
-    }
-    
-    private func updateLastSyncTimestamp(_ timestamp: Int64) {
-        UserDefaults.standard.set(timestamp, forKey: "lastSyncTimestamp")
-    }
-    
     // MARK: - Periodic Sync
     
     func startPeriodicSync(interval: TimeInterval = 300) { // 5 minutes default
@@ -3,7 +3,9 @@
 
 package com.example.galaxywatchsync
 
+import java.io.ByteArrayOutputStream
 import java.util.concurrent.TimeUnit
+import java.util.zip.GZIPOutputStream
 import kotlinx.coroutines.*
 import kotlinx.serialization.Serializable
 import kotlinx.serialization.json.Json
@@ -13,6 +15,8 @@ import okhttp3.RequestBody.Companion.toRequestBody
 
 @Serializable
 data class HealthRecord(
+        // Stable per-record ID so the server can recognise records resent after a failed sync
+        val clientRecordId: String? = null,
         val timestamp: Long,
         val value: Double,
         val unit: String? = null,
@@ -37,7 +41,13 @@ data class SyncResponse(
         val timestamp: String
 )
 
-@Serializable data class ProcessedData(val total: Int, val inserted: Int, val errors: Int)
+@Serializable
+data class ProcessedData(
+        val total: Int,
+        val inserted: Int,
+        val duplicates: Int = 0,
+        val rejected: Int = 0
+)
 
 @Serializable data class ErrorInfo(val index: Int, val error: String)
 
@@ -143,6 +153,7 @@ class HealthDataSyncManager(private val context: Context) {
                     val healthRecords =
                             heartRateRecords.map { record ->
                                 HealthRecord(
+                                        clientRecordId = "$deviceId:heart_rate:${record.timestamp}",
                                         timestamp = record.timestamp,
                                         value = record.beatsPerMinute.toDouble(),
                                         unit = "bpm",
@@ -168,11 +179,8 @@ class HealthDataSyncManager(private val context: Context) {
                     val request =
                             Request.Builder()
                                     .url("$serverUrl/api/v1/health-data")
-                                    .post(
-                                            requestJson.toRequestBody(
-                                                    "application/json".toMediaType()
-                                            )
-                                    )
+                                    .header("Content-Encoding", "gzip")
+                                    .post(gzipJsonBody(requestJson))
                                     .build()
 
                     client.newCall(request).execute().use { response ->
@@ -180,9 +188,11 @@ class HealthDataSyncManager(private val context: Context) {
 
                         if (response.isSuccessful && responseBody != null) {
                             val syncResponse = json.decodeFromString<SyncResponse>(responseBody)
+                            // Records resent after a dropped connection come back as duplicates
                             Log.i(
                                     "HealthSync",
-                                    "Sync successful: ${syncResponse.processed?.inserted} records"
+                                    "Sync successful: ${syncResponse.processed?.inserted} records, " +
+                                            "${syncResponse.processed?.duplicates} already stored"
                             )
 
                             // Update last sync timestamp
@@ -211,6 +221,7 @@ class HealthDataSyncManager(private val context: Context) {
                     val healthRecords =
                             stepRecords.map { record ->
                                 HealthRecord(
+                                        clientRecordId = "$deviceId:steps:${record.timestamp}",
                                         timestamp = record.timestamp,
                                         value = record.steps.toDouble(),
                                         unit = "steps",
@@ -236,11 +247,8 @@ class HealthDataSyncManager(private val context: Context) {
                     val request =
                             Request.Builder()
                                     .url("$serverUrl/api/v1/health-data")
-                                    .post(
-                                            requestJson.toRequestBody(
-                                                    "application/json".toMediaType()
-                                            )
-                                    )
+                                    .header("Content-Encoding", "gzip")
+                                    .post(gzipJsonBody(requestJson))
                                     .build()
 
                     client.newCall(request).execute().use { response ->
@@ -276,6 +284,13 @@ class HealthDataSyncManager(private val context: Context) {
         return SyncResult.BluetoothNotImplemented
     }
 
+    /** Gzip a JSON request body - batches shrink several times over, saving radio time */
+    private fun gzipJsonBody(requestJson: String): RequestBody {
+        val buffer = ByteArrayOutputStream()
+        GZIPOutputStream(buffer).use { it.write(requestJson.toByteArray(Charsets.UTF_8)) }
+        return buffer.toByteArray().toRequestBody("application/json".toMediaType())
+    }
+
     /** Check network connectivity */
     private fun isNetworkAvailable(): Boolean {
         val connectivityManager =
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Restore the health database from a snapshot.
+ *
+ *   npm run restore                     List the snapshots in the backup directory
+ *   npm run restore -- <snapshot>       Restore a snapshot, by name or path
+ *   npm run restore -- --decrypt <file> [output]
+ *                                       Decrypt an encrypted backup file without restoring it
+ *
+ * Stop the server first. The snapshot is integrity-checked before the database is replaced,
+ * and the database it replaces is copied into the backup directory. Encrypted backups need the
+ * key they were written with in ENCRYPTION_KEY or ENCRYPTION_PREVIOUS_KEYS.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { backupDirectory, listSnapshots, restoreSnapshot } = require('../server/database/backups');
+const { decryptFile } = require('../server/utils/encryption');
+const config = require('../server/config/config');
+
+// Whether a server answers on the configured port - restoring under it would corrupt the database
+function serverIsRunning() {
+    return new Promise((resolve) => {
+        const request = http.get({ host: '127.0.0.1', port: config.server.port, path: '/health', timeout: 1000 }, (res) => {
+            res.resume();
+            resolve(true);
+        });
+        request.on('timeout', () => request.destroy());
+        request.on('error', () => resolve(false));
+    });
+}
+
+async function main() {
+    const snapshot = process.argv[2];
+
+    if (snapshot === '--decrypt') {
+        const [source, output] = process.argv.slice(3);
+        if (!source) throw new Error('Usage: npm run restore -- --decrypt <file> [output]');
+
+        const target = output || (source.endsWith('.enc') ? source.slice(0, -'.enc'.length) : `${source}.decrypted`);
+        if (fs.existsSync(target)) throw new Error(`${target} already exists`);
+
+        await decryptFile(source, target);
+        console.log(`Decrypted ${source} to ${target}`);
+        return;
+    }
+
+    if (!snapshot) {
+        const snapshots = await listSnapshots();
+        console.log(`Snapshots in ${backupDirectory()}:`);
+        if (snapshots.length === 0) console.log('  (none)');
+        for (const { name, sizeBytes, createdAt } of snapshots) {
+            console.log(`  ${name}  ${createdAt}  ${sizeBytes} bytes`);
+        }
+        console.log('\nRestore one with: npm run restore -- <snapshot>');
+        return;
+    }
+
+    if (await serverIsRunning()) {
+        throw new Error(`The server is running on port ${config.server.port} - stop it before restoring`);
+    }
+
+    const { restoredFrom, schemaVersion, previousCopy } = await restoreSnapshot(snapshot);
+    console.log(`Restored ${config.database.path} from ${restoredFrom} (schema version ${schemaVersion})`);
+    if (previousCopy) {
+        console.log(`The database it replaced was copied to ${previousCopy}`);
+    }
+    console.log('Start the server to bring the schema up to date if the snapshot is older.');
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -3,19 +3,33 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
-const fs = require('fs');
 const http = require('http');
 const WebSocket = require('ws');
 
 // Import custom modules
 const healthDataRoutes = require('./routes/healthData');
 const syncRoutes = require('./routes/sync');
+const uploadRoutes = require('./routes/uploads'); // Chunked upload sessions
 const bluetoothRoutes = require('./routes/bluetooth');
 const iosDataRoutes = require('./routes/iosData'); // iOS data compatibility routes
 const iosHealthRoutes = require('./routes/iosHealth'); // iOS health compatibility routes
+const iosRoutes = require('./routes/ios'); // HealthKit-native sample uploads
 const analyticsRoutes = require('./routes/analytics'); // Enhanced analytics routes
-const { initDatabase } = require('./database/init');
+const workoutRoutes = require('./routes/workouts'); // Workouts with laps and routes
+const adminRoutes = require('./routes/admin'); // Backups and other administration
+const { initDatabase, isInMemory } = require('./database/init');
+const { compactTombstones } = require('./database/tombstones');
+const { reapStaleSessions } = require('./database/syncSessions');
+const { reopenInterruptedCommits } = require('./database/uploadSessions');
+const { pruneIngestedBatches } = require('./database/ingestedBatches');
+const { applyRetention } = require('./database/retention');
+const { takeSnapshot, takeSnapshotIfDue } = require('./database/backups');
+const { runDueMaintenance } = require('./database/maintenance');
+const { refreshDownloadBacklog } = require('./database/checkpoints');
+const { reencryptStoredData } = require('./database/encryption');
 const { logger } = require('./utils/logger');
+const { decompressRequest, compressResponse } = require('./utils/compression');
+const { runHealthChecks } = require('./utils/healthCheck');
 const config = require('./config/config');
 
 class GalaxyWatchSyncServer {
@@ -77,7 +91,7 @@ class GalaxyWatchSyncServer {
             },
             credentials: true,
             methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID', 'X-Device-Type']
+            allowedHeaders: ['Content-Type', 'Content-Encoding', 'Authorization', 'X-Device-ID', 'X-Device-Type']
         }));
 
         // Request logging
@@ -88,9 +102,11 @@ class GalaxyWatchSyncServer {
             skip: (req) => req.url === '/health' || req.url === '/metrics'
         }));
 
-        // Body parsing middleware
-        this.app.use(express.json({ limit: '10mb' }));
-        this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+        // Body parsing middleware - compressed (gzip/deflate/br) JSON bodies are decoded first,
+        // with the size limit applied to the decompressed body
+        this.app.use(decompressRequest({ limit: config.server.bodyLimitBytes }));
+        this.app.use(express.json({ limit: config.server.bodyLimitBytes }));
+        this.app.use(express.urlencoded({ extended: true, limit: config.server.bodyLimitBytes }));
 
         // Serve static files for documentation
         this.app.use('/docs', express.static(path.join(__dirname, '../docs')));
@@ -109,13 +125,19 @@ class GalaxyWatchSyncServer {
     }
 
     setupRoutes() {
-        // Health check endpoint with enhanced metrics
-        this.app.get('/health', (req, res) => {
-            res.json({
-                status: 'healthy',
+        // Health check endpoint with enhanced metrics - status is ok, degraded or down (503)
+        this.app.get('/health', async (req, res) => {
+            const health = await runHealthChecks().catch((error) => {
+                logger.error('Error running health checks:', error);
+                return { status: 'down', checks: {} };
+            });
+
+            res.status(health.status === 'down' ? 503 : 200).json({
+                status: health.status,
                 timestamp: new Date().toISOString(),
                 version: require('../package.json').version,
                 uptime: process.uptime(),
+                checks: health.checks,
                 metrics: this.realtimeMetrics,
                 connections: {
                     websocket: this.clients.size,
@@ -147,13 +169,18 @@ class GalaxyWatchSyncServer {
             });
         });
 
-        // API routes
-        this.app.use('/api/v1/health-data', healthDataRoutes);
-        this.app.use('/api/v1/sync', syncRoutes);
+        // API routes - the endpoints that return bulk data (sync feeds and data exports)
+        // compress their responses when the client sends Accept-Encoding
+        this.app.use('/api/v1/health-data', compressResponse(), healthDataRoutes);
+        this.app.use('/api/v1/sync/uploads', uploadRoutes);
+        this.app.use('/api/v1/sync', compressResponse(), syncRoutes);
         this.app.use('/api/v1/bluetooth', bluetoothRoutes);
-        this.app.use('/api/v1/data', iosDataRoutes); // iOS data compatibility routes
+        this.app.use('/api/v1/data', compressResponse(), iosDataRoutes); // iOS data compatibility routes
         this.app.use('/api/v1/health', iosHealthRoutes); // iOS health compatibility routes
+        this.app.use('/api/v1/ios', iosRoutes); // HealthKit-native sample uploads
         this.app.use('/api/v1/analytics', analyticsRoutes); // Enhanced analytics routes
+        this.app.use('/api/v1/workouts', compressResponse(), workoutRoutes); // Workouts with laps and routes
+        this.app.use('/api/v1/admin', adminRoutes); // Backups and other administration
 
         // Root endpoint with API documentation
         this.app.get('/', (req, res) => {
@@ -169,7 +196,11 @@ class GalaxyWatchSyncServer {
                     api: {
                         healthData: '/api/v1/health-data',
                         sync: '/api/v1/sync',
-                        bluetooth: '/api/v1/bluetooth'
+                        uploads: '/api/v1/sync/uploads',
+                        healthKit: '/api/v1/ios',
+                        workouts: '/api/v1/workouts',
+                        bluetooth: '/api/v1/bluetooth',
+                        admin: '/api/v1/admin'
                     }
                 },
                 architecture: {
@@ -265,7 +296,7 @@ class GalaxyWatchSyncServer {
         });
 
         // Ping clients periodically to keep connections alive
-        setInterval(() => {
+        this.pingTimer = setInterval(() => {
             this.wss.clients.forEach((ws) => {
                 if (ws.isAlive === false) {
                     this.clients.delete(ws);
@@ -403,7 +434,7 @@ class GalaxyWatchSyncServer {
 
     startMetricsTracking() {
         // Reset daily counters at midnight
-        setInterval(() => {
+        this.metricsResetTimer = setInterval(() => {
             const now = new Date();
             if (now.getHours() === 0 && now.getMinutes() === 0) {
                 this.realtimeMetrics.dataPointsToday = 0;
@@ -412,7 +443,7 @@ class GalaxyWatchSyncServer {
         }, 60000); // Check every minute
 
         // Clean up inactive devices every hour
-        setInterval(() => {
+        this.inactiveDeviceTimer = setInterval(() => {
             const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
             
             for (const [deviceId, info] of this.connectedDevices.entries()) {
@@ -430,9 +461,107 @@ class GalaxyWatchSyncServer {
         }, 3600000); // Every hour
     }
 
+    startBackgroundJobs() {
+        // Drop tombstones that every device has had time to pick up
+        this.tombstoneCompactionTimer = setInterval(() => {
+            compactTombstones().catch((error) => {
+                logger.error(`Tombstone compaction failed: ${error.message}`);
+            });
+        }, config.sync.tombstoneCompactionIntervalMs);
+
+        // Forget iOS batch ids once a client would no longer retry them
+        this.batchPruneTimer = setInterval(() => {
+            pruneIngestedBatches().catch((error) => {
+                logger.error(`Pruning ingested batch ids failed: ${error.message}`);
+            });
+        }, config.sync.tombstoneCompactionIntervalMs);
+
+        // Downsample data past its type's raw retention
+        this.retentionTimer = setInterval(() => {
+            applyRetention().catch((error) => {
+                logger.error(`Applying retention policies failed: ${error.message}`);
+            });
+        }, config.healthData.retention.intervalMs);
+
+        // Bring stored data under the current encryption key after a key change
+        reencryptStoredData().catch((error) => {
+            logger.error(`Re-encrypting stored data failed: ${error.message}`);
+        });
+
+        // Snapshot the database, catching up at startup if the last snapshot is overdue. An
+        // in-memory database is not meant to outlive the process, so it is not snapshotted.
+        if (config.database.backups.enabled && !isInMemory()) {
+            takeSnapshotIfDue().catch((error) => {
+                logger.error(`Database snapshot failed: ${error.message}`);
+            });
+            this.snapshotTimer = setInterval(() => {
+                takeSnapshot().catch((error) => {
+                    logger.error(`Database snapshot failed: ${error.message}`);
+                });
+            }, config.database.backups.intervalMs);
+        }
+
+        // WAL checkpoints, ANALYZE, incremental vacuum and integrity checks, each when it is due
+        if (config.database.maintenance.enabled) {
+            const runMaintenance = () => {
+                runDueMaintenance().catch((error) => {
+                    logger.error(`Database maintenance failed: ${error.message}`);
+                });
+            };
+            runMaintenance();
+            this.maintenanceTimer = setInterval(runMaintenance, config.database.maintenance.checkIntervalMs);
+        }
+
+        // Count the sync backlog the health checks report, so probes do not have to
+        const countBacklog = () => {
+            refreshDownloadBacklog().catch((error) => {
+                logger.error(`Counting the sync backlog failed: ${error.message}`);
+            });
+        };
+        countBacklog();
+        this.backlogTimer = setInterval(countBacklog, config.healthChecks.backlogRefreshIntervalMs);
+
+        // Upload commits cut short by the last shutdown stored nothing; let their clients retry
+        reopenInterruptedCommits()
+            .then((reopened) => {
+                if (reopened > 0) {
+                    logger.warn(`Reopened ${reopened} upload session(s) whose commit was interrupted`);
+                }
+            })
+            .catch((error) => {
+                logger.error(`Reopening interrupted upload commits failed: ${error.message}`);
+            });
+
+        // Fail sync sessions that were started and then abandoned
+        this.sessionReaperTimer = setInterval(() => {
+            reapStaleSessions()
+                .then((reaped) => {
+                    for (const session of reaped) {
+                        logger.warn(`Sync session ${session.id} (${session.deviceId}) failed: ${session.reason}`);
+                    }
+                })
+                .catch((error) => {
+                    logger.error(`Sync session reaper failed: ${error.message}`);
+                });
+        }, config.sync.sessionReapIntervalMs);
+    }
+
     setupErrorHandling() {
         // Global error handler
         this.app.use((err, req, res, next) => {
+            // Client errors raised by middleware (body too large, malformed or unsupported
+            // encoding) keep their status
+            const status = err.status || err.statusCode;
+            if (status >= 400 && status < 500) {
+                logger.warn(`Rejected request to ${req.path}: ${err.message}`);
+                return res.status(status).json({
+                    error: err.message,
+                    type: err.type,
+                    timestamp: new Date().toISOString(),
+                    path: req.path
+                });
+            }
+            
             logger.error(`Unhandled error: ${err.message}`, err);
             
             res.status(500).json({
@@ -459,6 +588,8 @@ class GalaxyWatchSyncServer {
             await initDatabase();
             logger.info('Database initialized successfully');
 
+            this.startBackgroundJobs();
+
             const port = config.server.port;
             const host = config.server.host;
 
@@ -480,6 +611,17 @@ class GalaxyWatchSyncServer {
         return new Promise((resolve) => {
             logger.info('Shutting down server...');
             
+            clearInterval(this.tombstoneCompactionTimer);
+            clearInterval(this.sessionReaperTimer);
+            clearInterval(this.batchPruneTimer);
+            clearInterval(this.retentionTimer);
+            clearInterval(this.snapshotTimer);
+            clearInterval(this.maintenanceTimer);
+            clearInterval(this.backlogTimer);
+            clearInterval(this.pingTimer);
+            clearInterval(this.metricsResetTimer);
+            clearInterval(this.inactiveDeviceTimer);
+            
             // Close WebSocket server
             if (this.wss) {
                 this.wss.close(() => {
@@ -5,13 +5,49 @@ const config = {
     server: {
         port: process.env.PORT || 3000,
         host: process.env.HOST || '0.0.0.0', // Bind to all interfaces for local network access
-        environment: process.env.NODE_ENV || 'development'
+        environment: process.env.NODE_ENV || 'development',
+        // Largest accepted request body, measured after any Content-Encoding is decoded
+        bodyLimitBytes: 10 * 1024 * 1024 // 10MB
+    },
+
+    // HTTP compression
+    compression: {
+        thresholdBytes: 1024, // Smaller responses are sent uncompressed
+        brotliQuality: 4 // 0-11; higher compresses better but costs more CPU per response
     },
 
     // Database configuration
     database: {
-        type: 'sqlite',
+        // 'sqlite' keeps the database in the file at `path`; 'memory' keeps it in the process
+        // only - same schema and queries, nothing written to disk, everything gone on exit
+        type: process.env.DB_TYPE || 'sqlite',
         path: process.env.DB_PATH || path.join(__dirname, '../data/health_sync.db'),
+        // Copy an existing database before applying schema migrations to it, into
+        // migrationBackupDir (null keeps the copies in a backups directory next to the database)
+        backupBeforeMigration: true,
+        migrationBackupDir: null,
+        // Online snapshots, taken every intervalMs (and at startup when the newest is older than
+        // that) into dir (null for the backups directory next to the database). The newest `keep`
+        // are kept; `verify` runs a quick integrity check on each before it counts as written.
+        backups: {
+            enabled: true,
+            dir: null,
+            intervalMs: 24 * 60 * 60 * 1000, // 24 hours
+            keep: 7,
+            verify: true
+        },
+        // Routine maintenance: WAL checkpoints, ANALYZE, incremental vacuum and a full integrity
+        // check, each run when its last run is its interval old (looked at every
+        // checkIntervalMs, and at startup). The newest historyKeep runs of each are kept.
+        maintenance: {
+            enabled: true,
+            checkIntervalMs: 5 * 60 * 1000, // 5 minutes
+            checkpointIntervalMs: 15 * 60 * 1000, // 15 minutes
+            analyzeIntervalMs: 24 * 60 * 60 * 1000, // 24 hours
+            vacuumIntervalMs: 24 * 60 * 60 * 1000, // 24 hours
+            integrityCheckIntervalMs: 7 * 24 * 60 * 60 * 1000, // 7 days
+            historyKeep: 100
+        },
         options: {
             // SQLite-specific options
             busyTimeout: 30000,
@@ -25,14 +61,52 @@ const config = {
         }
     },
 
+    // At-rest encryption of measurement values (and the bucket and rollup statistics derived
+    // from them), record and device metadata, unmapped samples, upload chunks, workout routes
+    // and every backup file. A key is "base64:<32 bytes>" or "hex:<32 bytes>", or any other
+    // string as a passphrase. To rotate, set the new key and list the old one in previousKeys
+    // (comma separated) until the server has re-encrypted the stored data and old backups have
+    // aged out.
+    encryption: {
+        key: process.env.ENCRYPTION_KEY || null,
+        previousKeys: (process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+        reencryptBatchSize: 500 // Values re-encrypted per transaction
+    },
+
     // Sync configuration
     sync: {
         maxBatchSize: 1000, // Maximum number of records per sync batch
         syncTimeoutMs: 30000, // 30 seconds timeout for sync operations
+        // How often sessions idle for longer than their timeout are marked failed
+        sessionReapIntervalMs: 60 * 1000, // 1 minute
         retryAttempts: 3,
         retryDelayMs: 1000,
         // Time window for considering data as "recent" (in milliseconds)
-        recentDataWindowMs: 24 * 60 * 60 * 1000 // 24 hours
+        recentDataWindowMs: 24 * 60 * 60 * 1000, // 24 hours
+        // How long tombstones for deleted/corrected records are kept for devices to pick up
+        tombstoneRetentionMs: 30 * 24 * 60 * 60 * 1000, // 30 days
+        tombstoneCompactionIntervalMs: 6 * 60 * 60 * 1000, // 6 hours
+        // How long iOS compatibility batch ids are remembered to recognise re-posted batches
+        batchIdRetentionMs: 7 * 24 * 60 * 60 * 1000, // 7 days
+        // Chunked upload sessions - each chunk holds up to maxBatchSize records. A commit stores
+        // the whole upload in one transaction, which has the database to itself until it ends
+        // (every other request, the reaper and the health checks wait), so maxRecords keeps that
+        // to a second or two (about three with encryption on); larger uploads are split over
+        // several sessions.
+        uploadSessions: {
+            maxChunks: 1000,
+            maxRecords: 20000,
+            timeoutMs: 60 * 60 * 1000 // 1 hour without a chunk before the session is failed
+        }
+    },
+
+    // Service health checks (GET /health and /api/v1/health)
+    healthChecks: {
+        dbLatencyWarnMs: 250, // A slower database ping reports the server as degraded
+        minFreeDiskBytes: 500 * 1024 * 1024, // 500MB free on the database's disk
+        // How often the sync backlog the health checks report is counted; counting it reads
+        // every device's unacknowledged records, too much to do on each probe
+        backlogRefreshIntervalMs: 5 * 60 * 1000 // 5 minutes
     },
 
     // Health data configuration
@@ -51,7 +125,31 @@ const config = {
             'distance',
             'floors_climbed'
         ],
+        // Oldest record accepted in an upload; types with a retention policy are capped at their
+        // rawMs (see getMaxRecordAge in utils/validation.js and GET /api/v1/health-data/types)
         maxRecordAge: 90 * 24 * 60 * 60 * 1000, // 90 days in milliseconds
+        // Retention - how long each type is kept at full resolution. Raw records older than
+        // rawMs are folded into buckets of the first tier (count, sum, min and max per device);
+        // each tier keeps its buckets for keepMs (null for ever) before folding them into the
+        // next tier, and the last tier's are then deleted. `value` is what stands for a bucket
+        // where a single value is read: 'avg' for readings, 'sum' for counts such as steps.
+        // Raw records without a value are deleted at rawMs without being folded into a bucket.
+        // Uploads older than rawMs are rejected even within maxRecordAge: the records they might
+        // duplicate are no longer there to be matched against. Types without a policy are kept
+        // raw for ever.
+        retention: {
+            intervalMs: 60 * 60 * 1000, // 1 hour
+            policies: {
+                heart_rate: {
+                    rawMs: 30 * 24 * 60 * 60 * 1000, // 30 days
+                    value: 'avg',
+                    tiers: [
+                        { bucketMs: 60 * 1000, keepMs: 365 * 24 * 60 * 60 * 1000 }, // Minutes for a year
+                        { bucketMs: 60 * 60 * 1000, keepMs: null } // Then hours for ever
+                    ]
+                }
+            }
+        },
         validation: {
             heartRate: { min: 30, max: 220 },
             steps: { min: 0, max: 100000 },
@@ -64,6 +162,30 @@ const config = {
         }
     },
 
+    // Workouts (/api/v1/workouts) - stored with their laps and every route point, and linked to
+    // the heart rate and GPS samples their device recorded while they ran
+    workouts: {
+        maxDurationMs: 12 * 60 * 60 * 1000, // 12 hours, as for workout records
+        maxLaps: 1000,
+        maxRoutePoints: 50000,
+        splitDistanceMeters: 1000, // Default split length; clients may ask for others
+        // Altitude changes smaller than this are GPS noise and do not count as climbing
+        elevationNoiseMeters: 3
+    },
+
+    // Source priority - when several of a user's devices record the same data type for the
+    // same time bucket, only the highest-ranked device's records count in merged views.
+    // Rankings list device ids or device types, best first; users can override them per type.
+    sourcePriority: {
+        bucketMs: 60 * 60 * 1000, // 1 hour
+        defaultRules: {
+            steps: ['wearos', 'ios'],
+            distance: ['wearos', 'ios'],
+            calories_burned: ['wearos', 'ios'],
+            floors_climbed: ['wearos', 'ios']
+        }
+    },
+
     // Bluetooth configuration
     bluetooth: {
         enabled: true,
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { withExclusiveConnection, isInMemory } = require('./init');
+const { LATEST_VERSION } = require('./migrations');
+const { logger } = require('../utils/logger');
+const { isEncryptionEnabled, encryptFile, decryptFile, isEncryptedFile } = require('../utils/encryption');
+const config = require('../config/config');
+
+// Online snapshots of the database (config.database.backups). A snapshot is written with
+// VACUUM INTO through the server's own connection, so it is a consistent copy - changes still
+// in the WAL included - taken while the server keeps running. Snapshots are named
+// <database>-snapshot-<time>.db; rotation only ever deletes files named that way, so the copies
+// made before migrations and restores are left for an operator to clear. With encryption
+// configured, snapshots and the other copies are encrypted (<name>.db.enc).
+//
+// Restoring replaces the database file and must be done with the server stopped (npm run
+// restore). The snapshot is integrity-checked before anything is touched, and the database it
+// replaces is copied aside first.
+
+function backupDirectory() {
+    return config.database.backups.dir || path.join(path.dirname(config.database.path), 'backups');
+}
+
+function databaseBaseName() {
+    return path.basename(config.database.path, path.extname(config.database.path));
+}
+
+function snapshotPrefix() {
+    return `${databaseBaseName()}-snapshot-`;
+}
+
+function fileStamp(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// Snapshots in the backup directory, newest first
+async function listSnapshots() {
+    let names;
+    try {
+        names = await fs.promises.readdir(backupDirectory());
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const snapshots = [];
+    const isSnapshot = name => name.startsWith(snapshotPrefix()) && (name.endsWith('.db') || name.endsWith('.db.enc'));
+    for (const name of names.filter(isSnapshot).sort().reverse()) {
+        const filePath = path.join(backupDirectory(), name);
+        const stats = await fs.promises.stat(filePath);
+        snapshots.push({
+            name,
+            path: filePath,
+            encrypted: name.endsWith('.enc'),
+            sizeBytes: stats.size,
+            createdAt: stats.mtime.toISOString()
+        });
+    }
+    return snapshots;
+}
+
+// Open a database file read-only, run `inspect` against it and close it again
+function inspectDatabaseFile(filePath, inspect) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (err) => {
+            if (err) return reject(err);
+
+            const all = (sql) => new Promise((resolveQuery, rejectQuery) => {
+                db.all(sql, (queryErr, rows) => (queryErr ? rejectQuery(queryErr) : resolveQuery(rows)));
+            });
+
+            Promise.resolve()
+                .then(() => inspect(all))
+                .then(
+                    result => db.close(() => resolve(result)),
+                    error => db.close(() => reject(error))
+                );
+        });
+    });
+}
+
+// Check a database file before trusting it: that SQLite can read it, that it passes the
+// integrity check (quick_check when `quick`), and that it is a database this server can run.
+// Returns { ok, problems, schemaVersion }.
+async function verifyDatabaseFile(filePath, { quick = false } = {}) {
+    try {
+        return await inspectDatabaseFile(filePath, async (all) => {
+            const problems = [];
+
+            const integrity = await all(quick ? 'PRAGMA quick_check(20)' : 'PRAGMA integrity_check(20)');
+            const messages = integrity.map(row => Object.values(row)[0]).filter(message => message !== 'ok');
+            problems.push(...messages);
+
+            if (!quick) {
+                const violations = await all('PRAGMA foreign_key_check');
+                if (violations.length > 0) {
+                    problems.push(`${violations.length} foreign key violation(s), the first in ${violations[0].table}`);
+                }
+            }
+
+            const [{ user_version: schemaVersion }] = await all('PRAGMA user_version');
+            if (schemaVersion > LATEST_VERSION) {
+                problems.push(`schema version ${schemaVersion} is newer than this server supports (${LATEST_VERSION})`);
+            }
+
+            const tables = await all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'health_data'");
+            if (tables.length === 0) {
+                problems.push('no health_data table - not a health sync database');
+            }
+
+            return { ok: problems.length === 0, problems, schemaVersion };
+        });
+    } catch (error) {
+        return { ok: false, problems: [error.message], schemaVersion: null };
+    }
+}
+
+// Write a snapshot. It is written under a temporary name and renamed once complete (and, with
+// config.database.backups.verify, checked), so a half-written file never looks like a snapshot.
+// An encrypted snapshot is encrypted from that temporary copy, which is then removed.
+async function createSnapshot() {
+    const started = Date.now();
+    const dir = backupDirectory();
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const encrypted = isEncryptionEnabled();
+    const plainName = `${snapshotPrefix()}${fileStamp(new Date(started))}.db`;
+    const name = encrypted ? `${plainName}.enc` : plainName;
+    const finalPath = path.join(dir, name);
+    const partialPath = path.join(dir, `${plainName}.partial`);
+    const encryptedPartialPath = `${finalPath}.partial`;
+
+    try {
+        // VACUUM fails while any other statement on the connection is still running
+        await withExclusiveConnection(tx => tx.runQuery('VACUUM INTO ?', [partialPath]));
+
+        if (config.database.backups.verify) {
+            const verification = await verifyDatabaseFile(partialPath, { quick: true });
+            if (!verification.ok) {
+                throw new Error(`Snapshot failed verification: ${verification.problems.join('; ')}`);
+            }
+        }
+
+        if (encrypted) {
+            await encryptFile(partialPath, encryptedPartialPath);
+            await fs.promises.rm(partialPath);
+            await fs.promises.rename(encryptedPartialPath, finalPath);
+        } else {
+            await fs.promises.rename(partialPath, finalPath);
+        }
+    } catch (error) {
+        await fs.promises.rm(partialPath, { force: true });
+        await fs.promises.rm(encryptedPartialPath, { force: true });
+        throw error;
+    }
+
+    const stats = await fs.promises.stat(finalPath);
+    return {
+        name,
+        path: finalPath,
+        sizeBytes: stats.size,
+        createdAt: stats.mtime.toISOString(),
+        durationMs: Date.now() - started
+    };
+}
+
+// Delete snapshots beyond the newest config.database.backups.keep. Returns the names deleted.
+async function rotateSnapshots() {
+    const expired = (await listSnapshots()).slice(config.database.backups.keep);
+
+    for (const snapshot of expired) {
+        await fs.promises.rm(snapshot.path, { force: true });
+    }
+    return expired.map(snapshot => snapshot.name);
+}
+
+// A snapshot already being written, which other requests for one share
+let snapshotInProgress = null;
+
+// Take a snapshot and rotate the old ones out. Returns { snapshot, rotated }.
+function takeSnapshot() {
+    if (snapshotInProgress) return snapshotInProgress;
+
+    snapshotInProgress = (async () => {
+        const snapshot = await createSnapshot();
+        const rotated = await rotateSnapshots();
+
+        logger.info(`Wrote database snapshot ${snapshot.name} (${snapshot.sizeBytes} bytes in ${snapshot.durationMs}ms)` +
+            (rotated.length > 0 ? `, rotated out ${rotated.length}` : ''));
+        return { snapshot, rotated };
+    })().finally(() => {
+        snapshotInProgress = null;
+    });
+
+    return snapshotInProgress;
+}
+
+// Take a snapshot when the newest is at least an interval old - at startup, so a server that
+// restarts more often than the interval still gets its snapshots. Returns null when none was due.
+async function takeSnapshotIfDue(now = Date.now()) {
+    const [newest] = await listSnapshots();
+    if (newest && now - new Date(newest.createdAt).getTime() < config.database.backups.intervalMs) {
+        return null;
+    }
+    return takeSnapshot();
+}
+
+// Copy a database file and its WAL and shared-memory files, where they exist, to `target`,
+// encrypting each (as <file>.enc) when encryption is configured. Returns the main file's copy.
+async function copyDatabaseFiles(source, target) {
+    const extension = isEncryptionEnabled() ? '.enc' : '';
+
+    for (const suffix of ['', '-wal', '-shm']) {
+        if (!fs.existsSync(source + suffix)) continue;
+
+        if (extension) {
+            await encryptFile(source + suffix, target + suffix + extension);
+        } else {
+            await fs.promises.copyFile(source + suffix, target + suffix);
+        }
+    }
+    return target + extension;
+}
+
+// Replace the database with a snapshot - a name from listSnapshots or a path to any copy of
+// the database, encrypted or not. The server must not be running. Returns { restoredFrom,
+// schemaVersion, previousCopy }; throws, leaving the database untouched, when the snapshot
+// cannot be decrypted or fails verification.
+async function restoreSnapshot(snapshot) {
+    if (isInMemory()) {
+        throw new Error('The database is configured in memory (DB_TYPE=memory); there is no file to restore');
+    }
+
+    const databasePath = config.database.path;
+    const sourcePath = fs.existsSync(path.join(backupDirectory(), snapshot))
+        ? path.join(backupDirectory(), snapshot)
+        : path.resolve(snapshot);
+
+    if (!fs.existsSync(sourcePath)) {
+        throw new Error(`No snapshot at ${sourcePath}`);
+    }
+    if (sourcePath === path.resolve(databasePath)) {
+        throw new Error(`${sourcePath} is the database itself`);
+    }
+
+    // Stage the copy next to the database so the final rename cannot cross filesystems
+    const stagedPath = `${databasePath}.restoring`;
+    await fs.promises.mkdir(path.dirname(databasePath), { recursive: true });
+    if (await isEncryptedFile(sourcePath)) {
+        await decryptFile(sourcePath, stagedPath);
+    } else {
+        await fs.promises.copyFile(sourcePath, stagedPath);
+    }
+
+    const verification = await verifyDatabaseFile(stagedPath);
+    if (!verification.ok) {
+        await fs.promises.rm(stagedPath, { force: true });
+        throw new Error(`Refusing to restore ${sourcePath}: ${verification.problems.join('; ')}`);
+    }
+
+    // Keep what is being replaced, even if it is the damaged copy being recovered from
+    let previousCopy = null;
+    if (fs.existsSync(databasePath)) {
+        await fs.promises.mkdir(backupDirectory(), { recursive: true });
+        previousCopy = await copyDatabaseFiles(
+            databasePath,
+            path.join(backupDirectory(), `${databaseBaseName()}-pre-restore-${fileStamp()}.db`)
+        );
+    }
+
+    // The old WAL must go before the rename - SQLite would otherwise replay it into the
+    // restored file
+    await fs.promises.rm(`${databasePath}-wal`, { force: true });
+    await fs.promises.rm(`${databasePath}-shm`, { force: true });
+    await fs.promises.rename(stagedPath, databasePath);
+
+    logger.info(`Restored database from ${sourcePath}` + (previousCopy ? `; the replaced database was copied to ${previousCopy}` : ''));
+    return { restoredFrom: sourcePath, schemaVersion: verification.schemaVersion, previousCopy };
+}
+
+module.exports = {
+    backupDirectory,
+    listSnapshots,
+    takeSnapshot,
+    takeSnapshotIfDue,
+    verifyDatabaseFile,
+    restoreSnapshot
+};
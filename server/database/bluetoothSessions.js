@@ -0,0 +1,83 @@
+const { runQuery, getRow, getRows } = require('./init');
+
+// Bluetooth sessions record the connections made over the BLE fallback transport: who
+// connected, how it ended and how much was transferred.
+
+// One page of sessions, newest first, with the total for the filter (optionally a deviceId)
+async function listBluetoothSessions({ deviceId } = {}, { limit, offset = 0 }) {
+    const whereClause = deviceId ? 'WHERE device_id = ?' : '';
+    const params = deviceId ? [deviceId] : [];
+
+    const sessions = await getRows(`
+        SELECT
+            id,
+            device_id,
+            device_address,
+            connection_status,
+            start_time,
+            end_time,
+            data_transferred,
+            error_message,
+            metadata
+        FROM bluetooth_sessions
+        ${whereClause}
+        ORDER BY start_time DESC
+        LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const { total } = await getRow(`SELECT COUNT(*) as total FROM bluetooth_sessions ${whereClause}`, params);
+
+    return {
+        sessions: sessions.map(session => ({
+            ...session,
+            metadata: session.metadata ? JSON.parse(session.metadata) : null
+        })),
+        total
+    };
+}
+
+async function createBluetoothSession(sessionId, deviceId, deviceAddress) {
+    await runQuery(`
+        INSERT INTO bluetooth_sessions (
+            id, device_id, device_address, connection_status, start_time
+        ) VALUES (?, ?, ?, 'connecting', CURRENT_TIMESTAMP)
+    `, [sessionId, deviceId, deviceAddress]);
+}
+
+function getBluetoothSession(sessionId) {
+    return getRow('SELECT id, device_id, connection_status FROM bluetooth_sessions WHERE id = ?', [sessionId]);
+}
+
+// Record a session's connection status. A disconnected or failed session is closed;
+// dataTransferred and errorMessage are only written when given.
+async function updateBluetoothSession(sessionId, { connectionStatus, dataTransferred, errorMessage }) {
+    const updateData = ['connection_status = ?'];
+    const params = [connectionStatus];
+
+    if (connectionStatus === 'disconnected' || connectionStatus === 'failed') {
+        updateData.push('end_time = CURRENT_TIMESTAMP');
+    }
+
+    if (dataTransferred !== undefined) {
+        updateData.push('data_transferred = ?');
+        params.push(parseInt(dataTransferred) || 0);
+    }
+
+    if (errorMessage) {
+        updateData.push('error_message = ?');
+        params.push(errorMessage);
+    }
+
+    await runQuery(`
+        UPDATE bluetooth_sessions
+        SET ${updateData.join(', ')}
+        WHERE id = ?
+    `, [...params, sessionId]);
+}
+
+module.exports = {
+    listBluetoothSessions,
+    createBluetoothSession,
+    getBluetoothSession,
+    updateBluetoothSession
+};
@@ -0,0 +1,104 @@
+const { getRow, getRows } = require('./init');
+const { readStoredValues } = require('./healthSeries');
+
+// Live records and tombstones as a single feed, ordered by change sequence. Sync feeds select
+// from it as a subquery; `kind` tells records ('record') from removals ('tombstone'). Pages come
+// back with their values decrypted.
+const CHANGE_FEED = `(
+    SELECT 'record' AS kind, id, device_id, data_type, timestamp, value, unit, metadata,
+           source_app, client_record_id, record_uuid, version, NULL AS reason, NULL AS replaced_by,
+           NULL AS deleted_at, change_seq
+    FROM health_data
+    UNION ALL
+    SELECT 'tombstone' AS kind, record_id AS id, device_id, data_type, timestamp, NULL, NULL, NULL,
+           source_app, client_record_id, record_uuid, version, reason, replaced_by, deleted_at, change_seq
+    FROM health_data_tombstones
+)`;
+
+// A page of what a device downloads: other devices' changes after `afterSeq` - or after the
+// device's acknowledged checkpoint for a source, when that is further on - up to `snapshotSeq`,
+// optionally narrowed to measurements in (since, until] of one dataType. Returns the page, whether
+// more follow and the total from this position on.
+async function getDeviceFeedPage(deviceId, { afterSeq, snapshotSeq, since, until, dataType }, { limit, offset = 0 }) {
+    const conditions = [
+        'h.device_id != ?', // Exclude data from the requesting device
+        'h.change_seq > MAX(?, IFNULL(cp.position, 0))',
+        'h.change_seq <= ?'
+    ];
+    const params = [deviceId, afterSeq, snapshotSeq];
+    const checkpointJoin = `
+        LEFT JOIN sync_checkpoints cp
+            ON cp.consumer_device_id = ? AND cp.source_device_id = h.device_id AND cp.direction = 'download'
+    `;
+
+    if (since > 0) {
+        conditions.push('h.timestamp > ?');
+        params.push(since);
+    }
+
+    if (until) {
+        conditions.push('h.timestamp <= ?');
+        params.push(until);
+    }
+
+    if (dataType) {
+        conditions.push('h.data_type = ?');
+        params.push(dataType);
+    }
+
+    // One extra row tells us whether another page follows
+    const rows = await getRows(`
+        SELECT h.*
+        FROM ${CHANGE_FEED} h
+        ${checkpointJoin}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY h.change_seq ASC
+        LIMIT ? OFFSET ?
+    `, [deviceId, ...params, limit + 1, offset]);
+
+    const { total } = await getRow(`
+        SELECT COUNT(*) as total 
+        FROM ${CHANGE_FEED} h
+        ${checkpointJoin}
+        WHERE ${conditions.join(' AND ')}
+    `, [deviceId, ...params]);
+
+    return { records: rows.slice(0, limit).map(readStoredValues), hasMore: rows.length > limit, total };
+}
+
+// A page of changes to the given data types after `afterSeq`, up to `snapshotSeq`: records
+// measured after `since` and removals made after it, leaving out excludeDeviceId's own
+async function getTypeFeedPage({ dataTypes, afterSeq, snapshotSeq, since, excludeDeviceId }, limit) {
+    if (dataTypes.length === 0) {
+        return { records: [], hasMore: false };
+    }
+
+    const conditions = [
+        `h.data_type IN (${dataTypes.map(() => '?').join(', ')})`,
+        'h.change_seq > ?',
+        'h.change_seq <= ?',
+        "((h.kind = 'record' AND h.timestamp > ?) OR (h.kind = 'tombstone' AND h.deleted_at > ?))"
+    ];
+    const params = [...dataTypes, afterSeq, snapshotSeq, since, since];
+
+    if (excludeDeviceId) {
+        conditions.push('h.device_id != ?');
+        params.push(excludeDeviceId);
+    }
+
+    const rows = await getRows(`
+        SELECT h.*
+        FROM ${CHANGE_FEED} h
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY h.change_seq ASC
+        LIMIT ?
+    `, [...params, limit + 1]);
+
+    return { records: rows.slice(0, limit).map(readStoredValues), hasMore: rows.length > limit };
+}
+
+module.exports = {
+    CHANGE_FEED,
+    getDeviceFeedPage,
+    getTypeFeedPage
+};
@@ -0,0 +1,107 @@
+const { getRow, getRows, withTransaction } = require('./init');
+
+// Sync checkpoints are kept per consuming device and per source device, separately for each
+// direction, and only ever move forward.
+
+// Record the latest measurement timestamp accepted from an uploading device, inside the caller's
+// transaction
+async function recordUploadCheckpoint(tx, deviceId, timestamp) {
+    await tx.runQuery(`
+        INSERT INTO sync_checkpoints (consumer_device_id, source_device_id, direction, position, updated_at)
+        VALUES (?, ?, 'upload', ?, CURRENT_TIMESTAMP)
+        ON CONFLICT (consumer_device_id, source_device_id, direction) DO UPDATE SET
+            position = MAX(position, excluded.position),
+            updated_at = CURRENT_TIMESTAMP
+    `, [deviceId, deviceId, timestamp]);
+
+    // Kept for clients that still read the legacy per-device field
+    await tx.runQuery(`
+        UPDATE devices 
+        SET last_sync_timestamp = MAX(IFNULL(last_sync_timestamp, 0), ?)
+        WHERE id = ?
+    `, [timestamp, deviceId]);
+}
+
+function advanceUploadCheckpoint(deviceId, timestamp) {
+    return withTransaction(tx => recordUploadCheckpoint(tx, deviceId, timestamp));
+}
+
+// Move a consumer's download checkpoints to the change sequence numbers it acknowledged,
+// given as { sourceDeviceId: seq }
+function advanceDownloadCheckpoints(consumerDeviceId, positions) {
+    return withTransaction(async (tx) => {
+        for (const [sourceDeviceId, seq] of Object.entries(positions)) {
+            await tx.runQuery(`
+                INSERT INTO sync_checkpoints (consumer_device_id, source_device_id, direction, position, updated_at)
+                VALUES (?, ?, 'download', ?, CURRENT_TIMESTAMP)
+                ON CONFLICT (consumer_device_id, source_device_id, direction) DO UPDATE SET
+                    position = MAX(position, excluded.position),
+                    updated_at = CURRENT_TIMESTAMP
+            `, [consumerDeviceId, sourceDeviceId, seq]);
+        }
+    });
+}
+
+async function getCheckpoints(deviceId) {
+    const rows = await getRows(`
+        SELECT source_device_id, direction, position, updated_at
+        FROM sync_checkpoints
+        WHERE consumer_device_id = ?
+        ORDER BY direction, source_device_id
+    `, [deviceId]);
+
+    return {
+        upload: rows
+            .filter(row => row.direction === 'upload')
+            .map(row => ({ timestamp: row.position, updatedAt: row.updated_at }))[0] || null,
+        download: rows
+            .filter(row => row.direction === 'download')
+            .map(row => ({ sourceDeviceId: row.source_device_id, seq: row.position, updatedAt: row.updated_at }))
+    };
+}
+
+// The furthest back any of a consumer's download checkpoints is, or 0 when it has none
+async function getLowestDownloadPosition(deviceId) {
+    const row = await getRow(`
+        SELECT MIN(position) as position FROM sync_checkpoints
+        WHERE consumer_device_id = ? AND direction = 'download' AND position > 0
+    `, [deviceId]);
+    return row.position || 0;
+}
+
+// The backlog as last counted by refreshDownloadBacklog, for the health checks
+let cachedBacklog = null;
+
+// Records each active device has not yet acknowledged from the other devices it syncs with,
+// largest backlog first. This reads every unacknowledged record, so it runs on a timer
+// (config.healthChecks.backlogRefreshIntervalMs) and the health checks report the cached count.
+async function refreshDownloadBacklog() {
+    const devices = await getRows(`
+        SELECT d.id as device_id, COUNT(h.id) as pending
+        FROM devices d
+        JOIN health_data h ON h.device_id != d.id
+        LEFT JOIN sync_checkpoints c
+            ON c.consumer_device_id = d.id AND c.source_device_id = h.device_id AND c.direction = 'download'
+        WHERE d.is_active = 1 AND h.change_seq > IFNULL(c.position, 0)
+        GROUP BY d.id
+        ORDER BY pending DESC
+    `);
+
+    cachedBacklog = { devices, countedAt: new Date().toISOString() };
+    return cachedBacklog;
+}
+
+// The last counted backlog ({ devices, countedAt }), or null before the first count
+function getCachedDownloadBacklog() {
+    return cachedBacklog;
+}
+
+module.exports = {
+    recordUploadCheckpoint,
+    advanceUploadCheckpoint,
+    advanceDownloadCheckpoints,
+    getCheckpoints,
+    getLowestDownloadPosition,
+    refreshDownloadBacklog,
+    getCachedDownloadBacklog
+};
@@ -0,0 +1,24 @@
+const { runQuery, getRow } = require('./init');
+
+// Per-device settings, one JSON value per setting type (such as 'health_goals')
+
+async function getDeviceSetting(deviceId, settingType) {
+    const row = await getRow(`
+        SELECT setting_value FROM device_settings
+        WHERE device_id = ? AND setting_type = ?
+    `, [deviceId, settingType]);
+
+    return row ? JSON.parse(row.setting_value) : null;
+}
+
+async function setDeviceSetting(deviceId, settingType, value) {
+    await runQuery(`
+        INSERT OR REPLACE INTO device_settings (device_id, setting_type, setting_value, updated_at)
+        VALUES (?, ?, ?, ?)
+    `, [deviceId, settingType, JSON.stringify(value), Date.now()]);
+}
+
+module.exports = {
+    getDeviceSetting,
+    setDeviceSetting
+};
@@ -0,0 +1,145 @@
+const { runQuery, getRow, getRows } = require('./init');
+const { logger, logSyncOperation } = require('../utils/logger');
+const { encryptField } = require('../utils/encryption');
+const { validateDeviceRegistration } = require('../utils/validation');
+
+// Register a new device. Callers validate the registration first (validateDeviceRegistration);
+// devices without a userId belong to the default user.
+async function createDevice({ deviceId, deviceName, deviceType, userId, metadata }) {
+    await runQuery(`
+        INSERT INTO devices (id, name, type, last_seen, metadata, user_id)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP, ?, IFNULL(?, 'default'))
+    `, [deviceId, deviceName, deviceType, encryptField(JSON.stringify(metadata || {})), userId || null]);
+
+    logSyncOperation('device_registered', deviceId, 'success', {
+        deviceName,
+        deviceType,
+        newRegistration: true
+    });
+
+    return {
+        id: deviceId,
+        name: deviceName,
+        type: deviceType,
+        userId: userId || 'default',
+        lastSyncTimestamp: 0
+    };
+}
+
+// Re-register a known device, replacing its name, type and metadata and reactivating it. The
+// user stays the same unless a userId is given.
+async function updateDeviceRegistration({ deviceId, deviceName, deviceType, userId, metadata }) {
+    await runQuery(`
+        UPDATE devices 
+        SET name = ?, type = ?, last_seen = CURRENT_TIMESTAMP, 
+            is_active = 1, metadata = ?, user_id = IFNULL(?, user_id)
+        WHERE id = ?
+    `, [deviceName, deviceType, encryptField(JSON.stringify(metadata || {})), userId || null, deviceId]);
+
+    logSyncOperation('device_updated', deviceId, 'success', {
+        deviceName,
+        deviceType,
+        previouslyRegistered: true
+    });
+}
+
+// Register an unknown device the same way /api/v1/sync/register does, or mark a known one as
+// seen. Used by upload routes that identify the device per request. Uploads never say which user
+// a device belongs to: a known device keeps its user and a new one joins the default user, until
+// /api/v1/sync/register moves it. Returns { error } when the identification is not a valid
+// registration.
+async function ensureDeviceRegistered({ deviceId, deviceName, deviceType }) {
+    if (await deviceExists(deviceId)) {
+        await touchDevice(deviceId, { reactivate: true });
+        return {};
+    }
+
+    const registration = {
+        deviceId,
+        deviceName: deviceName || (deviceType === 'ios' ? 'iPhone' : `${deviceType} Device`),
+        deviceType
+    };
+    const validation = validateDeviceRegistration(registration);
+    if (!validation.isValid) {
+        return { error: validation.error };
+    }
+
+    await createDevice({ ...registration, metadata: { auto_created: true } });
+    logger.info(`Created new ${deviceType} device: ${deviceId}`);
+    return {};
+}
+
+async function deviceExists(deviceId) {
+    return Boolean(await getRow('SELECT id FROM devices WHERE id = ?', [deviceId]));
+}
+
+async function getDevice(deviceId) {
+    return getRow(`
+        SELECT id, name, type, user_id, last_sync_timestamp, last_seen, is_active, created_at
+        FROM devices 
+        WHERE id = ?
+    `, [deviceId]);
+}
+
+// Every device, most recently seen first, with its sync session and record counts
+async function listDevicesWithStats() {
+    const devices = await getRows(`
+        SELECT 
+            d.id,
+            d.name,
+            d.type,
+            d.user_id,
+            d.last_sync_timestamp,
+            d.last_seen,
+            d.is_active,
+            d.created_at,
+            (SELECT COUNT(*) FROM sync_sessions s WHERE s.device_id = d.id) as total_sessions,
+            (SELECT COUNT(*) FROM sync_sessions s WHERE s.device_id = d.id AND s.status = 'completed') as completed_sessions,
+            (SELECT COUNT(*) FROM sync_sessions s WHERE s.device_id = d.id AND s.status = 'failed') as failed_sessions,
+            (SELECT MAX(start_time) FROM sync_sessions s WHERE s.device_id = d.id) as last_sync_attempt,
+            (SELECT COUNT(*) FROM health_data h WHERE h.device_id = d.id) as total_records
+        FROM devices d
+        ORDER BY d.last_seen DESC
+    `);
+
+    return devices.map(({ total_sessions, completed_sessions, failed_sessions, last_sync_attempt, total_records, ...device }) => ({
+        ...device,
+        isActive: device.is_active === 1,
+        syncStats: {
+            totalSessions: total_sessions,
+            completedSessions: completed_sessions,
+            failedSessions: failed_sessions,
+            lastSyncAttempt: last_sync_attempt
+        },
+        healthDataRecords: total_records
+    }));
+}
+
+// Mark a device as seen now - and active again, with `reactivate`
+async function touchDevice(deviceId, { reactivate = false } = {}) {
+    await runQuery(`
+        UPDATE devices 
+        SET last_seen = CURRENT_TIMESTAMP${reactivate ? ', is_active = 1' : ''}
+        WHERE id = ?
+    `, [deviceId]);
+}
+
+// Soft delete: the device and its data stay, but it no longer counts as active
+async function deactivateDevice(deviceId) {
+    await runQuery(`
+        UPDATE devices 
+        SET is_active = 0, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `, [deviceId]);
+}
+
+module.exports = {
+    createDevice,
+    updateDeviceRegistration,
+    ensureDeviceRegistered,
+    deviceExists,
+    getDevice,
+    listDevicesWithStats,
+    touchDevice,
+    deactivateDevice
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { getRows, runQuery, withTransaction } = require('./init');
+const {
+    FIELD_PREFIX,
+    KEY_ID_LENGTH,
+    configuredSecrets,
+    deriveKey,
+    keyIdOf,
+    setFieldKeys,
+    currentFieldKeyId,
+    hasFieldKey,
+    encryptField,
+    decryptField,
+    encryptNumberField,
+    decryptNumberField
+} = require('../utils/encryption');
+const { logger } = require('../utils/logger');
+const config = require('../config/config');
+
+// Field encryption keys and the stored data encrypted with them. Measurement values, the
+// statistics of the aggregate buckets and rollups derived from them, record metadata (which holds
+// GPS routes and source details), device metadata, unmapped HealthKit samples, upload chunks,
+// workout metadata and workout route positions are encrypted. Timestamps, types, device ids and
+// sample counts stay as they are: every query filters or groups on them. What is computed from
+// values (rollups, downsampling, workout summaries) is computed in the server rather than in SQL.
+//
+// Rotating the key re-encrypts the stored fields in batches, each in its own transaction.
+// Re-encrypting a value does not change the data, so it does not bump a record's change
+// sequence and devices do not download it again.
+
+const ENCRYPTED_COLUMNS = [
+    { table: 'health_data', column: 'value', numeric: true },
+    { table: 'health_data', column: 'metadata' },
+    { table: 'health_data_aggregates', column: 'value_sum', numeric: true },
+    { table: 'health_data_aggregates', column: 'value_min', numeric: true },
+    { table: 'health_data_aggregates', column: 'value_max', numeric: true },
+    { table: 'health_data_rollups', column: 'value_sum', numeric: true },
+    { table: 'health_data_rollups', column: 'value_min', numeric: true },
+    { table: 'health_data_rollups', column: 'value_max', numeric: true },
+    { table: 'health_data_rollups', column: 'last_value', numeric: true },
+    { table: 'devices', column: 'metadata' },
+    { table: 'unmapped_samples', column: 'payload' },
+    { table: 'upload_chunks', column: 'payload' },
+    { table: 'workouts', column: 'metadata' },
+    { table: 'workout_route_points', column: 'position' }
+];
+
+// Resolve the configured secrets to field keys. A passphrase is matched against the salts of
+// the passphrase keys already used here; a new current passphrase gets a new salt. Previous
+// secrets that match nothing this database has used are skipped with a warning.
+async function loadEncryptionKeys() {
+    const { current, previous } = configuredSecrets();
+    const stored = await getRows('SELECT key_id, salt FROM encryption_keys');
+    const keys = new Map();
+    let currentId = null;
+
+    const resolve = async (secret, isCurrent) => {
+        if (secret.key) {
+            const keyId = keyIdOf(secret.key);
+            if (isCurrent && !stored.some(row => row.key_id === keyId)) {
+                await runQuery('INSERT INTO encryption_keys (key_id, salt, created_at) VALUES (?, NULL, ?)', [keyId, Date.now()]);
+            }
+            keys.set(keyId, secret.key);
+            return keyId;
+        }
+
+        for (const row of stored.filter(row => row.salt)) {
+            const key = await deriveKey(secret.passphrase, Buffer.from(row.salt, 'base64'));
+            if (keyIdOf(key) === row.key_id) {
+                keys.set(row.key_id, key);
+                return row.key_id;
+            }
+        }
+
+        if (!isCurrent) {
+            logger.warn('A previous encryption key matches no key this database has used; ignoring it');
+            return null;
+        }
+
+        const salt = crypto.randomBytes(16);
+        const key = await deriveKey(secret.passphrase, salt);
+        const keyId = keyIdOf(key);
+        await runQuery('INSERT INTO encryption_keys (key_id, salt, created_at) VALUES (?, ?, ?)', [keyId, salt.toString('base64'), Date.now()]);
+        keys.set(keyId, key);
+        return keyId;
+    };
+
+    if (current) {
+        currentId = await resolve(current, true);
+    }
+    for (const secret of previous) {
+        await resolve(secret, false);
+    }
+
+    setFieldKeys(keys, currentId);
+    if (currentId) {
+        logger.info(`Encrypting stored data with key ${currentId}`);
+    }
+
+    const status = await getEncryptionStatus();
+    if (status.unreadable > 0) {
+        logger.error(`${status.unreadable} stored values are encrypted with keys that are not configured ` +
+            `(${status.missingKeyIds.join(', ')}); add them to ENCRYPTION_PREVIOUS_KEYS`);
+    }
+    return { currentKeyId: currentId, keyIds: [...keys.keys()] };
+}
+
+// Which key each encrypted column's values are under ('plaintext' for none)
+async function getEncryptionStatus() {
+    const columns = {};
+    const missing = new Set();
+    let unreadable = 0;
+    let pending = 0;
+
+    for (const { table, column } of ENCRYPTED_COLUMNS) {
+        const rows = await getRows(`
+            SELECT CASE WHEN ${column} LIKE '${FIELD_PREFIX}%'
+                        THEN substr(${column}, ${FIELD_PREFIX.length + 1}, ${KEY_ID_LENGTH})
+                        ELSE 'plaintext' END AS key_id,
+                   COUNT(*) AS count
+            FROM ${table}
+            WHERE ${column} IS NOT NULL
+            GROUP BY 1
+        `);
+
+        columns[`${table}.${column}`] = Object.fromEntries(rows.map(row => [row.key_id, row.count]));
+        for (const row of rows) {
+            if (row.key_id !== 'plaintext' && !hasFieldKey(row.key_id)) {
+                missing.add(row.key_id);
+                unreadable += row.count;
+            }
+            if (row.key_id !== (currentFieldKeyId() || 'plaintext')) {
+                pending += row.count;
+            }
+        }
+    }
+
+    return {
+        enabled: currentFieldKeyId() !== null,
+        currentKeyId: currentFieldKeyId(),
+        pending,
+        unreadable,
+        missingKeyIds: [...missing],
+        columns
+    };
+}
+
+// Run `work` with the table's update triggers dropped, recreating them after - within the
+// caller's transaction, so nothing else sees them missing
+async function withoutUpdateTriggers(tx, table, work) {
+    const triggers = (await tx.getRows(
+        "SELECT name, sql FROM sqlite_master WHERE type = 'trigger' AND tbl_name = ?",
+        [table]
+    )).filter(trigger => /\b(BEFORE|AFTER|INSTEAD OF)\s+UPDATE\b/i.test(trigger.sql));
+
+    for (const trigger of triggers) {
+        await tx.runQuery(`DROP TRIGGER ${trigger.name}`);
+    }
+    const result = await work();
+    for (const trigger of triggers) {
+        await tx.runQuery(trigger.sql);
+    }
+    return result;
+}
+
+// Bring one column's values under the current key (or back to plaintext when encryption is off)
+async function reencryptColumn({ table, column, numeric }) {
+    const target = currentFieldKeyId();
+    const pendingClause = target
+        ? `${column} NOT LIKE '${FIELD_PREFIX}${target}:%'`
+        : `${column} LIKE '${FIELD_PREFIX}%'`;
+    const outcome = { rewritten: 0, skipped: 0 };
+    let lastRowid = 0;
+
+    for (;;) {
+        const batch = await withTransaction(async (tx) => {
+            const rows = await tx.getRows(`
+                SELECT rowid AS row_id, ${column} AS value FROM ${table}
+                WHERE rowid > ? AND ${column} IS NOT NULL AND ${pendingClause}
+                ORDER BY rowid
+                LIMIT ?
+            `, [lastRowid, config.encryption.reencryptBatchSize]);
+
+            const updates = [];
+            for (const row of rows) {
+                try {
+                    const value = numeric
+                        ? encryptNumberField(decryptNumberField(row.value))
+                        : encryptField(decryptField(row.value));
+                    updates.push([value, row.row_id]);
+                } catch (error) {
+                    // Under a key that is not configured - left for when it is
+                    outcome.skipped++;
+                }
+            }
+
+            if (updates.length > 0) {
+                await withoutUpdateTriggers(tx, table, () =>
+                    tx.runBatch(`UPDATE ${table} SET ${column} = ? WHERE rowid = ?`, updates, { allOrNothing: true })
+                );
+            }
+            outcome.rewritten += updates.length;
+            return rows;
+        });
+
+        if (batch.length === 0) break;
+        lastRowid = batch[batch.length - 1].row_id;
+    }
+
+    return outcome;
+}
+
+// A re-encryption already running, which other requests for one share
+let reencryptionInProgress = null;
+
+// Re-encrypt every encrypted column under the current key. Returns the values rewritten and
+// skipped (encrypted under a key that is not configured) per column.
+function reencryptStoredData() {
+    if (reencryptionInProgress) return reencryptionInProgress;
+
+    reencryptionInProgress = (async () => {
+        const outcome = {};
+        for (const encrypted of ENCRYPTED_COLUMNS) {
+            outcome[`${encrypted.table}.${encrypted.column}`] = await reencryptColumn(encrypted);
+        }
+
+        const rewritten = Object.values(outcome).reduce((sum, column) => sum + column.rewritten, 0);
+        if (rewritten > 0) {
+            logger.info(currentFieldKeyId()
+                ? `Re-encrypted ${rewritten} stored values under key ${currentFieldKeyId()}`
+                : `Decrypted ${rewritten} stored values`);
+        }
+        return outcome;
+    })().finally(() => {
+        reencryptionInProgress = null;
+    });
+
+    return reencryptionInProgress;
+}
+
+module.exports = {
+    loadEncryptionKeys,
+    getEncryptionStatus,
+    reencryptStoredData
+};
@@ -0,0 +1,132 @@
+const { getRow, getRows } = require('./init');
+const { HEALTH_SERIES, readStoredValues } = require('./healthSeries');
+const { decryptJsonField } = require('../utils/encryption');
+
+// Reading stored health records. Records come in through ingestion.js and are corrected and
+// deleted through tombstones.js, so that synced devices hear about it; this module only reads.
+
+// WHERE clause for the usual record filters: deviceId, dataType (one or an array of them), and
+// since/until (inclusive)
+function recordFilter({ deviceId, dataType, since, until } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (deviceId) {
+        conditions.push('device_id = ?');
+        params.push(deviceId);
+    }
+
+    if (Array.isArray(dataType)) {
+        conditions.push(`data_type IN (${dataType.map(() => '?').join(', ')})`);
+        params.push(...dataType);
+    } else if (dataType) {
+        conditions.push('data_type = ?');
+        params.push(dataType);
+    }
+
+    if (since !== undefined) {
+        conditions.push('timestamp >= ?');
+        params.push(since);
+    }
+
+    if (until !== undefined) {
+        conditions.push('timestamp <= ?');
+        params.push(until);
+    }
+
+    return {
+        whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+// A record with its metadata decrypted. Metadata that cannot be decrypted comes back null, with
+// metadataUndecryptable set on the record.
+function withParsedMetadata(record) {
+    const metadata = decryptJsonField(record.metadata);
+    return {
+        ...record,
+        metadata: metadata.value,
+        ...(metadata.undecryptable && { metadataUndecryptable: true })
+    };
+}
+
+// One page of records, newest first (oldest first with order 'asc'), together with the total
+// matching the filters. Data past its type's raw retention comes back as aggregate buckets
+// (resolution_ms set).
+async function listHealthRecords(filters, { limit, offset = 0, order = 'desc' }) {
+    const { whereClause, params } = recordFilter(filters);
+
+    const records = await getRows(`
+        SELECT
+            id,
+            device_id,
+            data_type,
+            timestamp,
+            value,
+            unit,
+            metadata,
+            source_app,
+            client_record_id,
+            record_uuid,
+            version,
+            created_at,
+            resolution_ms
+        FROM ${HEALTH_SERIES}
+        ${whereClause}
+        ORDER BY timestamp ${order === 'asc' ? 'ASC' : 'DESC'}
+        LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const { total } = await getRow(`SELECT COUNT(*) as total FROM ${HEALTH_SERIES} ${whereClause}`, params);
+
+    return { records: records.map(record => withParsedMetadata(readStoredValues(record))), total };
+}
+
+async function getHealthRecord(recordId) {
+    const record = await getRow(
+        'SELECT id, device_id, data_type, timestamp, value, unit, metadata FROM health_data WHERE id = ?',
+        [recordId]
+    );
+    return record ? withParsedMetadata(readStoredValues(record)) : null;
+}
+
+// Raw record counts and time span per data type, most records first
+async function getHealthRecordStats(filters) {
+    const { whereClause, params } = recordFilter(filters);
+
+    const byType = await getRows(`
+        SELECT
+            data_type,
+            COUNT(*) as record_count,
+            MIN(timestamp) as earliest_record,
+            MAX(timestamp) as latest_record,
+            COUNT(DISTINCT device_id) as device_count
+        FROM health_data
+        ${whereClause}
+        GROUP BY data_type
+        ORDER BY record_count DESC
+    `, params);
+
+    const { total } = await getRow(`SELECT COUNT(*) as total FROM health_data ${whereClause}`, params);
+
+    return { total, byType };
+}
+
+// What a device has uploaded, per data type: the record count and newest timestamp
+function getDeviceDataSummary(deviceId) {
+    return getRows(`
+        SELECT data_type, COUNT(*) as count, MAX(timestamp) as latest_timestamp
+        FROM health_data
+        WHERE device_id = ?
+        GROUP BY data_type
+    `, [deviceId]);
+}
+
+module.exports = {
+    withParsedMetadata,
+    listHealthRecords,
+    getHealthRecord,
+    getHealthRecordStats,
+    getDeviceDataSummary
+};
@@ -0,0 +1,87 @@
+const config = require('../config/config');
+const { decryptNumberField } = require('../utils/encryption');
+
+// Raw records and the aggregate buckets they are downsampled into (see retention.js) as one
+// series, for the read APIs to select from as a subquery. A bucket reads as a record at its
+// start time whose value stands for the bucket, with the bucket's statistics in
+// metadata.aggregate and its length in resolution_ms (null for raw records). sample_count and
+// value_sum/min/max let callers weight buckets by their samples.
+//
+// Values and statistics may be encrypted (see encryption.js), so SQL selects them as stored and
+// readStoredValues decrypts them and works out what a bucket's value is. Selecting `value` from
+// the series needs `data_type`, `metadata` and `resolution_ms` alongside it.
+
+// Types whose buckets stand for their sum rather than their average
+const SUMMED_TYPES = Object.entries(config.healthData.retention.policies)
+    .filter(([, policy]) => policy.value === 'sum')
+    .map(([dataType]) => dataType);
+
+const HEALTH_SERIES = `(
+    SELECT id, device_id, data_type, timestamp, value, unit, metadata, source_app, client_record_id,
+           record_uuid, version, created_at, NULL AS resolution_ms, 1 AS sample_count,
+           value AS value_sum, value AS value_min, value AS value_max
+    FROM health_data
+    UNION ALL
+    SELECT NULL, device_id, data_type, bucket_start, value_sum, unit,
+           json_object('aggregate', json_object(
+               'resolutionMs', bucket_ms, 'count', sample_count, 'sum', value_sum,
+               'min', value_min, 'max', value_max
+           )),
+           NULL, NULL, NULL, NULL, datetime(updated_at / 1000, 'unixepoch'), bucket_ms, sample_count,
+           value_sum, value_min, value_max
+    FROM health_data_aggregates
+)`;
+
+const NUMBER_COLUMNS = ['value', 'value_sum', 'value_min', 'value_max'];
+
+// What a bucket with these statistics reads as
+function bucketValue(dataType, sampleCount, valueSum) {
+    return SUMMED_TYPES.includes(dataType) ? valueSum : valueSum / sampleCount;
+}
+
+// A row of health_data, of the change feed or of HEALTH_SERIES with its numbers decrypted. Numbers
+// that cannot be decrypted (their key is no longer configured, or they are damaged) come back
+// null with valueUndecryptable set, so one such row does not fail the rest of a page.
+function readStoredValues(row) {
+    const isBucket = row.resolution_ms !== null && row.resolution_ms !== undefined;
+
+    try {
+        const values = {};
+        for (const column of NUMBER_COLUMNS) {
+            if (column in row) values[column] = decryptNumberField(row[column]);
+        }
+        if (!isBucket || !('value' in row)) {
+            return { ...row, ...values };
+        }
+
+        const metadata = JSON.parse(row.metadata);
+        const aggregate = metadata.aggregate;
+        aggregate.sum = decryptNumberField(aggregate.sum);
+        aggregate.min = decryptNumberField(aggregate.min);
+        aggregate.max = decryptNumberField(aggregate.max);
+
+        return {
+            ...row,
+            ...values,
+            value: bucketValue(row.data_type, aggregate.count, aggregate.sum),
+            metadata: JSON.stringify(metadata)
+        };
+    } catch (error) {
+        const unreadable = {};
+        for (const column of NUMBER_COLUMNS) {
+            if (column in row) unreadable[column] = null;
+        }
+        return {
+            ...row,
+            ...unreadable,
+            ...(isBucket && 'metadata' in row && { metadata: null }),
+            valueUndecryptable: true
+        };
+    }
+}
+
+module.exports = {
+    HEALTH_SERIES,
+    bucketValue,
+    readStoredValues
+};
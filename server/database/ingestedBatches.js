@@ -0,0 +1,43 @@
+const { runQuery, getRow } = require('./init');
+const { logger } = require('../utils/logger');
+const config = require('../config/config');
+
+// Batch ids of iOS compatibility uploads. A client that loses the response to an upload posts
+// the same batch again; remembering the id (per device) lets the server recognise the retry and
+// answer with the original outcome instead of ingesting it twice.
+
+// The outcome recorded for a batch, or null when it has not been seen
+async function findIngestedBatch(deviceId, batchId) {
+    const batch = await getRow(
+        'SELECT outcome, received_at FROM ingested_batches WHERE device_id = ? AND batch_id = ?',
+        [deviceId, batchId]
+    );
+    if (!batch) return null;
+
+    return { outcome: JSON.parse(batch.outcome), receivedAt: batch.received_at };
+}
+
+// Remember a batch and its outcome. A concurrent post of the same batch keeps the first outcome.
+async function recordIngestedBatch(deviceId, batchId, outcome) {
+    await runQuery(`
+        INSERT INTO ingested_batches (device_id, batch_id, outcome, received_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (device_id, batch_id) DO NOTHING
+    `, [deviceId, batchId, JSON.stringify(outcome), Date.now()]);
+}
+
+// Forget batch ids older than the retention window
+async function pruneIngestedBatches(retentionMs = config.sync.batchIdRetentionMs) {
+    const cutoff = Date.now() - retentionMs;
+    const result = await runQuery('DELETE FROM ingested_batches WHERE received_at < ?', [cutoff]);
+    if (result.changes > 0) {
+        logger.info(`Forgot ${result.changes} ingested batch ids older than ${new Date(cutoff).toISOString()}`);
+    }
+    return result.changes;
+}
+
+module.exports = {
+    findIngestedBatch,
+    recordIngestedBatch,
+    pruneIngestedBatches
+};
@@ -0,0 +1,214 @@
+const { withTransaction, insertHealthRecords } = require('./init');
+const { recordUploadCheckpoint } = require('./checkpoints');
+const { addToRollups } = require('./rollups');
+const { touchSession } = require('./syncSessions');
+const { validateHealthData, sanitizeHealthData } = require('../utils/validation');
+const config = require('../config/config');
+
+// The ingestion pipeline shared by every upload path: validate and sanitize each record, store
+// the valid ones in one transaction (skipping records the server already has), move the
+// device's upload checkpoint and report an outcome per submitted record. Chunked uploads
+// (uploadSessions.js) run the same steps a chunk at a time.
+
+// Check each record against its data type - the record's own dataType, or the batch's when it
+// has none. Returns the sanitized valid records (tagged with their position in the batch) and
+// an error per invalid record.
+function validateRecords(deviceId, records, dataType) {
+    const validRecords = [];
+    const errors = [];
+
+    for (let i = 0; i < records.length; i++) {
+        const record = records[i];
+        const recordType = (record && record.dataType) || dataType;
+
+        try {
+            if (!recordType) {
+                errors.push({ index: i, error: 'Missing dataType' });
+                continue;
+            }
+
+            if (dataType && record.dataType && record.dataType !== dataType) {
+                errors.push({ index: i, dataType: recordType, error: `dataType does not match batch dataType ${dataType}` });
+                continue;
+            }
+
+            if (!config.healthData.supportedTypes.includes(recordType)) {
+                errors.push({ index: i, dataType: recordType, error: `Unsupported data type: ${recordType}` });
+                continue;
+            }
+
+            // Validate record structure
+            const validationResult = validateHealthData(recordType, record);
+            if (!validationResult.isValid) {
+                errors.push({
+                    index: i,
+                    dataType: recordType,
+                    error: validationResult.error
+                });
+                continue;
+            }
+
+            // Sanitize record data, remembering where it sat in the submitted batch
+            const sanitizedRecord = sanitizeHealthData(recordType, record);
+            validRecords.push({ ...sanitizedRecord, deviceId, dataType: recordType, index: i });
+
+        } catch (error) {
+            errors.push({
+                index: i,
+                dataType: recordType,
+                error: error.message
+            });
+        }
+    }
+
+    return { validRecords, errors };
+}
+
+// Validate and store a batch of records from one device, attributing new records to
+// `syncSessionId` when given. Nothing is stored once that session is no longer open (the result
+// then has `sessionClosed: true`). In atomic mode nothing is stored unless every record is valid
+// (the result then has `rejected: true`), and a storage failure rolls the whole batch back and
+// is rethrown with `recordIndex` naming the submitted record that failed.
+async function ingestRecords(deviceId, records, { dataType, atomic = false, syncSessionId = null } = {}) {
+    const { validRecords, errors } = validateRecords(deviceId, records, dataType);
+    if (syncSessionId) {
+        validRecords.forEach(record => { record.syncSessionId = syncSessionId; });
+    }
+
+    if (atomic && errors.length > 0) {
+        return rejectedOutcome(records.length, errors);
+    }
+
+    const insertResult = await withTransaction(async (tx) => {
+        // The session may have been completed or reaped since the caller checked it
+        if (syncSessionId && !(await touchSession(tx, syncSessionId))) return null;
+        return storeRecords(tx, deviceId, validRecords, { atomic });
+    });
+    if (!insertResult) {
+        return { sessionClosed: true };
+    }
+    return describeOutcome(records.length, validRecords, insertResult, errors);
+}
+
+// Store validated records inside the caller's transaction, skipping any the server already has,
+// add the stored ones to their rollups and move the device's upload checkpoint. In atomic mode
+// a storage failure is thrown with `recordIndex` naming the submitted record that failed.
+async function storeRecords(tx, deviceId, validRecords, { atomic = false } = {}) {
+    if (validRecords.length === 0) {
+        return { inserted: 0, insertedUuids: [], duplicates: [], failed: [] };
+    }
+
+    // A loop rather than Math.max(...), which overflows the stack on large batches
+    let maxTimestamp = -Infinity;
+    for (const record of validRecords) {
+        if (record.timestamp > maxTimestamp) maxTimestamp = record.timestamp;
+    }
+
+    let insertResult;
+    try {
+        insertResult = await insertHealthRecords(tx, validRecords, { allOrNothing: atomic });
+    } catch (error) {
+        if (error.batchIndex !== undefined) {
+            error.recordIndex = validRecords[error.batchIndex].index;
+        }
+        throw error;
+    }
+
+    const insertedIndexes = new Set(insertResult.insertedUuids.map(entry => entry.index));
+    await addToRollups(tx, validRecords.filter(record => insertedIndexes.has(record.index)));
+
+    // Move the device's upload checkpoint - download progress is tracked separately
+    await recordUploadCheckpoint(tx, deviceId, maxTimestamp);
+    return insertResult;
+}
+
+// The outcome of an atomic batch turned away because some of its records are invalid
+function rejectedOutcome(total, errors) {
+    return {
+        rejected: true,
+        processed: {
+            total,
+            inserted: 0,
+            duplicates: 0,
+            rejected: errors.length
+        },
+        errors
+    };
+}
+
+// The outcome of a stored batch of `total` records: what storeRecords did with the valid ones
+// (which need only their index and dataType here) and the errors of the invalid ones
+function describeOutcome(total, validRecords, insertResult, errors) {
+    for (const failure of insertResult.failed) {
+        const record = validRecords.find(r => r.index === failure.index);
+        errors.push({ ...failure, dataType: record.dataType });
+    }
+    errors.sort((a, b) => a.index - b.index);
+
+    const { results, byType } = summarizeBatch(total, validRecords, insertResult, errors);
+
+    return {
+        rejected: false,
+        processed: {
+            total,
+            inserted: insertResult.inserted,
+            duplicates: insertResult.duplicates.length,
+            rejected: errors.length
+        },
+        byType,
+        results,
+        duplicates: insertResult.duplicates,
+        errors
+    };
+}
+
+// Per-record outcome (by position in the submitted batch, with the identifier given to each
+// inserted record) and per-type totals
+function summarizeBatch(total, validRecords, insertResult, errors) {
+    const results = new Array(total);
+    const byType = {};
+
+    const countFor = (dataType) => {
+        const key = dataType || 'unknown';
+        if (!byType[key]) {
+            byType[key] = { total: 0, inserted: 0, duplicates: 0, rejected: 0 };
+        }
+        return byType[key];
+    };
+
+    const duplicateIndexes = new Set(insertResult.duplicates.map(d => d.index));
+    const recordUuids = new Map([...insertResult.insertedUuids, ...insertResult.duplicates]
+        .map(entry => [entry.index, entry.recordUuid]));
+
+    for (const error of errors) {
+        results[error.index] = { index: error.index, dataType: error.dataType, status: 'rejected', error: error.error };
+        countFor(error.dataType).rejected++;
+    }
+
+    for (const record of validRecords) {
+        if (results[record.index]) continue; // failed to store, already reported as rejected
+
+        const status = duplicateIndexes.has(record.index) ? 'duplicate' : 'inserted';
+        results[record.index] = {
+            index: record.index,
+            dataType: record.dataType,
+            status,
+            recordUuid: recordUuids.get(record.index)
+        };
+        countFor(record.dataType)[status === 'duplicate' ? 'duplicates' : 'inserted']++;
+    }
+
+    for (const result of results) {
+        countFor(result.dataType).total++;
+    }
+
+    return { results, byType };
+}
+
+module.exports = {
+    validateRecords,
+    ingestRecords,
+    storeRecords,
+    rejectedOutcome,
+    describeOutcome
+};
@@ -1,7 +1,9 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
+const { encryptField, encryptNumberField } = require('../utils/encryption');
 const config = require('../config/config');
 
 let db = null;
@@ -15,22 +17,40 @@ function ensureDataDirectory() {
     }
 }
 
+// Whether the database lives only in this process (config.database.type 'memory'). It is an
+// SQLite in-memory database, so it runs the same migrations and queries as the file.
+function isInMemory() {
+    return config.database.type === 'memory';
+}
+
 // Initialize database connection
 function initDatabase() {
     return new Promise((resolve, reject) => {
         try {
-            ensureDataDirectory();
+            if (!['sqlite', 'memory'].includes(config.database.type)) {
+                throw new Error(`Unsupported database type: ${config.database.type} (expected "sqlite" or "memory")`);
+            }
 
-            db = new sqlite3.Database(config.database.path, (err) => {
+            if (!isInMemory()) {
+                ensureDataDirectory();
+            }
+
+            const location = isInMemory() ? ':memory:' : config.database.path;
+            db = new sqlite3.Database(location, (err) => {
                 if (err) {
                     logger.error('Failed to connect to database:', err);
                     return reject(err);
                 }
 
-                logger.info(`Connected to SQLite database: ${config.database.path}`);
+                logger.info(isInMemory()
+                    ? 'Connected to in-memory SQLite database; nothing will be saved'
+                    : `Connected to SQLite database: ${config.database.path}`);
                 
                 // Set pragma options
+                // auto_vacuum only takes effect on a new database; maintenance.js converts
+                // existing ones
                 const pragmaQueries = [
+                    'PRAGMA auto_vacuum = INCREMENTAL',
                     'PRAGMA journal_mode = WAL',
                     'PRAGMA foreign_keys = ON',
                     'PRAGMA synchronous = NORMAL',
@@ -52,8 +72,11 @@ function initDatabase() {
                     );
                 };
 
+                // Required here rather than at the top: migrations.js and encryption.js use this
+                // module's helpers
                 setPragmas()
-                    .then(() => createTables())
+                    .then(() => require('./migrations').runMigrations())
+                    .then(() => require('./encryption').loadEncryptionKeys())
                     .then(() => {
                         logger.info('Database initialization completed successfully');
                         resolve(db);
@@ -68,126 +91,6 @@ function initDatabase() {
     });
 }
 
-// Create database tables
-function createTables() {
-    return new Promise((resolve, reject) => {
-        const queries = [
-            // Devices table - track registered devices
-            `CREATE TABLE IF NOT EXISTS devices (
-                id TEXT PRIMARY KEY,
-                name TEXT NOT NULL,
-                type TEXT NOT NULL CHECK (type IN ('wearos', 'ios')),
-                last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
-                last_sync_timestamp BIGINT DEFAULT 0,
-                is_active BOOLEAN DEFAULT 1,
-                metadata JSON,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`,
-
-            // Health data table - store all health metrics
-            `CREATE TABLE IF NOT EXISTS health_data (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                device_id TEXT NOT NULL,
-                data_type TEXT NOT NULL,
-                timestamp BIGINT NOT NULL,
-                value REAL,
-                unit TEXT,
-                metadata JSON,
-                source_app TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
-            )`,
-
-            // Sync sessions table - track sync operations
-            `CREATE TABLE IF NOT EXISTS sync_sessions (
-                id TEXT PRIMARY KEY,
-                device_id TEXT NOT NULL,
-                sync_type TEXT NOT NULL CHECK (sync_type IN ('http', 'bluetooth')),
-                status TEXT NOT NULL CHECK (status IN ('started', 'completed', 'failed')),
-                records_synced INTEGER DEFAULT 0,
-                start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
-                end_time DATETIME,
-                error_message TEXT,
-                metadata JSON,
-                FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
-            )`,
-
-            // Bluetooth sessions table - track BLE connections
-            `CREATE TABLE IF NOT EXISTS bluetooth_sessions (
-                id TEXT PRIMARY KEY,
-                device_id TEXT,
-                device_address TEXT,
-                connection_status TEXT CHECK (connection_status IN ('connecting', 'connected', 'disconnected', 'failed')),
-                start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
-                end_time DATETIME,
-                data_transferred INTEGER DEFAULT 0,
-                error_message TEXT,
-                metadata JSON
-            )`,
-
-            // Device settings table - store device-specific settings including health goals
-            `CREATE TABLE IF NOT EXISTS device_settings (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                device_id TEXT NOT NULL,
-                setting_type TEXT NOT NULL,
-                setting_value TEXT NOT NULL,
-                updated_at BIGINT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE,
-                UNIQUE(device_id, setting_type)
-            )`
-        ];
-
-        const indexes = [
-            // Performance indexes
-            'CREATE INDEX IF NOT EXISTS idx_health_data_device_timestamp ON health_data (device_id, timestamp)',
-            'CREATE INDEX IF NOT EXISTS idx_health_data_type_timestamp ON health_data (data_type, timestamp)',
-            'CREATE INDEX IF NOT EXISTS idx_devices_last_sync ON devices (last_sync_timestamp)',
-            'CREATE INDEX IF NOT EXISTS idx_sync_sessions_device_time ON sync_sessions (device_id, start_time)',
-            'CREATE INDEX IF NOT EXISTS idx_bluetooth_sessions_device ON bluetooth_sessions (device_id, start_time)',
-            'CREATE INDEX IF NOT EXISTS idx_device_settings_device_type ON device_settings (device_id, setting_type)'
-        ];
-
-        // Create triggers for updated_at timestamp
-        const triggers = [
-            `CREATE TRIGGER IF NOT EXISTS update_devices_timestamp 
-             AFTER UPDATE ON devices
-             BEGIN
-                 UPDATE devices SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-             END`
-        ];
-
-        // Execute queries sequentially to ensure proper order
-        const executeSequentially = async (queryList, description) => {
-            for (const query of queryList) {
-                await new Promise((resolveQuery, rejectQuery) => {
-                    db.run(query, (err) => {
-                        if (err) {
-                            logger.error(`Failed to execute ${description}: ${query}`, err);
-                            rejectQuery(err);
-                        } else {
-                            resolveQuery();
-                        }
-                    });
-                });
-            }
-        };
-
-        // Execute all query groups in sequence
-        (async () => {
-            try {
-                await executeSequentially(queries, 'table creation');
-                await executeSequentially(indexes, 'index creation');
-                await executeSequentially(triggers, 'trigger creation');
-                resolve();
-            } catch (error) {
-                reject(error);
-            }
-        })();
-    });
-}
-
 // Get database instance
 function getDatabase() {
     if (!db) {
@@ -196,8 +99,8 @@ function getDatabase() {
     return db;
 }
 
-// Execute query with parameters
-function runQuery(sql, params = []) {
+// Raw statement helpers - these run immediately on the shared connection
+function execRun(sql, params = []) {
     return new Promise((resolve, reject) => {
         db.run(sql, params, function(err) {
             if (err) {
@@ -212,8 +115,7 @@ function runQuery(sql, params = []) {
     });
 }
 
-// Get single row
-function getRow(sql, params = []) {
+function execGet(sql, params = []) {
     return new Promise((resolve, reject) => {
         db.get(sql, params, (err, row) => {
             if (err) {
@@ -225,8 +127,7 @@ function getRow(sql, params = []) {
     });
 }
 
-// Get multiple rows
-function getRows(sql, params = []) {
+function execAll(sql, params = []) {
     return new Promise((resolve, reject) => {
         db.all(sql, params, (err, rows) => {
             if (err) {
@@ -238,6 +139,211 @@ function getRows(sql, params = []) {
     });
 }
 
+// All requests share one connection, so a transaction would otherwise pick up (and possibly
+// roll back) statements issued by other requests while it is open. Standalone statements
+// wait for queued transactions to finish, and a transaction waits for in-flight statements
+// to drain before it begins.
+const connectionState = {
+    pendingTransactions: 0,
+    transactionTail: Promise.resolve(),
+    inFlightStatements: 0,
+    drainWaiters: []
+};
+
+async function withStatementSlot(execute) {
+    while (connectionState.pendingTransactions > 0) {
+        await connectionState.transactionTail;
+    }
+
+    connectionState.inFlightStatements++;
+    try {
+        return await execute();
+    } finally {
+        connectionState.inFlightStatements--;
+        if (connectionState.inFlightStatements === 0) {
+            connectionState.drainWaiters.splice(0).forEach(wake => wake());
+        }
+    }
+}
+
+function waitForStatementsToDrain() {
+    if (connectionState.inFlightStatements === 0) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => connectionState.drainWaiters.push(resolve));
+}
+
+// Execute query with parameters
+function runQuery(sql, params = []) {
+    return withStatementSlot(() => execRun(sql, params));
+}
+
+// Get single row
+function getRow(sql, params = []) {
+    return withStatementSlot(() => execGet(sql, params));
+}
+
+// Get multiple rows
+function getRows(sql, params = []) {
+    return withStatementSlot(() => execAll(sql, params));
+}
+
+// Run `work` with the connection to itself: once the statements in flight have finished, and
+// before any issued after it start. For statements that cannot run inside a transaction or
+// alongside others, such as VACUUM. `work` receives the same context as withTransaction's.
+function withExclusiveConnection(work) {
+    connectionState.pendingTransactions++;
+
+    const run = connectionState.transactionTail.then(async () => {
+        await waitForStatementsToDrain();
+        return work(transactionContext);
+    });
+
+    connectionState.transactionTail = run
+        .catch(() => {})
+        .then(() => {
+            connectionState.pendingTransactions--;
+        });
+
+    return run;
+}
+
+// Run `work` inside a single transaction. `work` receives a context whose helpers run inside
+// the transaction; it must use those rather than runQuery/getRow/getRows, which would wait
+// for the transaction to finish. Throwing from `work` rolls everything back.
+function withTransaction(work) {
+    return withExclusiveConnection(async (tx) => {
+        await tx.runQuery('BEGIN IMMEDIATE');
+
+        try {
+            const result = await work(tx);
+            await tx.runQuery('COMMIT');
+            return result;
+        } catch (error) {
+            try {
+                await tx.runQuery('ROLLBACK');
+            } catch (rollbackError) {
+                // SQLite may already have rolled back on its own (e.g. disk full)
+                logger.warn(`Rollback failed: ${rollbackError.message}`);
+            }
+            throw error;
+        }
+    });
+}
+
+// Execute one statement per parameter set with a single prepared statement. Failures are
+// reported per row; with allOrNothing the first failure aborts (and, in a transaction, rolls
+// back) the whole batch with an error carrying the failing row's batchIndex.
+async function runPreparedBatch(sql, paramSets, { allOrNothing = false } = {}) {
+    const statement = await new Promise((resolve, reject) => {
+        const prepared = db.prepare(sql, (err) => (err ? reject(err) : resolve(prepared)));
+    });
+
+    const results = [];
+
+    try {
+        for (let i = 0; i < paramSets.length; i++) {
+            try {
+                results.push(await new Promise((resolve, reject) => {
+                    statement.run(paramSets[i], function(err) {
+                        if (err) return reject(err);
+                        resolve({ lastID: this.lastID, changes: this.changes });
+                    });
+                }));
+            } catch (error) {
+                logger.error(`Batch statement failed at index ${i}: ${sql}`, error);
+                if (allOrNothing) {
+                    error.batchIndex = i;
+                    throw error;
+                }
+                results.push({ error });
+            }
+        }
+    } finally {
+        await new Promise(resolve => statement.finalize(() => resolve()));
+    }
+
+    return results;
+}
+
+const transactionContext = {
+    runQuery: execRun,
+    getRow: execGet,
+    getRows: execAll,
+    runBatch: runPreparedBatch
+};
+
+// Batch writer - one transaction and one prepared statement for the whole batch instead of a
+// commit per row
+function writeBatch(sql, paramSets, options = {}) {
+    return withTransaction(tx => tx.runBatch(sql, paramSets, options));
+}
+
+// Store health records inside the caller's transaction, with one prepared statement for the
+// whole batch. Each record carries its deviceId and dataType, plus the index it had in the
+// submitted batch for reporting. Records already stored (same clientRecordId, or same
+// device/type/timestamp/source when there is no clientRecordId) are skipped by the unique
+// indexes and reported as duplicates. A record's syncSessionId, when set, attributes it to that
+// sync session. Every stored record gets a recordUuid - a permanent identifier clients can dedupe
+// on - which is reported back for inserted records, and for a duplicate is the recordUuid of the
+// record already stored.
+async function insertHealthRecords(tx, records, options = {}) {
+    const insertQuery = `
+        INSERT INTO health_data (
+            device_id, data_type, timestamp, value, unit, metadata, source_app, client_record_id,
+            sync_session_id, record_uuid
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT DO NOTHING
+    `;
+
+    const recordUuids = records.map(() => uuidv4());
+
+    const results = await tx.runBatch(insertQuery, records.map((record, i) => [
+        record.deviceId,
+        record.dataType,
+        record.timestamp,
+        encryptNumberField(record.value),
+        record.unit || null,
+        record.metadata ? encryptField(JSON.stringify(record.metadata)) : null,
+        record.sourceApp || null,
+        record.clientRecordId || null,
+        record.syncSessionId || null,
+        recordUuids[i]
+    ]), options);
+
+    const summary = { inserted: 0, insertedUuids: [], duplicates: [], failed: [] };
+
+    for (const [i, result] of results.entries()) {
+        const record = records[i];
+        if (result.error) {
+            summary.failed.push({ index: record.index, error: 'Failed to store record' });
+        } else if (result.changes > 0) {
+            summary.inserted++;
+            summary.insertedUuids.push({ index: record.index, recordUuid: recordUuids[i] });
+        } else {
+            // Looked up by the same key the unique index that skipped it matched on
+            const existing = record.clientRecordId
+                ? await tx.getRow(
+                    'SELECT record_uuid FROM health_data WHERE device_id = ? AND client_record_id = ?',
+                    [record.deviceId, record.clientRecordId]
+                )
+                : await tx.getRow(`
+                    SELECT record_uuid FROM health_data
+                    WHERE device_id = ? AND data_type = ? AND timestamp = ?
+                      AND IFNULL(source_app, '') = ? AND client_record_id IS NULL
+                `, [record.deviceId, record.dataType, record.timestamp, record.sourceApp || '']);
+
+            summary.duplicates.push({
+                index: record.index,
+                clientRecordId: record.clientRecordId || undefined,
+                recordUuid: existing ? existing.record_uuid : undefined
+            });
+        }
+    }
+
+    return summary;
+}
+
 // Close database connection
 function closeDatabase() {
     return new Promise((resolve, reject) => {
@@ -258,9 +364,15 @@ function closeDatabase() {
     });
 }
 
-// Database maintenance functions
+// Latest change sequence number handed out - everything at or below it has been committed
+async function getCurrentChangeSeq() {
+    const row = await getRow("SELECT value FROM sync_state WHERE key = 'change_seq'");
+    return row ? row.value : 0;
+}
+
+// Database maintenance functions - scheduled by maintenance.js
 function vacuum() {
-    return runQuery('VACUUM');
+    return withExclusiveConnection(tx => tx.runQuery('VACUUM'));
 }
 
 function analyze() {
@@ -283,10 +395,16 @@ function getStats() {
 
 module.exports = {
     initDatabase,
+    isInMemory,
     getDatabase,
     runQuery,
     getRow,
     getRows,
+    withTransaction,
+    withExclusiveConnection,
+    writeBatch,
+    insertHealthRecords,
+    getCurrentChangeSeq,
     closeDatabase,
     vacuum,
     analyze,
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const {
+    runQuery,
+    getRow,
+    getRows,
+    withExclusiveConnection,
+    isInMemory,
+    vacuum,
+    analyze
+} = require('./init');
+const { logger } = require('../utils/logger');
+const config = require('../config/config');
+
+// Routine database maintenance (config.database.maintenance), each task run when its last run
+// is its interval old:
+//
+//   checkpoint       copy the WAL back into the database and truncate it, so it cannot grow
+//                    without bound under steady writes
+//   analyze          refresh the statistics the query planner picks indexes by
+//   vacuum           return free pages to the filesystem (incremental vacuum)
+//   integrity_check  PRAGMA integrity_check and foreign_key_check, with the size of each table
+//
+// Every run is recorded in maintenance_runs with its status - 'ok', 'problems' when the task ran
+// and found something wrong, 'failed' when it could not run - and what it found. Runs never
+// overlap; a run asked for while another is going waits for it.
+
+// Free pages handed back per incremental_vacuum statement, so other queries get a turn
+const VACUUM_BATCH_PAGES = 1000;
+
+const TASKS = {
+    checkpoint: { intervalKey: 'checkpointIntervalMs', run: checkpointWal },
+    analyze: { intervalKey: 'analyzeIntervalMs', run: analyzeDatabase },
+    vacuum: { intervalKey: 'vacuumIntervalMs', run: vacuumFreePages },
+    integrity_check: { intervalKey: 'integrityCheckIntervalMs', run: checkIntegrity }
+};
+
+const MAINTENANCE_TASKS = Object.keys(TASKS);
+
+async function fileSize(filePath) {
+    try {
+        return (await fs.promises.stat(filePath)).size;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The database's size: pages in use and free, the WAL, and the bytes each table and its
+// indexes take, largest first
+async function getDatabaseSize() {
+    const { page_size: pageSize } = await getRow('PRAGMA page_size');
+    const { page_count: pageCount } = await getRow('PRAGMA page_count');
+    const { freelist_count: freePages } = await getRow('PRAGMA freelist_count');
+
+    const objects = await getRows(`
+        SELECT s.name, s.pgsize AS bytes, m.type, IFNULL(m.tbl_name, s.name) AS table_name
+        FROM dbstat s
+        LEFT JOIN sqlite_master m ON m.name = s.name
+        WHERE s.aggregate = TRUE
+    `);
+
+    const tables = new Map();
+    for (const object of objects) {
+        const table = tables.get(object.table_name) || { table: object.table_name, bytes: 0, indexBytes: 0 };
+        if (object.type === 'index') {
+            table.indexBytes += object.bytes;
+        } else {
+            table.bytes += object.bytes;
+        }
+        tables.set(object.table_name, table);
+    }
+
+    return {
+        pageSize,
+        pageCount,
+        freePages,
+        databaseBytes: pageSize * pageCount,
+        freeBytes: pageSize * freePages,
+        walBytes: isInMemory() ? null : await fileSize(`${config.database.path}-wal`),
+        tables: [...tables.values()].sort((a, b) => (b.bytes + b.indexBytes) - (a.bytes + a.indexBytes))
+    };
+}
+
+// Checkpoint the WAL and truncate it to nothing. With the connection to itself nothing holds
+// the WAL open, so the checkpoint only comes back busy when another process is reading.
+async function checkpointWal() {
+    const { journal_mode: journalMode } = await getRow('PRAGMA journal_mode');
+    if (journalMode !== 'wal') {
+        return { status: 'ok', details: { skipped: `journal mode is ${journalMode}` } };
+    }
+
+    const walPath = `${config.database.path}-wal`;
+    const walBytesBefore = await fileSize(walPath);
+    const result = await withExclusiveConnection(tx => tx.getRow('PRAGMA wal_checkpoint(TRUNCATE)'));
+    const details = { walBytesBefore, walBytesAfter: await fileSize(walPath) };
+
+    if (result.busy) {
+        return { status: 'problems', details: { ...details, problems: ['Checkpoint did not complete: the database was busy'] } };
+    }
+    return { status: 'ok', details };
+}
+
+async function analyzeDatabase() {
+    await analyze();
+    return { status: 'ok', details: {} };
+}
+
+// Hand free pages back to the filesystem. A database created before incremental vacuum was
+// enabled is converted first, which takes one full VACUUM.
+async function vacuumFreePages() {
+    const freePages = async () => (await getRow('PRAGMA freelist_count')).freelist_count;
+    const { auto_vacuum: autoVacuum } = await getRow('PRAGMA auto_vacuum');
+    const before = await freePages();
+    let converted = false;
+
+    if (autoVacuum === 0) {
+        logger.info('Converting the database to incremental vacuum; this rewrites it once');
+        await withExclusiveConnection(tx => tx.runQuery('PRAGMA auto_vacuum = INCREMENTAL'));
+        await vacuum();
+        converted = true;
+    } else {
+        // incremental_vacuum frees one page per result row, so it is read to the end
+        let remaining = before;
+        while (remaining > 0) {
+            await getRows(`PRAGMA incremental_vacuum(${VACUUM_BATCH_PAGES})`);
+            const now = await freePages();
+            if (now >= remaining) break;
+            remaining = now;
+        }
+    }
+
+    const after = await freePages();
+    const { page_size: pageSize } = await getRow('PRAGMA page_size');
+    return {
+        status: 'ok',
+        details: {
+            converted,
+            freePagesBefore: before,
+            freePagesAfter: after,
+            bytesReclaimed: (before - after) * pageSize
+        }
+    };
+}
+
+// Full integrity and foreign key check. Reports the first 100 integrity problems and the
+// foreign key violations per table, along with the database's size.
+async function checkIntegrity() {
+    const problems = [];
+
+    const integrity = await getRows('PRAGMA integrity_check(100)');
+    problems.push(...integrity.map(row => Object.values(row)[0]).filter(message => message !== 'ok'));
+
+    const foreignKeyViolations = {};
+    for (const violation of await getRows('PRAGMA foreign_key_check')) {
+        foreignKeyViolations[violation.table] = (foreignKeyViolations[violation.table] || 0) + 1;
+    }
+    for (const [table, count] of Object.entries(foreignKeyViolations)) {
+        problems.push(`${count} foreign key violation(s) in ${table}`);
+    }
+
+    return {
+        status: problems.length > 0 ? 'problems' : 'ok',
+        details: { problems, foreignKeyViolations, size: await getDatabaseSize() }
+    };
+}
+
+function toRun(row) {
+    return {
+        id: row.id,
+        task: row.task,
+        status: row.status,
+        startedAt: new Date(row.started_at).toISOString(),
+        durationMs: row.duration_ms,
+        details: row.details ? JSON.parse(row.details) : null
+    };
+}
+
+// Run one task and record it, keeping the newest historyKeep runs of the task
+async function runTask(task) {
+    const started = Date.now();
+    let outcome;
+    try {
+        outcome = await TASKS[task].run();
+    } catch (error) {
+        outcome = { status: 'failed', details: { error: error.message } };
+    }
+    const durationMs = Date.now() - started;
+
+    const { lastID } = await runQuery(`
+        INSERT INTO maintenance_runs (task, status, started_at, duration_ms, details)
+        VALUES (?, ?, ?, ?, ?)
+    `, [task, outcome.status, started, durationMs, JSON.stringify(outcome.details)]);
+    await runQuery(`
+        DELETE FROM maintenance_runs
+        WHERE task = ? AND id NOT IN (
+            SELECT id FROM maintenance_runs WHERE task = ? ORDER BY id DESC LIMIT ?
+        )
+    `, [task, task, config.database.maintenance.historyKeep]);
+
+    if (outcome.status === 'failed') {
+        logger.error(`Database maintenance task ${task} failed: ${outcome.details.error}`);
+    } else if (outcome.status === 'problems') {
+        logger.warn(`Database maintenance task ${task} found problems: ${outcome.details.problems.join('; ')}`);
+    } else {
+        logger.debug(`Database maintenance task ${task} completed in ${durationMs}ms`);
+    }
+
+    return toRun({
+        id: lastID,
+        task,
+        status: outcome.status,
+        started_at: started,
+        duration_ms: durationMs,
+        details: JSON.stringify(outcome.details)
+    });
+}
+
+// The end of the runs queued so far
+let maintenanceTail = Promise.resolve();
+
+// Run the given tasks (every task by default), in the order of MAINTENANCE_TASKS, after any
+// run already under way. Returns the recorded runs.
+function runMaintenance(tasks = MAINTENANCE_TASKS) {
+    const run = maintenanceTail.then(async () => {
+        const runs = [];
+        for (const task of MAINTENANCE_TASKS.filter(name => tasks.includes(name))) {
+            runs.push(await runTask(task));
+        }
+        return runs;
+    });
+
+    maintenanceTail = run.catch(() => {});
+    return run;
+}
+
+// The latest run of each task, by task name
+async function getLatestRuns() {
+    const rows = await getRows(`
+        SELECT r.* FROM maintenance_runs r
+        WHERE r.id = (SELECT MAX(id) FROM maintenance_runs WHERE task = r.task)
+    `);
+    return Object.fromEntries(rows.map(row => [row.task, toRun(row)]));
+}
+
+// Run the tasks whose last run is at least their interval old. Returns the runs made.
+async function runDueMaintenance(now = Date.now()) {
+    const latest = await getLatestRuns();
+    const due = MAINTENANCE_TASKS.filter((task) => {
+        const last = latest[task];
+        return !last || now - new Date(last.startedAt).getTime() >= config.database.maintenance[TASKS[task].intervalKey];
+    });
+
+    return due.length > 0 ? runMaintenance(due) : [];
+}
+
+// Recorded runs, newest first, optionally of one task
+async function getMaintenanceHistory({ task, limit = 50 } = {}) {
+    const rows = await getRows(`
+        SELECT * FROM maintenance_runs
+        ${task ? 'WHERE task = ?' : ''}
+        ORDER BY id DESC
+        LIMIT ?
+    `, task ? [task, limit] : [limit]);
+    return rows.map(toRun);
+}
+
+// Per task, its interval, latest run and when it is next due; and when the database last
+// passed an integrity check
+async function getMaintenanceStatus() {
+    const latest = await getLatestRuns();
+    const tasks = {};
+    for (const task of MAINTENANCE_TASKS) {
+        const intervalMs = config.database.maintenance[TASKS[task].intervalKey];
+        const lastRun = latest[task] || null;
+        tasks[task] = {
+            intervalMs,
+            lastRun,
+            nextDueAt: lastRun ? new Date(new Date(lastRun.startedAt).getTime() + intervalMs).toISOString() : null
+        };
+    }
+
+    const healthy = await getRow(`
+        SELECT MAX(started_at) AS started_at FROM maintenance_runs
+        WHERE task = 'integrity_check' AND status = 'ok'
+    `);
+
+    return {
+        tasks,
+        lastHealthyCheckAt: healthy.started_at ? new Date(healthy.started_at).toISOString() : null
+    };
+}
+
+module.exports = {
+    MAINTENANCE_TASKS,
+    getDatabaseSize,
+    runMaintenance,
+    runDueMaintenance,
+    getMaintenanceHistory,
+    getMaintenanceStatus
+};
@@ -0,0 +1,775 @@
+const fs = require('fs');
+const path = require('path');
+const { getRow, runQuery, withTransaction } = require('./init');
+const { logger } = require('../utils/logger');
+const { isEncryptionEnabled, encryptFile } = require('../utils/encryption');
+const config = require('../config/config');
+
+// Versioned schema migrations. The schema version is kept in PRAGMA user_version; at startup
+// every step above it runs in order, each in its own transaction that also records the new
+// version, so a failed step leaves the database as it was before that step. When an existing
+// database is about to change, a copy of it is written to config.database.migrationBackupDir
+// first.
+//
+// To change the schema, append a step with the next version number. Never edit a step that
+// has been released - deployed databases have already run it. Foreign key enforcement is off
+// while a step runs (so a table can be rebuilt to change a constraint: create the new table,
+// copy the rows across, drop the old one, rename the new one and recreate its indexes and
+// triggers) and the step fails if it leaves any foreign key violated.
+
+// SQL expression producing a random (version 4) UUID, for records that did not get one in JS
+const NEW_RECORD_UUID = `lower(
+    hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' ||
+    substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6))
+)`;
+
+// Version 1 - the schema as it stood when versioning was introduced. Databases created before
+// then are at user_version 0 with some or all of it in place, so every statement here is safe
+// to run against them: tables and indexes are created only if missing, columns added since the
+// first release are added in place, and existing rows are backfilled.
+async function baselineSchema(tx) {
+    const tables = [
+        // Devices table - track registered devices
+        `CREATE TABLE IF NOT EXISTS devices (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            type TEXT NOT NULL CHECK (type IN ('wearos', 'ios')),
+            last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_sync_timestamp BIGINT DEFAULT 0,
+            is_active BOOLEAN DEFAULT 1,
+            metadata JSON,
+            user_id TEXT NOT NULL DEFAULT 'default',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // Health data table - store all health metrics
+        `CREATE TABLE IF NOT EXISTS health_data (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            device_id TEXT NOT NULL,
+            data_type TEXT NOT NULL,
+            timestamp BIGINT NOT NULL,
+            value REAL,
+            unit TEXT,
+            metadata JSON,
+            source_app TEXT,
+            client_record_id TEXT,
+            change_seq INTEGER,
+            sync_session_id TEXT,
+            record_uuid TEXT,
+            version INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+        )`,
+
+        // Sync sessions table - track sync operations
+        `CREATE TABLE IF NOT EXISTS sync_sessions (
+            id TEXT PRIMARY KEY,
+            device_id TEXT NOT NULL,
+            sync_type TEXT NOT NULL CHECK (sync_type IN ('http', 'bluetooth')),
+            status TEXT NOT NULL CHECK (status IN ('started', 'completed', 'failed')),
+            records_synced INTEGER DEFAULT 0,
+            start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+            end_time DATETIME,
+            error_message TEXT,
+            metadata JSON,
+            last_activity DATETIME,
+            FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+        )`,
+
+        // Bluetooth sessions table - track BLE connections
+        `CREATE TABLE IF NOT EXISTS bluetooth_sessions (
+            id TEXT PRIMARY KEY,
+            device_id TEXT,
+            device_address TEXT,
+            connection_status TEXT CHECK (connection_status IN ('connecting', 'connected', 'disconnected', 'failed')),
+            start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+            end_time DATETIME,
+            data_transferred INTEGER DEFAULT 0,
+            error_message TEXT,
+            metadata JSON
+        )`,
+
+        // Device settings table - store device-specific settings including health goals
+        `CREATE TABLE IF NOT EXISTS device_settings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            device_id TEXT NOT NULL,
+            setting_type TEXT NOT NULL,
+            setting_value TEXT NOT NULL,
+            updated_at BIGINT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE,
+            UNIQUE(device_id, setting_type)
+        )`,
+
+        // Upload chunks - numbered pieces of a chunked upload session, held until the
+        // session is committed and its records are ingested together
+        `CREATE TABLE IF NOT EXISTS upload_chunks (
+            session_id TEXT NOT NULL,
+            chunk_index INTEGER NOT NULL,
+            record_count INTEGER NOT NULL,
+            payload JSON NOT NULL,
+            received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (session_id, chunk_index),
+            FOREIGN KEY (session_id) REFERENCES sync_sessions (id) ON DELETE CASCADE
+        )`,
+
+        // Sync checkpoints - how far each consuming device has got with each source device.
+        // Download positions are change sequence numbers the consumer has acknowledged;
+        // upload positions are the latest measurement timestamp accepted from the device.
+        `CREATE TABLE IF NOT EXISTS sync_checkpoints (
+            consumer_device_id TEXT NOT NULL,
+            source_device_id TEXT NOT NULL,
+            direction TEXT NOT NULL CHECK (direction IN ('upload', 'download')),
+            position INTEGER NOT NULL DEFAULT 0,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (consumer_device_id, source_device_id, direction),
+            FOREIGN KEY (consumer_device_id) REFERENCES devices (id) ON DELETE CASCADE
+        )`,
+
+        // Tombstones - records removed by a deletion or replaced by a correction. They take a
+        // change sequence number like any other change so sync feeds can tell devices that
+        // already pulled the record to remove it.
+        `CREATE TABLE IF NOT EXISTS health_data_tombstones (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            record_id INTEGER NOT NULL,
+            device_id TEXT NOT NULL,
+            data_type TEXT NOT NULL,
+            timestamp BIGINT NOT NULL,
+            source_app TEXT,
+            client_record_id TEXT,
+            reason TEXT NOT NULL CHECK (reason IN ('deleted', 'corrected')),
+            replaced_by INTEGER,
+            change_seq INTEGER,
+            deleted_at BIGINT NOT NULL,
+            record_uuid TEXT,
+            version INTEGER
+        )`,
+
+        // Source priority rules - per user and data type, the order in which devices (by id
+        // or by device type) win when more than one recorded the same time bucket
+        `CREATE TABLE IF NOT EXISTS source_priority_rules (
+            user_id TEXT NOT NULL,
+            data_type TEXT NOT NULL,
+            priority JSON NOT NULL,
+            bucket_ms INTEGER NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, data_type)
+        )`,
+
+        // Compatibility batches already ingested, by the batch id the client gave them, with
+        // the outcome reported so a re-posted batch gets the same answer
+        `CREATE TABLE IF NOT EXISTS ingested_batches (
+            device_id TEXT NOT NULL,
+            batch_id TEXT NOT NULL,
+            outcome JSON NOT NULL,
+            received_at BIGINT NOT NULL,
+            PRIMARY KEY (device_id, batch_id)
+        )`,
+
+        // HealthKit samples whose type identifier has no mapping to one of our data types,
+        // kept as uploaded so they are not lost
+        `CREATE TABLE IF NOT EXISTS unmapped_samples (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            device_id TEXT NOT NULL,
+            hk_type TEXT NOT NULL,
+            sample_uuid TEXT,
+            start_date BIGINT,
+            end_date BIGINT,
+            payload JSON NOT NULL,
+            received_at BIGINT NOT NULL,
+            FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+        )`,
+
+        // Sync state table - server-wide counters such as the change sequence
+        `CREATE TABLE IF NOT EXISTS sync_state (
+            key TEXT PRIMARY KEY,
+            value INTEGER NOT NULL
+        )`
+    ];
+
+    // Columns added after the initial release - existing databases need them added in place
+    const columns = [
+        { table: 'health_data', name: 'client_record_id', definition: 'TEXT' },
+        { table: 'health_data', name: 'change_seq', definition: 'INTEGER' },
+        { table: 'devices', name: 'user_id', definition: "TEXT NOT NULL DEFAULT 'default'" },
+        { table: 'health_data', name: 'sync_session_id', definition: 'TEXT' },
+        { table: 'sync_sessions', name: 'last_activity', definition: 'DATETIME' },
+        { table: 'health_data', name: 'record_uuid', definition: 'TEXT' },
+        { table: 'health_data', name: 'version', definition: 'INTEGER NOT NULL DEFAULT 1' },
+        { table: 'health_data_tombstones', name: 'record_uuid', definition: 'TEXT' },
+        { table: 'health_data_tombstones', name: 'version', definition: 'INTEGER' }
+    ];
+
+    const indexes = [
+        // Performance indexes
+        'CREATE INDEX IF NOT EXISTS idx_health_data_device_timestamp ON health_data (device_id, timestamp)',
+        'CREATE INDEX IF NOT EXISTS idx_health_data_type_timestamp ON health_data (data_type, timestamp)',
+        'CREATE INDEX IF NOT EXISTS idx_devices_last_sync ON devices (last_sync_timestamp)',
+        'CREATE INDEX IF NOT EXISTS idx_sync_sessions_device_time ON sync_sessions (device_id, start_time)',
+        'CREATE INDEX IF NOT EXISTS idx_bluetooth_sessions_device ON bluetooth_sessions (device_id, start_time)',
+        'CREATE INDEX IF NOT EXISTS idx_device_settings_device_type ON device_settings (device_id, setting_type)',
+        'CREATE INDEX IF NOT EXISTS idx_health_data_change_seq ON health_data (change_seq)',
+        'CREATE INDEX IF NOT EXISTS idx_tombstones_change_seq ON health_data_tombstones (change_seq)',
+        'CREATE INDEX IF NOT EXISTS idx_tombstones_deleted_at ON health_data_tombstones (deleted_at)',
+        'CREATE INDEX IF NOT EXISTS idx_devices_user ON devices (user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_health_data_sync_session ON health_data (sync_session_id)',
+        'CREATE INDEX IF NOT EXISTS idx_sync_sessions_status ON sync_sessions (status)',
+        'CREATE INDEX IF NOT EXISTS idx_ingested_batches_received ON ingested_batches (received_at)',
+        'CREATE INDEX IF NOT EXISTS idx_unmapped_samples_type ON unmapped_samples (hk_type, start_date)',
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_unmapped_samples_uuid ON unmapped_samples (device_id, sample_uuid) WHERE sample_uuid IS NOT NULL',
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_health_data_record_uuid ON health_data (record_uuid)',
+
+        // Duplicate detection - client-generated IDs first, natural key as the fallback
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_health_data_client_record ON health_data (device_id, client_record_id) WHERE client_record_id IS NOT NULL',
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_health_data_natural_key
+         ON health_data (device_id, data_type, timestamp, IFNULL(source_app, ''))
+         WHERE client_record_id IS NULL`
+    ];
+
+    // Create triggers for updated_at timestamp
+    const triggers = [
+        `CREATE TRIGGER IF NOT EXISTS update_devices_timestamp 
+         AFTER UPDATE ON devices
+         BEGIN
+             UPDATE devices SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+         END`,
+
+        // Every stored or changed record takes the next change sequence number. Sync
+        // cursors are positions in this sequence, so data that arrives late (with old
+        // measurement timestamps) is still picked up by incremental pulls.
+        `CREATE TRIGGER IF NOT EXISTS assign_health_data_change_seq
+         AFTER INSERT ON health_data
+         BEGIN
+             UPDATE sync_state SET value = value + 1 WHERE key = 'change_seq';
+             UPDATE health_data SET change_seq = (SELECT value FROM sync_state WHERE key = 'change_seq')
+             WHERE id = NEW.id;
+         END`,
+
+        // Records stored without an identifier (anything not written by insertHealthRecords)
+        // still get one
+        `CREATE TRIGGER IF NOT EXISTS assign_health_data_record_uuid
+         AFTER INSERT ON health_data
+         WHEN NEW.record_uuid IS NULL
+         BEGIN
+             UPDATE health_data SET record_uuid = ${NEW_RECORD_UUID} WHERE id = NEW.id;
+         END`,
+        `CREATE TRIGGER IF NOT EXISTS assign_tombstone_change_seq
+         AFTER INSERT ON health_data_tombstones
+         BEGIN
+             UPDATE sync_state SET value = value + 1 WHERE key = 'change_seq';
+             UPDATE health_data_tombstones SET change_seq = (SELECT value FROM sync_state WHERE key = 'change_seq')
+             WHERE id = NEW.id;
+         END`,
+        `CREATE TRIGGER IF NOT EXISTS bump_health_data_change_seq
+         AFTER UPDATE OF device_id, data_type, timestamp, value, unit, metadata, source_app ON health_data
+         BEGIN
+             UPDATE sync_state SET value = value + 1 WHERE key = 'change_seq';
+             UPDATE health_data SET change_seq = (SELECT value FROM sync_state WHERE key = 'change_seq')
+             WHERE id = NEW.id;
+         END`
+    ];
+
+    // Add any columns missing from tables created by an older version
+    const addMissingColumns = async () => {
+        for (const column of columns) {
+            const existing = await tx.getRows(`PRAGMA table_info(${column.table})`);
+            if (!existing.some(info => info.name === column.name)) {
+                await tx.runQuery(`ALTER TABLE ${column.table} ADD COLUMN ${column.name} ${column.definition}`);
+                logger.info(`Added column ${column.table}.${column.name}`);
+            }
+        }
+    };
+
+    // Databases written before duplicate detection existed may already hold retried
+    // batches; keep the first copy of each so the natural key index can be created
+    const removeDuplicateRecords = async () => {
+        const index = await tx.getRow(
+            "SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'idx_health_data_natural_key'"
+        );
+        if (index) return;
+
+        const result = await tx.runQuery(`
+            DELETE FROM health_data
+            WHERE client_record_id IS NULL AND id NOT IN (
+                SELECT MIN(id) FROM health_data
+                WHERE client_record_id IS NULL
+                GROUP BY device_id, data_type, timestamp, IFNULL(source_app, '')
+            )
+        `);
+        if (result.changes > 0) {
+            logger.warn(`Removed ${result.changes} duplicate health records before enabling duplicate detection`);
+        }
+    };
+
+    // Seed the change sequence, numbering records stored before it existed in insertion order
+    const initChangeSequence = async () => {
+        await tx.runQuery("INSERT OR IGNORE INTO sync_state (key, value) VALUES ('change_seq', 0)");
+        await tx.runQuery("INSERT OR IGNORE INTO sync_state (key, value) VALUES ('tombstones_compacted_seq', 0)");
+
+        const result = await tx.runQuery(`
+            UPDATE health_data
+            SET change_seq = id + (SELECT value FROM sync_state WHERE key = 'change_seq')
+            WHERE change_seq IS NULL
+        `);
+        if (result.changes > 0) {
+            await tx.runQuery(`
+                UPDATE sync_state
+                SET value = (SELECT MAX(change_seq) FROM health_data)
+                WHERE key = 'change_seq'
+            `);
+            logger.info(`Assigned change sequence numbers to ${result.changes} existing health records`);
+        }
+    };
+
+    // Give records stored before identifiers existed one of their own
+    const assignRecordUuids = async () => {
+        const result = await tx.runQuery(`UPDATE health_data SET record_uuid = ${NEW_RECORD_UUID} WHERE record_uuid IS NULL`);
+        if (result.changes > 0) {
+            logger.info(`Assigned record identifiers to ${result.changes} existing health records`);
+        }
+    };
+
+    for (const query of tables) {
+        await tx.runQuery(query);
+    }
+    await addMissingColumns();
+    await removeDuplicateRecords();
+    await initChangeSequence();
+    await assignRecordUuids();
+    for (const query of [...indexes, ...triggers]) {
+        await tx.runQuery(query);
+    }
+}
+
+const MIGRATIONS = [
+    { version: 1, description: 'Baseline schema', up: baselineSchema },
+    {
+        version: 2,
+        description: 'Downsampled health data aggregates',
+        // Buckets of raw records folded together by the retention job, per device, type and
+        // resolution. Records with no value are not aggregated.
+        up: async (tx) => {
+            await tx.runQuery(`
+                CREATE TABLE health_data_aggregates (
+                    device_id TEXT NOT NULL,
+                    data_type TEXT NOT NULL,
+                    bucket_ms INTEGER NOT NULL,
+                    bucket_start BIGINT NOT NULL,
+                    unit TEXT,
+                    sample_count INTEGER NOT NULL,
+                    value_sum REAL NOT NULL,
+                    value_min REAL NOT NULL,
+                    value_max REAL NOT NULL,
+                    updated_at BIGINT NOT NULL,
+                    PRIMARY KEY (device_id, data_type, bucket_ms, bucket_start),
+                    FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+                )
+            `);
+            await tx.runQuery(
+                'CREATE INDEX idx_health_data_aggregates_type ON health_data_aggregates (data_type, bucket_ms, bucket_start)'
+            );
+        }
+    },
+    {
+        version: 3,
+        description: 'Hourly and daily rollups',
+        // Per device, type and UTC hour or day, kept current by a trigger on insert. Existing
+        // data is rolled up as part of the migration.
+        up: async (tx) => {
+            await tx.runQuery(`
+                CREATE TABLE health_data_rollups (
+                    device_id TEXT NOT NULL,
+                    data_type TEXT NOT NULL,
+                    period TEXT NOT NULL CHECK (period IN ('hour', 'day')),
+                    period_start BIGINT NOT NULL,
+                    sample_count INTEGER NOT NULL,
+                    value_sum REAL NOT NULL,
+                    value_min REAL NOT NULL,
+                    value_max REAL NOT NULL,
+                    last_value REAL NOT NULL,
+                    last_timestamp BIGINT NOT NULL,
+                    PRIMARY KEY (device_id, data_type, period, period_start),
+                    FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+                )
+            `);
+            await tx.runQuery(
+                'CREATE INDEX idx_health_data_rollups_type ON health_data_rollups (data_type, period, period_start)'
+            );
+            // The trigger and the backfill are written out rather than taken from rollups.js and
+            // healthSeries.js, so that later changes there cannot change what this step does
+            await tx.runQuery(`
+                CREATE TRIGGER IF NOT EXISTS add_health_data_to_rollups
+                AFTER INSERT ON health_data
+                WHEN NEW.value IS NOT NULL
+                BEGIN
+                    INSERT INTO health_data_rollups (
+                        device_id, data_type, period, period_start, sample_count, value_sum, value_min, value_max,
+                        last_value, last_timestamp
+                    ) VALUES (
+                        NEW.device_id, NEW.data_type, 'hour', (NEW.timestamp / 3600000) * 3600000, 1,
+                        NEW.value, NEW.value, NEW.value, NEW.value, NEW.timestamp
+                    )
+                    ON CONFLICT (device_id, data_type, period, period_start) DO UPDATE SET
+                        sample_count = sample_count + 1,
+                        value_sum = value_sum + excluded.value_sum,
+                        value_min = MIN(value_min, excluded.value_min),
+                        value_max = MAX(value_max, excluded.value_max),
+                        last_value = CASE WHEN excluded.last_timestamp >= last_timestamp THEN excluded.last_value ELSE last_value END,
+                        last_timestamp = MAX(last_timestamp, excluded.last_timestamp);
+                    INSERT INTO health_data_rollups (
+                        device_id, data_type, period, period_start, sample_count, value_sum, value_min, value_max,
+                        last_value, last_timestamp
+                    ) VALUES (
+                        NEW.device_id, NEW.data_type, 'day', (NEW.timestamp / 86400000) * 86400000, 1,
+                        NEW.value, NEW.value, NEW.value, NEW.value, NEW.timestamp
+                    )
+                    ON CONFLICT (device_id, data_type, period, period_start) DO UPDATE SET
+                        sample_count = sample_count + 1,
+                        value_sum = value_sum + excluded.value_sum,
+                        value_min = MIN(value_min, excluded.value_min),
+                        value_max = MAX(value_max, excluded.value_max),
+                        last_value = CASE WHEN excluded.last_timestamp >= last_timestamp THEN excluded.last_value ELSE last_value END,
+                        last_timestamp = MAX(last_timestamp, excluded.last_timestamp);
+                END
+            `);
+
+            // Roll up the raw records and aggregate buckets already stored
+            for (const [period, periodMs] of [['hour', 3600000], ['day', 86400000]]) {
+                await tx.runQuery(`
+                    INSERT INTO health_data_rollups (
+                        device_id, data_type, period, period_start, sample_count, value_sum, value_min,
+                        value_max, last_value, last_timestamp
+                    )
+                    SELECT device_id, data_type, '${period}', period_start, SUM(sample_count), SUM(value_sum),
+                           MIN(value_min), MAX(value_max), MAX(CASE WHEN recency = 1 THEN value END), MAX(timestamp)
+                    FROM (
+                        SELECT device_id, data_type, (timestamp / ${periodMs}) * ${periodMs} AS period_start,
+                               timestamp, value, sample_count, value_sum, value_min, value_max,
+                               ROW_NUMBER() OVER (
+                                   PARTITION BY device_id, data_type, (timestamp / ${periodMs}) * ${periodMs}
+                                   ORDER BY timestamp DESC
+                               ) AS recency
+                        FROM (
+                            SELECT device_id, data_type, timestamp, value, 1 AS sample_count, value AS value_sum,
+                                   value AS value_min, value AS value_max
+                            FROM health_data
+                            WHERE value IS NOT NULL
+                            UNION ALL
+                            SELECT device_id, data_type, bucket_start, value_sum / sample_count, sample_count,
+                                   value_sum, value_min, value_max
+                            FROM health_data_aggregates
+                        )
+                    )
+                    GROUP BY device_id, data_type, period_start
+                `);
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Encryption keys',
+        // Keys stored fields have been encrypted with, by id. Only the scrypt salt of a
+        // passphrase key is kept (null for raw keys) - never the key or passphrase.
+        up: async (tx) => {
+            await tx.runQuery(`
+                CREATE TABLE encryption_keys (
+                    key_id TEXT PRIMARY KEY,
+                    salt TEXT,
+                    created_at BIGINT NOT NULL
+                )
+            `);
+        }
+    },
+    {
+        version: 5,
+        description: 'Maintenance history',
+        // One row per maintenance task run; details holds what the task found, as JSON
+        up: async (tx) => {
+            await tx.runQuery(`
+                CREATE TABLE maintenance_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    task TEXT NOT NULL,
+                    status TEXT NOT NULL CHECK (status IN ('ok', 'problems', 'failed')),
+                    started_at BIGINT NOT NULL,
+                    duration_ms INTEGER NOT NULL,
+                    details TEXT
+                )
+            `);
+            await tx.runQuery('CREATE INDEX idx_maintenance_runs_task ON maintenance_runs (task, started_at)');
+        }
+    },
+    {
+        version: 6,
+        description: 'Workouts with laps and route points',
+        // Distances and elevation are meters. route_distance and elevation_gain are computed
+        // from the route points when the workout is stored; total_distance is what the client
+        // reported. health_record_uuid names the workout record a compatibility batch stored
+        // alongside the workout. A route point's position (latitude, longitude, altitude) is
+        // JSON, encrypted like record metadata.
+        up: async (tx) => {
+            await tx.runQuery(`
+                CREATE TABLE workouts (
+                    id TEXT PRIMARY KEY,
+                    device_id TEXT NOT NULL,
+                    client_workout_id TEXT,
+                    activity_type TEXT NOT NULL,
+                    start_time BIGINT NOT NULL,
+                    end_time BIGINT NOT NULL,
+                    total_distance REAL,
+                    total_calories REAL,
+                    route_distance REAL,
+                    elevation_gain REAL,
+                    route_point_count INTEGER NOT NULL DEFAULT 0,
+                    source_app TEXT,
+                    health_record_uuid TEXT,
+                    metadata JSON,
+                    created_at BIGINT NOT NULL,
+                    FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+                )
+            `);
+            await tx.runQuery(`
+                CREATE TABLE workout_laps (
+                    workout_id TEXT NOT NULL,
+                    lap_index INTEGER NOT NULL,
+                    start_time BIGINT NOT NULL,
+                    end_time BIGINT NOT NULL,
+                    distance REAL,
+                    total_calories REAL,
+                    PRIMARY KEY (workout_id, lap_index),
+                    FOREIGN KEY (workout_id) REFERENCES workouts (id) ON DELETE CASCADE
+                )
+            `);
+            await tx.runQuery(`
+                CREATE TABLE workout_route_points (
+                    workout_id TEXT NOT NULL,
+                    seq INTEGER NOT NULL,
+                    timestamp BIGINT NOT NULL,
+                    position TEXT NOT NULL,
+                    PRIMARY KEY (workout_id, seq),
+                    FOREIGN KEY (workout_id) REFERENCES workouts (id) ON DELETE CASCADE
+                )
+            `);
+            await tx.runQuery('CREATE INDEX idx_workouts_device_start ON workouts (device_id, start_time)');
+            await tx.runQuery('CREATE INDEX idx_workouts_start ON workouts (start_time)');
+            await tx.runQuery(
+                'CREATE UNIQUE INDEX idx_workouts_client_id ON workouts (device_id, client_workout_id) WHERE client_workout_id IS NOT NULL'
+            );
+        }
+    },
+    {
+        version: 7,
+        description: 'Committing status for upload sessions',
+        // An upload session is 'committing' while its records are being stored, so no chunk,
+        // abort or reaper can change it in the meantime. The status CHECK constraint can only be
+        // changed by rebuilding the table.
+        up: async (tx) => {
+            await tx.runQuery(`
+                CREATE TABLE sync_sessions_new (
+                    id TEXT PRIMARY KEY,
+                    device_id TEXT NOT NULL,
+                    sync_type TEXT NOT NULL CHECK (sync_type IN ('http', 'bluetooth')),
+                    status TEXT NOT NULL CHECK (status IN ('started', 'committing', 'completed', 'failed')),
+                    records_synced INTEGER DEFAULT 0,
+                    start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    end_time DATETIME,
+                    error_message TEXT,
+                    metadata JSON,
+                    last_activity DATETIME,
+                    FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+                )
+            `);
+            await tx.runQuery(`
+                INSERT INTO sync_sessions_new (
+                    id, device_id, sync_type, status, records_synced, start_time, end_time, error_message,
+                    metadata, last_activity
+                )
+                SELECT id, device_id, sync_type, status, records_synced, start_time, end_time, error_message,
+                       metadata, last_activity
+                FROM sync_sessions
+            `);
+            await tx.runQuery('DROP TABLE sync_sessions');
+            await tx.runQuery('ALTER TABLE sync_sessions_new RENAME TO sync_sessions');
+            await tx.runQuery('CREATE INDEX idx_sync_sessions_device_time ON sync_sessions (device_id, start_time)');
+            await tx.runQuery('CREATE INDEX idx_sync_sessions_status ON sync_sessions (status)');
+        }
+    },
+    {
+        version: 8,
+        description: 'Sleep durations in minutes',
+        // iOS compatibility batches used to store sleep as milliseconds (unit 'milliseconds');
+        // every sleep record is now in minutes. Convert those records and any buckets they were
+        // folded into, then recompute the sleep rollups of the devices that had them. Changing
+        // the value gives the records a new change sequence number, so synced devices receive
+        // the converted values.
+        up: async (tx) => {
+            const inMilliseconds = "data_type = 'sleep' AND unit = 'milliseconds'";
+            const devices = (await tx.getRows(`
+                SELECT device_id FROM health_data WHERE ${inMilliseconds}
+                UNION
+                SELECT device_id FROM health_data_aggregates WHERE ${inMilliseconds}
+            `)).map(row => row.device_id);
+            if (devices.length === 0) return;
+
+            await tx.runQuery(`
+                UPDATE health_data SET value = value / 60000.0, unit = 'minutes'
+                WHERE ${inMilliseconds}
+            `);
+            await tx.runQuery(`
+                UPDATE health_data_aggregates
+                SET value_sum = value_sum / 60000.0, value_min = value_min / 60000.0,
+                    value_max = value_max / 60000.0, unit = 'minutes'
+                WHERE ${inMilliseconds}
+            `);
+
+            const deviceList = devices.map(() => '?').join(', ');
+            await tx.runQuery(
+                `DELETE FROM health_data_rollups WHERE data_type = 'sleep' AND device_id IN (${deviceList})`,
+                devices
+            );
+
+            for (const [period, periodMs] of [['hour', 60 * 60 * 1000], ['day', 24 * 60 * 60 * 1000]]) {
+                await tx.runQuery(`
+                    INSERT INTO health_data_rollups (
+                        device_id, data_type, period, period_start, sample_count, value_sum, value_min,
+                        value_max, last_value, last_timestamp
+                    )
+                    SELECT device_id, 'sleep', '${period}', period_start, SUM(sample_count), SUM(value_sum),
+                           MIN(value_min), MAX(value_max), MAX(CASE WHEN recency = 1 THEN value END), MAX(timestamp)
+                    FROM (
+                        SELECT device_id, (timestamp / ${periodMs}) * ${periodMs} AS period_start, timestamp,
+                               value, sample_count, value_sum, value_min, value_max,
+                               ROW_NUMBER() OVER (
+                                   PARTITION BY device_id, (timestamp / ${periodMs}) * ${periodMs}
+                                   ORDER BY timestamp DESC
+                               ) AS recency
+                        FROM (
+                            SELECT device_id, timestamp, value, 1 AS sample_count, value AS value_sum,
+                                   value AS value_min, value AS value_max
+                            FROM health_data
+                            WHERE data_type = 'sleep' AND value IS NOT NULL AND device_id IN (${deviceList})
+                            UNION ALL
+                            SELECT device_id, bucket_start, value_sum / sample_count, sample_count, value_sum,
+                                   value_min, value_max
+                            FROM health_data_aggregates
+                            WHERE data_type = 'sleep' AND device_id IN (${deviceList})
+                        )
+                    )
+                    GROUP BY device_id, period_start
+                `, [...devices, ...devices]);
+            }
+        }
+    },
+    {
+        version: 9,
+        description: 'Rollups kept by the server',
+        // Measurement values may now be encrypted, which the rollup trigger of migration 3 cannot
+        // add up; the server adds stored records to their rollups itself (rollups.js). The
+        // rollups already stored stay as they are.
+        up: async (tx) => {
+            await tx.runQuery('DROP TRIGGER IF EXISTS add_health_data_to_rollups');
+        }
+    }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Schema version of the open database, and the version this server migrates it to
+async function getSchemaVersion() {
+    const row = await getRow('PRAGMA user_version');
+    return { current: row.user_version, latest: LATEST_VERSION };
+}
+
+// Copy the database before it is migrated. VACUUM INTO writes a consistent copy through the open
+// connection, including changes still in the WAL.
+async function backupBeforeMigration(fromVersion) {
+    const backupDir = config.database.migrationBackupDir ||
+        path.join(path.dirname(config.database.path), 'backups');
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    const baseName = path.basename(config.database.path, path.extname(config.database.path));
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `${baseName}-v${fromVersion}-${stamp}.db`);
+
+    await runQuery('VACUUM INTO ?', [backupPath]);
+    if (!isEncryptionEnabled()) {
+        logger.info(`Backed up database to ${backupPath} before migrating`);
+        return backupPath;
+    }
+
+    await encryptFile(backupPath, `${backupPath}.enc`);
+    await fs.promises.rm(backupPath);
+    logger.info(`Backed up database to ${backupPath}.enc before migrating`);
+    return `${backupPath}.enc`;
+}
+
+// Bring the database up to LATEST_VERSION. A database written by a newer server is refused
+// rather than run with a schema this version does not know.
+async function runMigrations() {
+    const { current } = await getSchemaVersion();
+
+    if (current > LATEST_VERSION) {
+        throw new Error(
+            `Database schema version ${current} is newer than this server supports (${LATEST_VERSION}). ` +
+            'Upgrade the server or restore a backup.'
+        );
+    }
+
+    const pending = MIGRATIONS.filter(migration => migration.version > current);
+    if (pending.length === 0) {
+        logger.info(`Database schema is at version ${current}`);
+        return { from: current, to: current, applied: [], backupPath: null };
+    }
+
+    // A brand new database has nothing worth keeping
+    const { tables } = await getRow(
+        "SELECT COUNT(*) as tables FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+    );
+    const backupPath = tables > 0 && config.database.backupBeforeMigration
+        ? await backupBeforeMigration(current)
+        : null;
+
+    logger.info(`Migrating database schema from version ${current} to ${LATEST_VERSION}`);
+
+    const applied = [];
+    // Foreign key enforcement can only be switched outside a transaction
+    await runQuery('PRAGMA foreign_keys = OFF');
+    try {
+        for (const migration of pending) {
+            await withTransaction(async (tx) => {
+                await migration.up(tx);
+
+                const violations = await tx.getRows('PRAGMA foreign_key_check');
+                if (violations.length > 0) {
+                    throw new Error(
+                        `Migration leaves ${violations.length} foreign key violation(s), ` +
+                        `the first in ${violations[0].table}`
+                    );
+                }
+
+                await tx.runQuery(`PRAGMA user_version = ${migration.version}`);
+            }).catch((error) => {
+                logger.error(
+                    `Schema migration ${migration.version} (${migration.description}) failed and was rolled back` +
+                    (backupPath ? `; the database was backed up to ${backupPath}` : ''),
+                    error
+                );
+                throw error;
+            });
+
+            applied.push(migration.version);
+            logger.info(`Applied schema migration ${migration.version}: ${migration.description}`);
+        }
+    } finally {
+        await runQuery('PRAGMA foreign_keys = ON');
+    }
+
+    return { from: current, to: LATEST_VERSION, applied, backupPath };
+}
+
+module.exports = {
+    MIGRATIONS,
+    LATEST_VERSION,
+    getSchemaVersion,
+    runMigrations
+};
@@ -0,0 +1,258 @@
+const { withTransaction } = require('./init');
+const { markRollupsStale, refreshStaleRollups } = require('./rollups');
+const { encryptNumberField, decryptNumberField } = require('../utils/encryption');
+const { logger } = require('../utils/logger');
+const config = require('../config/config');
+
+// Retention and downsampling (config.healthData.retention). Raw records past a type's raw
+// retention are folded into per-device buckets in health_data_aggregates, and buckets are folded
+// into coarser ones as they age, so old high-frequency data costs a row per bucket instead of a
+// row per sample. Folding is not a deletion: no tombstones are written, and devices keep the
+// raw records they already pulled. Values and statistics may be encrypted (see encryption.js),
+// so buckets are computed here rather than in SQL.
+
+// Rows read per query while folding
+const FOLD_BATCH_SIZE = 5000;
+
+// Add the statistics of a record or bucket to the bucket of `bucketMs` it falls in, among
+// `buckets` (keyed by device and bucket start). A new bucket takes the greatest unit.
+function addToBucket(buckets, bucketMs, row, stats) {
+    const bucketStart = Math.floor(row.timestamp / bucketMs) * bucketMs;
+    const key = `${row.device_id}\u0000${bucketStart}`;
+    const bucket = buckets.get(key);
+
+    if (!bucket) {
+        buckets.set(key, { deviceId: row.device_id, bucketStart, unit: row.unit, ...stats });
+        return;
+    }
+
+    bucket.sample_count += stats.sample_count;
+    bucket.value_sum += stats.value_sum;
+    bucket.value_min = Math.min(bucket.value_min, stats.value_min);
+    bucket.value_max = Math.max(bucket.value_max, stats.value_max);
+    if (row.unit !== null && (bucket.unit === null || row.unit > bucket.unit)) bucket.unit = row.unit;
+}
+
+// Hand each row `select` returns to `handle`, reading a batch at a time in (timestamp, row_id)
+// order. After `params`, `select` is given the timestamp (twice) and row_id of the last row
+// read, and the batch size.
+async function forEachBatch(tx, select, params, handle) {
+    let after = [Number.MIN_SAFE_INTEGER, 0];
+    for (;;) {
+        const rows = await tx.getRows(select, [...params, after[0], after[0], after[1], FOLD_BATCH_SIZE]);
+        if (rows.length === 0) break;
+
+        rows.forEach(handle);
+        const last = rows[rows.length - 1];
+        after = [last.timestamp, last.row_id];
+    }
+}
+
+// Write folded buckets of one type and tier, merging them into buckets that already have data
+// (which keep their unit)
+async function writeBuckets(tx, dataType, bucketMs, buckets, now) {
+    for (const bucket of buckets.values()) {
+        const existing = await tx.getRow(`
+            SELECT sample_count, value_sum, value_min, value_max FROM health_data_aggregates
+            WHERE device_id = ? AND data_type = ? AND bucket_ms = ? AND bucket_start = ?
+        `, [bucket.deviceId, dataType, bucketMs, bucket.bucketStart]);
+
+        const stats = { ...bucket };
+        if (existing) {
+            stats.sample_count += existing.sample_count;
+            stats.value_sum += decryptNumberField(existing.value_sum);
+            stats.value_min = Math.min(stats.value_min, decryptNumberField(existing.value_min));
+            stats.value_max = Math.max(stats.value_max, decryptNumberField(existing.value_max));
+        }
+
+        await tx.runQuery(`
+            INSERT INTO health_data_aggregates (
+                device_id, data_type, bucket_ms, bucket_start, unit, sample_count, value_sum,
+                value_min, value_max, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (device_id, data_type, bucket_ms, bucket_start) DO UPDATE SET
+                sample_count = excluded.sample_count,
+                value_sum = excluded.value_sum,
+                value_min = excluded.value_min,
+                value_max = excluded.value_max,
+                updated_at = excluded.updated_at
+        `, [
+            bucket.deviceId,
+            dataType,
+            bucketMs,
+            bucket.bucketStart,
+            bucket.unit,
+            stats.sample_count,
+            encryptNumberField(stats.value_sum),
+            encryptNumberField(stats.value_min),
+            encryptNumberField(stats.value_max),
+            now
+        ]);
+    }
+}
+
+// Why a policy cannot be applied, or null when it is usable
+function checkPolicy(dataType, policy) {
+    if (!config.healthData.supportedTypes.includes(dataType)) {
+        return `unsupported data type ${dataType}`;
+    }
+    if (!(policy.rawMs > 0)) {
+        return 'rawMs must be a positive number of milliseconds';
+    }
+    if (policy.value !== undefined && !['avg', 'sum'].includes(policy.value)) {
+        return "value must be 'avg' or 'sum'";
+    }
+
+    const tiers = policy.tiers || [];
+    for (let i = 0; i < tiers.length; i++) {
+        const tier = tiers[i];
+        if (!Number.isInteger(tier.bucketMs) || tier.bucketMs <= 0) {
+            return `tier ${i} needs a positive whole bucketMs`;
+        }
+        if (i > 0 && tier.bucketMs % tiers[i - 1].bucketMs !== 0) {
+            return `tier ${i} bucketMs must be a multiple of tier ${i - 1}'s`;
+        }
+        if (tier.keepMs === null || tier.keepMs === undefined) {
+            if (i < tiers.length - 1) return `only the last tier may be kept for ever (tier ${i})`;
+        } else if (!(tier.keepMs > 0)) {
+            return `tier ${i} keepMs must be positive or null`;
+        }
+    }
+    return null;
+}
+
+// Apply one type's policy in a single transaction. Returns the number of raw records folded,
+// buckets folded into the next tier, and buckets (or, without tiers, raw records) deleted.
+function applyPolicy(dataType, policy, now) {
+    const tiers = policy.tiers || [];
+
+    return withTransaction(async (tx) => {
+        const outcome = { rawFolded: 0, bucketsFolded: 0, deleted: 0 };
+        const rawCutoff = now - policy.rawMs;
+
+        if (tiers.length > 0) {
+            const bucketMs = tiers[0].bucketMs;
+            const buckets = new Map();
+            await forEachBatch(tx, `
+                SELECT id AS row_id, device_id, timestamp, value, unit FROM health_data
+                WHERE data_type = ? AND timestamp < ? AND value IS NOT NULL
+                  AND (timestamp > ? OR (timestamp = ? AND id > ?))
+                ORDER BY timestamp, id
+                LIMIT ?
+            `, [dataType, rawCutoff], (row) => {
+                const value = decryptNumberField(row.value);
+                addToBucket(buckets, bucketMs, row, {
+                    sample_count: 1,
+                    value_sum: value,
+                    value_min: value,
+                    value_max: value
+                });
+            });
+            await writeBuckets(tx, dataType, bucketMs, buckets, now);
+        }
+
+        const raw = await tx.runQuery(
+            'DELETE FROM health_data WHERE data_type = ? AND timestamp < ?',
+            [dataType, rawCutoff]
+        );
+        if (tiers.length > 0) outcome.rawFolded = raw.changes;
+        else outcome.deleted = raw.changes;
+
+        for (let i = 0; i < tiers.length; i++) {
+            if (tiers[i].keepMs === null || tiers[i].keepMs === undefined) break;
+
+            const cutoff = now - tiers[i].keepMs;
+            const next = tiers[i + 1];
+            if (next) {
+                const buckets = new Map();
+                await forEachBatch(tx, `
+                    SELECT rowid AS row_id, device_id, bucket_start AS timestamp, unit, sample_count,
+                           value_sum, value_min, value_max
+                    FROM health_data_aggregates
+                    WHERE data_type = ? AND bucket_ms = ? AND bucket_start < ?
+                      AND (bucket_start > ? OR (bucket_start = ? AND rowid > ?))
+                    ORDER BY bucket_start, rowid
+                    LIMIT ?
+                `, [dataType, tiers[i].bucketMs, cutoff], (row) => {
+                    addToBucket(buckets, next.bucketMs, row, {
+                        sample_count: row.sample_count,
+                        value_sum: decryptNumberField(row.value_sum),
+                        value_min: decryptNumberField(row.value_min),
+                        value_max: decryptNumberField(row.value_max)
+                    });
+                });
+                await writeBuckets(tx, dataType, next.bucketMs, buckets, now);
+            }
+
+            const expired = await tx.runQuery(
+                'DELETE FROM health_data_aggregates WHERE data_type = ? AND bucket_ms = ? AND bucket_start < ?',
+                [dataType, tiers[i].bucketMs, cutoff]
+            );
+            if (next) outcome.bucketsFolded += expired.changes;
+            else outcome.deleted += expired.changes;
+        }
+
+        return outcome;
+    });
+}
+
+// Apply every configured policy. A policy that is misconfigured or fails is logged and skipped;
+// the others still run. Returns the outcome per data type.
+async function applyRetention(now = Date.now()) {
+    const outcomes = {};
+
+    for (const [dataType, policy] of Object.entries(config.healthData.retention.policies)) {
+        const problem = checkPolicy(dataType, policy);
+        if (problem) {
+            logger.error(`Skipping retention policy for ${dataType}: ${problem}`);
+            continue;
+        }
+
+        try {
+            outcomes[dataType] = await applyPolicy(dataType, policy, now);
+        } catch (error) {
+            logger.error(`Applying retention policy for ${dataType} failed: ${error.message}`);
+            continue;
+        }
+
+        const { rawFolded, bucketsFolded, deleted } = outcomes[dataType];
+        if (rawFolded + bucketsFolded + deleted > 0) {
+            logger.info(`Retention for ${dataType}: folded ${rawFolded} raw records and ${bucketsFolded} buckets, deleted ${deleted}`);
+        }
+    }
+
+    return outcomes;
+}
+
+// Remove aggregate buckets alongside a deletion of raw records. `before` removes only buckets
+// that end by then.
+function deleteAggregates({ deviceId, dataType, before } = {}) {
+    const conditions = ['1 = 1'];
+    const params = [];
+
+    if (deviceId) {
+        conditions.push('device_id = ?');
+        params.push(deviceId);
+    }
+    if (dataType) {
+        conditions.push('data_type = ?');
+        params.push(dataType);
+    }
+    if (before !== undefined) {
+        conditions.push('bucket_start + bucket_ms <= ?');
+        params.push(before);
+    }
+    const whereClause = conditions.join(' AND ');
+
+    return withTransaction(async (tx) => {
+        await markRollupsStale(tx, 'health_data_aggregates', whereClause, params, 'bucket_start');
+        const result = await tx.runQuery(`DELETE FROM health_data_aggregates WHERE ${whereClause}`, params);
+        await refreshStaleRollups(tx);
+        return result.changes;
+    });
+}
+
+module.exports = {
+    applyRetention,
+    deleteAggregates
+};
@@ -0,0 +1,378 @@
+const { getRows, withTransaction } = require('./init');
+const { HEALTH_SERIES, bucketValue } = require('./healthSeries');
+const { encryptNumberField, decryptNumberField } = require('../utils/encryption');
+
+// Hourly and daily rollups of health data per device and type (count, sum, min, max and the
+// latest value), for analytics to read instead of scanning raw records. Periods are UTC.
+//
+// Stored records are added to their rollups by addToRollups, in the transaction that stores
+// them. Deleting or correcting records marks their rollups stale and recomputes them from what
+// remains, raw records and aggregate buckets alike, so downsampling (which moves records into
+// buckets rather than removing data) leaves rollups alone. Records without a value are not
+// rolled up. The statistics may be encrypted like the values they come from (see
+// encryption.js), so they are computed here rather than in SQL; a rollup encrypted under a key
+// that is not configured fails the read or update that needs it.
+
+const ROLLUP_PERIODS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+const ROLLUP_COLUMNS = 'sample_count, value_sum, value_min, value_max, last_value, last_timestamp';
+
+const WRITE_ROLLUP = `
+    INSERT INTO health_data_rollups (device_id, data_type, period, period_start, ${ROLLUP_COLUMNS})
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (device_id, data_type, period, period_start) DO UPDATE SET
+        sample_count = excluded.sample_count,
+        value_sum = excluded.value_sum,
+        value_min = excluded.value_min,
+        value_max = excluded.value_max,
+        last_value = excluded.last_value,
+        last_timestamp = excluded.last_timestamp
+`;
+
+// A stored rollup row with its statistics decrypted
+function readRollup(row) {
+    return {
+        ...row,
+        value_sum: decryptNumberField(row.value_sum),
+        value_min: decryptNumberField(row.value_min),
+        value_max: decryptNumberField(row.value_max),
+        last_value: decryptNumberField(row.last_value)
+    };
+}
+
+// Add the statistics of `more` to `stats`, both in rollup form. Returns `stats`.
+function mergeStats(stats, more) {
+    stats.sample_count += more.sample_count;
+    stats.value_sum += more.value_sum;
+    stats.value_min = Math.min(stats.value_min, more.value_min);
+    stats.value_max = Math.max(stats.value_max, more.value_max);
+    if (more.last_timestamp >= stats.last_timestamp) {
+        stats.last_value = more.last_value;
+        stats.last_timestamp = more.last_timestamp;
+    }
+    return stats;
+}
+
+// Statistics of a single value
+function statsOf(value, timestamp) {
+    return {
+        sample_count: 1,
+        value_sum: value,
+        value_min: value,
+        value_max: value,
+        last_value: value,
+        last_timestamp: timestamp
+    };
+}
+
+function writeRollup(tx, key, stats) {
+    return tx.runQuery(WRITE_ROLLUP, [
+        key.deviceId,
+        key.dataType,
+        key.period,
+        key.periodStart,
+        stats.sample_count,
+        encryptNumberField(stats.value_sum),
+        encryptNumberField(stats.value_min),
+        encryptNumberField(stats.value_max),
+        encryptNumberField(stats.last_value),
+        stats.last_timestamp
+    ]);
+}
+
+// Add newly stored records (deviceId, dataType, timestamp and value, as given to
+// insertHealthRecords) to their rollups, inside the transaction that stored them
+async function addToRollups(tx, records) {
+    const additions = new Map();
+
+    for (const record of records) {
+        if (record.value === null || record.value === undefined) continue;
+
+        for (const [period, periodMs] of Object.entries(ROLLUP_PERIODS)) {
+            const periodStart = Math.floor(record.timestamp / periodMs) * periodMs;
+            const id = `${record.deviceId}\u0000${record.dataType}\u0000${period}\u0000${periodStart}`;
+            const stats = statsOf(Number(record.value), record.timestamp);
+            const addition = additions.get(id);
+
+            if (addition) {
+                mergeStats(addition.stats, stats);
+            } else {
+                additions.set(id, {
+                    key: { deviceId: record.deviceId, dataType: record.dataType, period, periodStart },
+                    stats
+                });
+            }
+        }
+    }
+
+    for (const { key, stats } of additions.values()) {
+        const existing = await tx.getRow(`
+            SELECT ${ROLLUP_COLUMNS} FROM health_data_rollups
+            WHERE device_id = ? AND data_type = ? AND period = ? AND period_start = ?
+        `, [key.deviceId, key.dataType, key.period, key.periodStart]);
+
+        await writeRollup(tx, key, existing ? mergeStats(readRollup(existing), stats) : stats);
+    }
+}
+
+// Rollups waiting to be recomputed within the current transaction
+async function ensureStaleTable(tx) {
+    await tx.runQuery(`
+        CREATE TEMP TABLE IF NOT EXISTS stale_rollups (
+            device_id TEXT NOT NULL,
+            data_type TEXT NOT NULL,
+            period TEXT NOT NULL,
+            period_ms INTEGER NOT NULL,
+            period_start BIGINT NOT NULL,
+            PRIMARY KEY (device_id, data_type, period, period_start)
+        )
+    `);
+}
+
+// Mark the rollups covering the rows of `source` (a table or HEALTH_SERIES) that match
+// `whereClause` as stale, placing rows by their `timeColumn`. Call before changing those rows,
+// then refreshStaleRollups after.
+async function markRollupsStale(tx, source, whereClause, params = [], timeColumn = 'timestamp') {
+    await ensureStaleTable(tx);
+
+    for (const [period, periodMs] of Object.entries(ROLLUP_PERIODS)) {
+        await tx.runQuery(`
+            INSERT OR IGNORE INTO temp.stale_rollups (device_id, data_type, period, period_ms, period_start)
+            SELECT DISTINCT device_id, data_type, ?, ?, (${timeColumn} / ?) * ?
+            FROM ${source}
+            WHERE ${whereClause}
+        `, [period, periodMs, periodMs, periodMs, ...params]);
+    }
+}
+
+// Statistics of one hour from the stored records and aggregate buckets, or null when it holds
+// no values
+async function computeHour(tx, { device_id, data_type, period_start, period_ms }) {
+    const rows = await tx.getRows(`
+        SELECT timestamp, resolution_ms, sample_count, value_sum, value_min, value_max
+        FROM ${HEALTH_SERIES}
+        WHERE device_id = ? AND data_type = ? AND timestamp >= ? AND timestamp < ? AND value IS NOT NULL
+    `, [device_id, data_type, period_start, period_start + period_ms]);
+
+    let stats = null;
+    for (const row of rows) {
+        const valueSum = decryptNumberField(row.value_sum);
+        const entry = {
+            sample_count: row.sample_count,
+            value_sum: valueSum,
+            value_min: decryptNumberField(row.value_min),
+            value_max: decryptNumberField(row.value_max),
+            last_value: row.resolution_ms === null ? valueSum : bucketValue(data_type, row.sample_count, valueSum),
+            last_timestamp: row.timestamp
+        };
+        stats = stats ? mergeStats(stats, entry) : entry;
+    }
+    return stats;
+}
+
+// Statistics of one day from its hourly rollups, or null when it has none
+async function computeDay(tx, { device_id, data_type, period_start, period_ms }) {
+    const rows = await tx.getRows(`
+        SELECT ${ROLLUP_COLUMNS} FROM health_data_rollups
+        WHERE device_id = ? AND data_type = ? AND period = 'hour' AND period_start >= ? AND period_start < ?
+    `, [device_id, data_type, period_start, period_start + period_ms]);
+
+    let stats = null;
+    for (const row of rows) {
+        stats = stats ? mergeStats(stats, readRollup(row)) : readRollup(row);
+    }
+    return stats;
+}
+
+// Recompute the stale rollups from the stored records and aggregate buckets. Hours come first,
+// so that days can be combined from them. Rollups left with nothing in them disappear. Returns
+// the number of rollups written.
+async function refreshStaleRollups(tx) {
+    await ensureStaleTable(tx);
+
+    await tx.runQuery(`
+        DELETE FROM health_data_rollups
+        WHERE (device_id, data_type, period, period_start) IN (
+            SELECT device_id, data_type, period, period_start FROM temp.stale_rollups
+        )
+    `);
+
+    const stale = await tx.getRows(`
+        SELECT device_id, data_type, period, period_ms, period_start FROM temp.stale_rollups
+        ORDER BY period_ms, device_id, data_type, period_start
+    `);
+
+    let written = 0;
+    for (const rollup of stale) {
+        const stats = rollup.period === 'hour' ? await computeHour(tx, rollup) : await computeDay(tx, rollup);
+        if (!stats) continue;
+
+        await writeRollup(tx, {
+            deviceId: rollup.device_id,
+            dataType: rollup.data_type,
+            period: rollup.period,
+            periodStart: rollup.period_start
+        }, stats);
+        written++;
+    }
+
+    await tx.runQuery('DELETE FROM temp.stale_rollups');
+    return written;
+}
+
+// Recompute rollups from scratch, for one device and/or type or for everything. Returns the
+// number of rollups written.
+function rebuildRollups({ deviceId, dataType } = {}) {
+    const conditions = ['1 = 1'];
+    const params = [];
+
+    if (deviceId) {
+        conditions.push('device_id = ?');
+        params.push(deviceId);
+    }
+    if (dataType) {
+        conditions.push('data_type = ?');
+        params.push(dataType);
+    }
+
+    return withTransaction(async (tx) => {
+        await tx.runQuery(`DELETE FROM health_data_rollups WHERE ${conditions.join(' AND ')}`, params);
+        await markRollupsStale(tx, HEALTH_SERIES, conditions.join(' AND '), params);
+        return refreshStaleRollups(tx);
+    });
+}
+
+// Rollups of the given devices for one data type and period, newest first. `since` includes
+// every period that ends after it, so the first period may reach back before it.
+async function getRollups(deviceIds, dataType, period, { since = 0 } = {}) {
+    const rows = await getRows(`
+        SELECT device_id, data_type, period_start AS timestamp, ${ROLLUP_COLUMNS}
+        FROM health_data_rollups
+        WHERE device_id IN (${deviceIds.map(() => '?').join(', ')}) AND data_type = ? AND period = ?
+          AND period_start > ?
+        ORDER BY period_start DESC, device_id
+    `, [...deviceIds, dataType, period, since - ROLLUP_PERIODS[period]]);
+
+    return rows.map((row) => {
+        const rollup = readRollup(row);
+        return { ...rollup, value: rollup.value_sum / rollup.sample_count };
+    });
+}
+
+// Data types the given devices have rollups of a period for, since `since` (as in getRollups)
+async function getRollupDataTypes(deviceIds, period, { since = 0 } = {}) {
+    const rows = await getRows(`
+        SELECT DISTINCT data_type FROM health_data_rollups
+        WHERE device_id IN (${deviceIds.map(() => '?').join(', ')}) AND period = ? AND period_start > ?
+    `, [...deviceIds, period, since - ROLLUP_PERIODS[period]]);
+    return rows.map(row => row.data_type);
+}
+
+// Sample count and average per data type of one device's hourly rollups since `since`
+async function summarizeRollups(deviceId, { since = 0 } = {}) {
+    const rows = await getRows(`
+        SELECT data_type, sample_count, value_sum
+        FROM health_data_rollups
+        WHERE device_id = ? AND period = 'hour' AND period_start > ?
+        ORDER BY data_type
+    `, [deviceId, since - ROLLUP_PERIODS.hour]);
+
+    const byType = new Map();
+    for (const row of rows) {
+        const totals = byType.get(row.data_type) || { count: 0, sum: 0 };
+        totals.count += row.sample_count;
+        totals.sum += decryptNumberField(row.value_sum);
+        byType.set(row.data_type, totals);
+    }
+
+    return [...byType].map(([dataType, { count, sum }]) => ({ data_type: dataType, count, average: sum / count }));
+}
+
+// SQLite expressions grouping a rollup's period_start into trend periods
+const TREND_GROUPS = {
+    hourly: "strftime('%Y-%m-%d %H', datetime(period_start/1000, 'unixepoch'))",
+    daily: "strftime('%Y-%m-%d', datetime(period_start/1000, 'unixepoch'))",
+    weekly: "strftime('%Y-W%W', datetime(period_start/1000, 'unixepoch'))"
+};
+
+// One device's rollups of a period combined into hourly, daily or weekly trend periods (average,
+// minimum, maximum and count), oldest first
+async function getRollupTrends(deviceId, dataType, period, trendPeriod, { since = 0 } = {}) {
+    const groupBy = TREND_GROUPS[trendPeriod] || TREND_GROUPS.daily;
+
+    const rows = await getRows(`
+        SELECT ${groupBy} as period, ${ROLLUP_COLUMNS}
+        FROM health_data_rollups
+        WHERE device_id = ? AND data_type = ? AND period = ? AND period_start > ?
+        ORDER BY period
+    `, [deviceId, dataType, period, since - ROLLUP_PERIODS[period]]);
+
+    const trends = new Map();
+    for (const row of rows) {
+        const rollup = readRollup(row);
+        const trend = trends.get(row.period);
+        trends.set(row.period, trend ? mergeStats(trend, rollup) : rollup);
+    }
+
+    return [...trends.values()].map(trend => ({
+        period: trend.period,
+        average: trend.value_sum / trend.sample_count,
+        minimum: trend.value_min,
+        maximum: trend.value_max,
+        count: trend.sample_count
+    }));
+}
+
+// Combine entries (rollups, or records from HEALTH_SERIES) into per-device rollups of a period,
+// newest first - for series that had to be resolved in JS
+function rollUp(entries, period) {
+    const periodMs = ROLLUP_PERIODS[period];
+    const rollups = new Map();
+
+    for (const entry of entries) {
+        if (entry.value === null) continue;
+
+        const periodStart = Math.floor(entry.timestamp / periodMs) * periodMs;
+        const key = `${entry.device_id}\u0000${periodStart}`;
+        const stats = {
+            sample_count: entry.sample_count,
+            value_sum: entry.value_sum,
+            value_min: entry.value_min,
+            value_max: entry.value_max,
+            last_value: entry.last_value !== undefined ? entry.last_value : entry.value,
+            last_timestamp: entry.last_timestamp !== undefined ? entry.last_timestamp : entry.timestamp
+        };
+        const rollup = rollups.get(key);
+
+        if (rollup) {
+            mergeStats(rollup, stats);
+        } else {
+            rollups.set(key, {
+                device_id: entry.device_id,
+                data_type: entry.data_type,
+                timestamp: periodStart,
+                ...stats
+            });
+        }
+    }
+
+    return [...rollups.values()]
+        .map(rollup => ({ ...rollup, value: rollup.value_sum / rollup.sample_count }))
+        .sort((a, b) => b.timestamp - a.timestamp || (a.device_id < b.device_id ? -1 : 1));
+}
+
+module.exports = {
+    ROLLUP_PERIODS,
+    addToRollups,
+    markRollupsStale,
+    refreshStaleRollups,
+    rebuildRollups,
+    getRollups,
+    getRollupDataTypes,
+    summarizeRollups,
+    getRollupTrends,
+    rollUp
+};
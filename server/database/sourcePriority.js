@@ -0,0 +1,304 @@
+const { getRow, getRows, withTransaction } = require('./init');
+const { HEALTH_SERIES, readStoredValues } = require('./healthSeries');
+const { CHANGE_FEED } = require('./changeFeed');
+const { ROLLUP_PERIODS, getRollups, rollUp } = require('./rollups');
+const config = require('../config/config');
+
+// A user's watch and phone often record the same thing (steps, distance, ...) for the same
+// period. Raw rows from every device are always kept; merged views split time into buckets and,
+// for each bucket, count only the records of the best-ranked device that has data in it.
+
+// Effective rules for a user: the configured defaults overlaid with the user's own rules
+async function getPriorityRules(userId) {
+    const rules = {};
+    for (const [dataType, priority] of Object.entries(config.sourcePriority.defaultRules)) {
+        rules[dataType] = { priority, bucketMs: config.sourcePriority.bucketMs, source: 'default' };
+    }
+
+    const stored = await getRows(
+        'SELECT data_type, priority, bucket_ms FROM source_priority_rules WHERE user_id = ?',
+        [userId]
+    );
+    for (const rule of stored) {
+        rules[rule.data_type] = { priority: JSON.parse(rule.priority), bucketMs: rule.bucket_ms, source: 'user' };
+    }
+
+    return rules;
+}
+
+// Put a user's records of one data type back into the sync feeds, so that merged feeds resolve
+// them again under a changed rule. Touching a column bumps each record's change_seq.
+function requeueUserRecords(tx, userId, dataType) {
+    return tx.runQuery(`
+        UPDATE health_data SET unit = unit
+        WHERE data_type = ? AND device_id IN (SELECT id FROM devices WHERE user_id = ?)
+    `, [dataType, userId]);
+}
+
+async function setPriorityRule(userId, dataType, priority, bucketMs = config.sourcePriority.bucketMs) {
+    await withTransaction(async (tx) => {
+        await tx.runQuery(`
+            INSERT INTO source_priority_rules (user_id, data_type, priority, bucket_ms, updated_at)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (user_id, data_type) DO UPDATE SET
+                priority = excluded.priority,
+                bucket_ms = excluded.bucket_ms,
+                updated_at = CURRENT_TIMESTAMP
+        `, [userId, dataType, JSON.stringify(priority), bucketMs]);
+        await requeueUserRecords(tx, userId, dataType);
+    });
+}
+
+// Drop a user's rule so the configured default (if any) applies again
+async function deletePriorityRule(userId, dataType) {
+    return withTransaction(async (tx) => {
+        const result = await tx.runQuery(
+            'DELETE FROM source_priority_rules WHERE user_id = ? AND data_type = ?',
+            [userId, dataType]
+        );
+        if (result.changes === 0) return false;
+
+        await requeueUserRecords(tx, userId, dataType);
+        return true;
+    });
+}
+
+// The user a device belongs to and all of that user's devices as { id: type }
+async function getUserDevices(deviceId) {
+    const device = await getRow('SELECT user_id FROM devices WHERE id = ?', [deviceId]);
+    if (!device) return null;
+
+    const rows = await getRows('SELECT id, type FROM devices WHERE user_id = ?', [device.user_id]);
+    const devices = {};
+    for (const row of rows) devices[row.id] = row.type;
+
+    return { userId: device.user_id, devices };
+}
+
+// Position of a device in a ranking - an entry naming the device itself beats one naming its type
+function rankDevice(priority, deviceId, deviceType) {
+    const byId = priority.indexOf(deviceId);
+    if (byId !== -1) return byId;
+    const byType = priority.indexOf(deviceType);
+    return byType !== -1 ? byType : priority.length;
+}
+
+// Given per-bucket record counts [{ device_id, bucket, count }], the device whose records count
+// for each bucket. Equal ranks go to the device with more records, then to the lower device id.
+function pickBucketWinners(counts, rule, devices) {
+    const winners = new Map();
+    for (const entry of counts) {
+        const candidate = {
+            deviceId: entry.device_id,
+            rank: rankDevice(rule.priority, entry.device_id, devices[entry.device_id]),
+            count: entry.count
+        };
+        const current = winners.get(entry.bucket);
+        if (!current ||
+            candidate.rank < current.rank ||
+            (candidate.rank === current.rank && candidate.count > current.count) ||
+            (candidate.rank === current.rank && candidate.count === current.count && candidate.deviceId < current.deviceId)) {
+            winners.set(entry.bucket, candidate);
+        }
+    }
+    return winners;
+}
+
+// Split records of one data type into those the merged view keeps and those it suppresses.
+// An aggregate bucket counts as the samples it holds.
+function resolveOverlaps(records, rule, devices) {
+    const tally = new Map();
+    for (const record of records) {
+        const key = `${record.device_id}\u0000${Math.floor(record.timestamp / rule.bucketMs)}`;
+        tally.set(key, (tally.get(key) || 0) + (record.sample_count || 1));
+    }
+    const counts = [...tally].map(([key, count]) => {
+        const [device_id, bucket] = key.split('\u0000');
+        return { device_id, bucket: Number(bucket), count };
+    });
+    const winners = pickBucketWinners(counts, rule, devices);
+
+    const kept = [];
+    const suppressed = [];
+    for (const record of records) {
+        const winner = winners.get(Math.floor(record.timestamp / rule.bucketMs));
+        if (winner.deviceId === record.device_id) kept.push(record);
+        else suppressed.push(record);
+    }
+    return { kept, suppressed };
+}
+
+// Merged series of one data type across all devices of the given device's user, newest first,
+// including aggregate buckets where the raw records have been downsampled. Types without a
+// priority rule come back unresolved.
+async function getMergedRecords(deviceId, dataType, { since = 0, until } = {}) {
+    const owner = await getUserDevices(deviceId);
+    const devices = owner ? owner.devices : { [deviceId]: null };
+    const deviceIds = Object.keys(devices);
+
+    const conditions = [`device_id IN (${deviceIds.map(() => '?').join(', ')})`, 'data_type = ?', 'timestamp > ?'];
+    const params = [...deviceIds, dataType, since];
+    if (until) {
+        conditions.push('timestamp <= ?');
+        params.push(until);
+    }
+
+    const records = (await getRows(`
+        SELECT id, device_id, data_type, timestamp, value, unit, metadata, source_app, resolution_ms,
+               sample_count, value_sum, value_min, value_max
+        FROM ${HEALTH_SERIES}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY timestamp DESC
+    `, params)).map(readStoredValues);
+
+    const rules = owner ? await getPriorityRules(owner.userId) : {};
+    if (!rules[dataType]) {
+        return { userId: owner ? owner.userId : null, rule: null, records, suppressed: [] };
+    }
+
+    const { kept, suppressed } = resolveOverlaps(records, rules[dataType], devices);
+    return { userId: owner.userId, rule: rules[dataType], records: kept, suppressed };
+}
+
+// Merged rollups (see rollups.js) of one data type across the given device's user's devices,
+// newest first. Overlaps are resolved on hourly rollups, which serves rules whose buckets are
+// whole hours; other rules are resolved on the records themselves. Day rollups of a resolved
+// series are combined from its hours.
+async function getMergedRollups(deviceId, dataType, period, { since = 0 } = {}) {
+    const owner = await getUserDevices(deviceId);
+    const devices = owner ? owner.devices : { [deviceId]: null };
+    const rules = owner ? await getPriorityRules(owner.userId) : {};
+    const rule = rules[dataType];
+
+    if (!rule) {
+        return getRollups(Object.keys(devices), dataType, period, { since });
+    }
+
+    if (rule.bucketMs % ROLLUP_PERIODS.hour !== 0) {
+        const merged = await getMergedRecords(deviceId, dataType, { since });
+        return rollUp(merged.records, period);
+    }
+
+    const hours = await getRollups(Object.keys(devices), dataType, 'hour', { since });
+    const { kept } = resolveOverlaps(hours, rule, devices);
+    return period === 'hour' ? kept : rollUp(kept, period);
+}
+
+// Resolve a sync feed page against the consumer's merged view. Only records from the consumer's
+// own user are resolved, against all of that user's stored data - including the consumer's own
+// uploads, which never appear in its feed.
+//
+// Each bucket the page touches - with a record or removal from another device, or with one of the
+// consumer's own changes since `fromSeq` - is sent as it now stands: records that lose it, in the
+// page or delivered earlier (up to `toSeq`), come back as 'superseded' removals, and earlier
+// records that now win it are delivered again. A consumer applying every page therefore holds
+// the merged series, whatever order the devices' data arrived in. `since` and `until` narrow the
+// earlier records as they narrowed the page.
+async function filterMergedFeed(consumerDeviceId, records, options = {}) {
+    const { fromSeq = 0, toSeq, since, until, dataType } = options;
+    const owner = await getUserDevices(consumerDeviceId);
+    if (!owner) return { records, suppressed: 0, retracted: 0, redelivered: 0 };
+    const rules = await getPriorityRules(owner.userId);
+    const isResolved = record => Boolean(rules[record.data_type]) && record.device_id in owner.devices;
+
+    const touched = {};
+    const touch = (type, timestamp) => {
+        (touched[type] = touched[type] || new Set()).add(Math.floor(timestamp / rules[type].bucketMs));
+    };
+    for (const record of records.filter(isResolved)) touch(record.data_type, record.timestamp);
+
+    // The consumer's own changes since its last pull can move winners too
+    if (fromSeq > 0) {
+        const types = Object.keys(rules).filter(type => !dataType || type === dataType);
+        const own = types.length === 0 ? [] : await getRows(`
+            SELECT data_type, timestamp FROM ${CHANGE_FEED} h
+            WHERE device_id = ? AND change_seq > ? AND change_seq <= ?
+              AND data_type IN (${types.map(() => '?').join(', ')})
+        `, [consumerDeviceId, fromSeq, toSeq, ...types]);
+        for (const change of own) touch(change.data_type, change.timestamp);
+    }
+
+    const inPage = new Set(records.filter(record => record.kind === 'record').map(record => record.id));
+    const retraction = record => ({ ...record, kind: 'tombstone', reason: 'superseded', replaced_by: null });
+    const losers = new Set();
+    const resent = [];
+    let retracted = 0;
+    const deviceIds = Object.keys(owner.devices);
+    const devicePlaceholders = deviceIds.map(() => '?').join(', ');
+    for (const [type, buckets] of Object.entries(touched)) {
+        const rule = rules[type];
+        const bucketJoin = `
+            FROM json_each(?) b
+            JOIN health_data h ON h.data_type = ?
+                AND h.timestamp >= b.value * ? AND h.timestamp < (b.value + 1) * ?
+        `;
+        const bucketParams = [JSON.stringify([...buckets]), type, rule.bucketMs, rule.bucketMs];
+
+        const counts = await getRows(`
+            SELECT h.device_id, b.value AS bucket, COUNT(*) AS count
+            ${bucketJoin}
+            WHERE h.device_id IN (${devicePlaceholders})
+            GROUP BY h.device_id, b.value
+        `, [...bucketParams, ...deviceIds]);
+        const winners = pickBucketWinners(counts, rule, owner.devices);
+        const wins = record => {
+            const winner = winners.get(Math.floor(record.timestamp / rule.bucketMs));
+            return !winner || winner.deviceId === record.device_id;
+        };
+
+        for (const record of records) {
+            if (record.kind !== 'record' || record.data_type !== type || !isResolved(record)) continue;
+            if (!wins(record)) losers.add(record.id);
+        }
+
+        const conditions = [
+            `h.device_id IN (${devicePlaceholders})`, 'h.device_id != ?', 'h.change_seq <= ?'
+        ];
+        const params = [...deviceIds, consumerDeviceId, toSeq];
+        if (since > 0) {
+            conditions.push('h.timestamp > ?');
+            params.push(since);
+        }
+        if (until) {
+            conditions.push('h.timestamp <= ?');
+            params.push(until);
+        }
+        const earlier = await getRows(`
+            SELECT 'record' AS kind, h.id, h.device_id, h.data_type, h.timestamp, h.value, h.unit,
+                   h.metadata, h.source_app, h.client_record_id, h.record_uuid, h.version,
+                   NULL AS reason, NULL AS replaced_by, NULL AS deleted_at, h.change_seq
+            ${bucketJoin}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY h.change_seq
+        `, [...bucketParams, ...params]);
+        for (const record of earlier.filter(record => !inPage.has(record.id))) {
+            if (wins(record)) {
+                resent.push(readStoredValues(record));
+            } else {
+                resent.push(retraction(record));
+                retracted++;
+            }
+        }
+    }
+
+    return {
+        records: [
+            ...records.map(record => (losers.has(record.id) && record.kind === 'record' ? retraction(record) : record)),
+            ...resent
+        ],
+        suppressed: losers.size,
+        retracted,
+        redelivered: resent.length - retracted
+    };
+}
+
+module.exports = {
+    getPriorityRules,
+    setPriorityRule,
+    deletePriorityRule,
+    getUserDevices,
+    resolveOverlaps,
+    getMergedRecords,
+    getMergedRollups,
+    filterMergedFeed
+};
@@ -0,0 +1,177 @@
+const { runQuery, getRow, getRows, withTransaction } = require('./init');
+const config = require('../config/config');
+
+// Sync sessions group what a device uploads in one sync. Records uploaded with a session ID are
+// attributed to that session, and the session's records_synced is counted from them by the
+// server. Sessions left open are failed by the reaper once they have been idle too long.
+
+// Check that records from a device can be attributed to a session. Returns { session } or
+// { status, error } describing why not.
+async function resolveIngestSession(sessionId, deviceId) {
+    if (typeof sessionId !== 'string' || sessionId.length === 0) {
+        return { status: 400, error: 'Session ID must be a non-empty string' };
+    }
+
+    const session = await getRow('SELECT id, device_id, status, metadata FROM sync_sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+        return { status: 404, error: 'Sync session not found' };
+    }
+
+    if (session.device_id !== deviceId) {
+        return { status: 400, error: 'Sync session belongs to a different device' };
+    }
+
+    if (session.status !== 'started') {
+        return { status: 409, error: `Cannot add records to session with status: ${session.status}` };
+    }
+
+    return { session };
+}
+
+// Open a session for a device. The device must be registered.
+async function startSession(sessionId, deviceId, syncType) {
+    await runQuery(`
+        INSERT INTO sync_sessions (id, device_id, sync_type, status, start_time, last_activity)
+        VALUES (?, ?, ?, 'started', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `, [sessionId, deviceId, syncType]);
+}
+
+function getSession(sessionId) {
+    return getRow(`
+        SELECT id, device_id, sync_type, status, metadata
+        FROM sync_sessions 
+        WHERE id = ?
+    `, [sessionId]);
+}
+
+function isUploadSession(session) {
+    return Boolean(session.metadata && JSON.parse(session.metadata).upload);
+}
+
+// Note activity on a session so the reaper leaves it alone
+// Mark an open session as active inside the caller's transaction, before records are attributed
+// to it. Returns false, touching nothing, once the session has been completed, failed or reaped.
+async function touchSession(tx, sessionId) {
+    const result = await tx.runQuery(
+        "UPDATE sync_sessions SET last_activity = CURRENT_TIMESTAMP WHERE id = ? AND status = 'started'",
+        [sessionId]
+    );
+    return result.changes > 0;
+}
+
+// Close an open session, counting the records attributed to it and dropping any upload chunks
+// it still holds. Returns the record count, or null when the session was no longer open.
+function finishSession(sessionId, status, errorMessage = null) {
+    return withTransaction(tx => closeSession(tx, sessionId, status, errorMessage));
+}
+
+// finishSession inside the caller's transaction. The session is closed only while its status is
+// openStatus ('committing' for an upload session being committed).
+async function closeSession(tx, sessionId, status, errorMessage = null, openStatus = 'started') {
+    const result = await tx.runQuery(`
+        UPDATE sync_sessions
+        SET status = ?,
+            records_synced = (SELECT COUNT(*) FROM health_data WHERE sync_session_id = ?),
+            end_time = CURRENT_TIMESTAMP,
+            error_message = ?
+        WHERE id = ? AND status = ?
+    `, [status, sessionId, errorMessage, sessionId, openStatus]);
+    if (result.changes === 0) return null;
+
+    await tx.runQuery('DELETE FROM upload_chunks WHERE session_id = ?', [sessionId]);
+    const session = await tx.getRow('SELECT records_synced FROM sync_sessions WHERE id = ?', [sessionId]);
+    return session.records_synced;
+}
+
+// Fail every open session that has been idle for longer than its timeout - upload sessions get
+// longer, since chunks of a large upload can be spread out. Returns the sessions reaped.
+async function reapStaleSessions(now = Date.now()) {
+    const open = await getRows(`
+        SELECT id, device_id, metadata, IFNULL(last_activity, start_time) as last_activity
+        FROM sync_sessions
+        WHERE status = 'started'
+    `);
+
+    const reaped = [];
+    for (const session of open) {
+        const timeoutMs = isUploadSession(session) ? config.sync.uploadSessions.timeoutMs : config.sync.syncTimeoutMs;
+        const idleMs = now - parseSqliteTimestamp(session.last_activity);
+        if (idleMs <= timeoutMs) continue;
+
+        const reason = `Timed out after ${Math.round(idleMs / 1000)}s without activity (limit ${Math.round(timeoutMs / 1000)}s)`;
+        const recordsSynced = await finishSession(session.id, 'failed', reason);
+        if (recordsSynced !== null) {
+            reaped.push({ id: session.id, deviceId: session.device_id, recordsSynced, reason });
+        }
+    }
+
+    return reaped;
+}
+
+// Most recent sessions of a device, newest first. Open sessions (and upload sessions being
+// committed) report their records so far.
+async function getRecentSessions(deviceId, limit = 20) {
+    const sessions = await getRows(`
+        SELECT s.id, s.sync_type, s.status, s.start_time, s.end_time, s.last_activity, s.error_message, s.metadata,
+               CASE WHEN s.status IN ('started', 'committing')
+                    THEN (SELECT COUNT(*) FROM health_data h WHERE h.sync_session_id = s.id)
+                    ELSE s.records_synced END as records_synced,
+               (SELECT COUNT(*) FROM upload_chunks c WHERE c.session_id = s.id) as chunks_received
+        FROM sync_sessions s
+        WHERE s.device_id = ?
+        ORDER BY s.start_time DESC, s.rowid DESC
+        LIMIT ?
+    `, [deviceId, limit]);
+
+    return sessions.map(session => {
+        const metadata = session.metadata ? JSON.parse(session.metadata) : {};
+        return {
+            id: session.id,
+            syncType: session.sync_type,
+            status: session.status,
+            recordsSynced: session.records_synced,
+            startTime: session.start_time,
+            endTime: session.end_time,
+            lastActivity: session.last_activity || session.start_time,
+            errorMessage: session.error_message,
+            upload: metadata.upload
+                ? { ...metadata.upload, chunksReceived: session.chunks_received }
+                : undefined
+        };
+    });
+}
+
+// A device's most recent session, or undefined when it has never synced
+function getLatestSession(deviceId) {
+    return getRow(`
+        SELECT sync_type, status, records_synced, start_time, end_time, error_message
+        FROM sync_sessions 
+        WHERE device_id = ?
+        ORDER BY start_time DESC
+        LIMIT 1
+    `, [deviceId]);
+}
+
+async function countOpenSessions() {
+    const { open } = await getRow("SELECT COUNT(*) as open FROM sync_sessions WHERE status IN ('started', 'committing')");
+    return open;
+}
+
+// CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseSqliteTimestamp(value) {
+    return Date.parse(`${value.replace(' ', 'T')}Z`);
+}
+
+module.exports = {
+    startSession,
+    getSession,
+    resolveIngestSession,
+    isUploadSession,
+    touchSession,
+    finishSession,
+    closeSession,
+    reapStaleSessions,
+    getRecentSessions,
+    getLatestSession,
+    countOpenSessions
+};
@@ -0,0 +1,185 @@
+const { getRow, withTransaction } = require('./init');
+const { markRollupsStale, refreshStaleRollups } = require('./rollups');
+const { encryptField, encryptNumberField } = require('../utils/encryption');
+const { logger } = require('../utils/logger');
+const config = require('../config/config');
+
+// Deleting or correcting a health record leaves a tombstone behind so that devices which
+// already pulled the record learn to remove it on their next sync.
+
+// WHERE clause (without WHERE) for the records to delete: one record by id or recordUuid, or
+// those matching deviceId, dataType and before (timestamp earlier than). An empty filter would
+// match every record and is refused.
+function deletionFilter({ id, recordUuid, deviceId, dataType, before } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (id !== undefined) {
+        conditions.push('id = ?');
+        params.push(id);
+    }
+
+    if (recordUuid) {
+        conditions.push('record_uuid = ?');
+        params.push(recordUuid);
+    }
+
+    if (deviceId) {
+        conditions.push('device_id = ?');
+        params.push(deviceId);
+    }
+
+    if (dataType) {
+        conditions.push('data_type = ?');
+        params.push(dataType);
+    }
+
+    if (before !== undefined) {
+        conditions.push('timestamp < ?');
+        params.push(before);
+    }
+
+    if (conditions.length === 0) {
+        throw new Error('Deleting health records needs at least one filter');
+    }
+
+    return { whereClause: conditions.join(' AND '), params };
+}
+
+// Remove the health records matching the filter (see deletionFilter), recording a tombstone for
+// each. Returns the number of records removed.
+function deleteHealthRecords(filter) {
+    const { whereClause, params } = deletionFilter(filter);
+
+    return withTransaction(async (tx) => {
+        await tx.runQuery(`
+            INSERT INTO health_data_tombstones (
+                record_id, device_id, data_type, timestamp, source_app, client_record_id, reason, deleted_at,
+                record_uuid, version
+            )
+            SELECT id, device_id, data_type, timestamp, source_app, client_record_id, 'deleted', ?,
+                   record_uuid, version
+            FROM health_data
+            WHERE ${whereClause}
+            ORDER BY id
+        `, [Date.now(), ...params]);
+
+        await markRollupsStale(tx, 'health_data', whereClause, params);
+        const result = await tx.runQuery(`DELETE FROM health_data WHERE ${whereClause}`, params);
+        await refreshStaleRollups(tx);
+        return result.changes;
+    });
+}
+
+// Replace a stored record with a corrected version. The original is tombstoned (reason
+// 'corrected', pointing at its replacement) and the correction is stored as a new record, so
+// sync clients remove the old sample and then receive the new one. The correction keeps the
+// original's record_uuid with the next version, letting clients that key on it update in place.
+// Returns { id, recordUuid, version } of the new record, or null when the original does not
+// exist. A correction that would duplicate another stored record (same device, type, timestamp
+// and source, for records without a clientRecordId) changes nothing and returns
+// { conflict: { id, recordUuid } } naming that record.
+function correctHealthRecord(recordId, correction) {
+    return withTransaction(async (tx) => {
+        const original = await tx.getRow('SELECT * FROM health_data WHERE id = ?', [recordId]);
+        if (!original) return null;
+
+        // The natural key index would refuse the replacement; records with a clientRecordId keep
+        // theirs, which only the original held
+        if (original.client_record_id === null) {
+            const conflict = await tx.getRow(`
+                SELECT id, record_uuid FROM health_data
+                WHERE device_id = ? AND data_type = ? AND timestamp = ? AND IFNULL(source_app, '') = ?
+                  AND client_record_id IS NULL AND id != ?
+            `, [original.device_id, original.data_type, correction.timestamp, original.source_app || '', recordId]);
+            if (conflict) {
+                return { conflict: { id: conflict.id, recordUuid: conflict.record_uuid } };
+            }
+        }
+
+        const tombstone = await tx.runQuery(`
+            INSERT INTO health_data_tombstones (
+                record_id, device_id, data_type, timestamp, source_app, client_record_id, reason, deleted_at,
+                record_uuid, version
+            ) VALUES (?, ?, ?, ?, ?, ?, 'corrected', ?, ?, ?)
+        `, [
+            original.id,
+            original.device_id,
+            original.data_type,
+            original.timestamp,
+            original.source_app,
+            original.client_record_id,
+            Date.now(),
+            original.record_uuid,
+            original.version
+        ]);
+
+        await markRollupsStale(tx, 'health_data', 'id = ?', [recordId]);
+        await tx.runQuery('DELETE FROM health_data WHERE id = ?', [recordId]);
+
+        const inserted = await tx.runQuery(`
+            INSERT INTO health_data (
+                device_id, data_type, timestamp, value, unit, metadata, source_app, client_record_id,
+                record_uuid, version
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            original.device_id,
+            original.data_type,
+            correction.timestamp,
+            encryptNumberField(correction.value),
+            correction.unit !== undefined ? correction.unit : original.unit,
+            correction.metadata !== undefined
+                ? (correction.metadata ? encryptField(JSON.stringify(correction.metadata)) : null)
+                : original.metadata,
+            original.source_app,
+            original.client_record_id,
+            original.record_uuid,
+            original.version + 1
+        ]);
+
+        await tx.runQuery('UPDATE health_data_tombstones SET replaced_by = ? WHERE id = ?', [
+            inserted.lastID,
+            tombstone.lastID
+        ]);
+        await markRollupsStale(tx, 'health_data', 'id = ?', [inserted.lastID]);
+        await refreshStaleRollups(tx);
+
+        return { id: inserted.lastID, recordUuid: original.record_uuid, version: original.version + 1 };
+    });
+}
+
+// Drop tombstones older than the retention window. The highest change sequence number
+// compacted is remembered so feeds can tell a client that its position predates it and some
+// deletions may have been missed.
+async function compactTombstones(retentionMs = config.sync.tombstoneRetentionMs) {
+    const cutoff = Date.now() - retentionMs;
+
+    const { maxSeq } = await getRow(
+        'SELECT MAX(change_seq) as maxSeq FROM health_data_tombstones WHERE deleted_at < ?',
+        [cutoff]
+    );
+    if (maxSeq === null) return 0;
+
+    const result = await withTransaction(async (tx) => {
+        await tx.runQuery(`
+            UPDATE sync_state SET value = MAX(value, ?) WHERE key = 'tombstones_compacted_seq'
+        `, [maxSeq]);
+        return tx.runQuery('DELETE FROM health_data_tombstones WHERE change_seq <= ?', [maxSeq]);
+    });
+
+    logger.info(`Compacted ${result.changes} tombstones older than ${new Date(cutoff).toISOString()}`);
+    return result.changes;
+}
+
+// Change sequence number up to which tombstones may have been compacted away
+async function getCompactedTombstoneSeq() {
+    const row = await getRow("SELECT value FROM sync_state WHERE key = 'tombstones_compacted_seq'");
+    return row ? row.value : 0;
+}
+
+module.exports = {
+    deleteHealthRecords,
+    correctHealthRecord,
+    compactTombstones,
+    getCompactedTombstoneSeq
+};
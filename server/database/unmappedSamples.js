@@ -0,0 +1,87 @@
+const { getRow, getRows, writeBatch } = require('./init');
+const { encryptField, decryptField } = require('../utils/encryption');
+
+// HealthKit samples we have no data type for are stored as uploaded rather than dropped, so
+// they can still be inspected - and mapped once a mapping exists.
+
+// Store samples (each { index, sample }) for a device. A sample with a uuid the device already
+// uploaded is skipped. Returns { stored, duplicates } as lists of indexes.
+async function storeUnmappedSamples(deviceId, entries) {
+    const now = Date.now();
+    const results = await writeBatch(`
+        INSERT INTO unmapped_samples (device_id, hk_type, sample_uuid, start_date, end_date, payload, received_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT DO NOTHING
+    `, entries.map(({ sample }) => [
+        deviceId,
+        sample.type,
+        typeof sample.uuid === 'string' ? sample.uuid : null,
+        toMillisOrNull(sample.startDate),
+        toMillisOrNull(sample.endDate),
+        encryptField(JSON.stringify(sample)),
+        now
+    ]), { allOrNothing: true });
+
+    const stored = [];
+    const duplicates = [];
+    results.forEach((result, i) => {
+        (result.changes > 0 ? stored : duplicates).push(entries[i].index);
+    });
+    return { stored, duplicates };
+}
+
+// Stored samples, newest first, with the number kept per type identifier
+async function listUnmappedSamples({ deviceId, hkType, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    if (deviceId) {
+        conditions.push('device_id = ?');
+        params.push(deviceId);
+    }
+
+    if (hkType) {
+        conditions.push('hk_type = ?');
+        params.push(hkType);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const samples = await getRows(`
+        SELECT id, device_id, hk_type, sample_uuid, start_date, end_date, payload, received_at
+        FROM unmapped_samples
+        ${whereClause}
+        ORDER BY start_date DESC, id DESC
+        LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const byType = await getRows(`
+        SELECT hk_type, COUNT(*) as count
+        FROM unmapped_samples
+        ${whereClause}
+        GROUP BY hk_type
+        ORDER BY count DESC
+    `, params);
+
+    const { total } = await getRow(`SELECT COUNT(*) as total FROM unmapped_samples ${whereClause}`, params);
+
+    return {
+        total,
+        byType,
+        samples: samples.map(sample => ({
+            ...sample,
+            payload: JSON.parse(decryptField(sample.payload))
+        }))
+    };
+}
+
+function toMillisOrNull(date) {
+    if (date === undefined || date === null) return null;
+    const millis = new Date(date).getTime();
+    return isNaN(millis) ? null : millis;
+}
+
+module.exports = {
+    storeUnmappedSamples,
+    listUnmappedSamples
+};
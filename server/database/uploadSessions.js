@@ -0,0 +1,202 @@
+const { v4: uuidv4 } = require('uuid');
+const { runQuery, getRow, getRows, withTransaction } = require('./init');
+const { closeSession } = require('./syncSessions');
+const { validateRecords, storeRecords, rejectedOutcome, describeOutcome } = require('./ingestion');
+const { encryptField, decryptField } = require('../utils/encryption');
+
+// Chunked upload sessions are sync sessions (sync_sessions rows) whose records arrive as
+// numbered chunks. Chunks are kept in upload_chunks until the session is committed, so a client
+// that loses its connection resends only the chunks the server does not have yet.
+//
+// A commit first moves the session from 'started' to 'committing'. Chunk uploads, aborts and
+// the reaper only touch 'started' sessions, so nothing can change or close the session while
+// its records are being stored; the records are stored and the session closed in one
+// transaction.
+
+async function openUploadSession(deviceId, { totalChunks = null, dataType = null } = {}) {
+    const sessionId = uuidv4();
+    await runQuery(`
+        INSERT INTO sync_sessions (id, device_id, sync_type, status, start_time, metadata)
+        VALUES (?, ?, 'http', 'started', CURRENT_TIMESTAMP, ?)
+    `, [sessionId, deviceId, JSON.stringify({ upload: { totalChunks, dataType } })]);
+    return sessionId;
+}
+
+// The session with its upload settings, or null when it does not exist or is not an upload
+// session
+async function getUploadSession(sessionId) {
+    const session = await getRow(`
+        SELECT id, device_id, status, records_synced, start_time, end_time, error_message, metadata
+        FROM sync_sessions
+        WHERE id = ?
+    `, [sessionId]);
+    if (!session) return null;
+
+    const metadata = session.metadata ? JSON.parse(session.metadata) : {};
+    if (!metadata.upload) return null;
+
+    return {
+        id: session.id,
+        deviceId: session.device_id,
+        status: session.status,
+        recordsSynced: session.records_synced,
+        startTime: session.start_time,
+        endTime: session.end_time,
+        errorMessage: session.error_message,
+        totalChunks: metadata.upload.totalChunks,
+        dataType: metadata.upload.dataType,
+        metadata
+    };
+}
+
+async function setTotalChunks(session, totalChunks) {
+    const metadata = { ...session.metadata, upload: { ...session.metadata.upload, totalChunks } };
+    await runQuery('UPDATE sync_sessions SET metadata = ? WHERE id = ?', [JSON.stringify(metadata), session.id]);
+}
+
+// Store a chunk, replacing any earlier copy with the same index. Returns true when the index
+// was new, false when it replaced one, and null when the session no longer takes chunks (it is
+// being committed or has been closed).
+function storeChunk(sessionId, chunkIndex, records) {
+    const payload = encryptField(JSON.stringify(records));
+
+    return withTransaction(async (tx) => {
+        const session = await tx.getRow('SELECT status FROM sync_sessions WHERE id = ?', [sessionId]);
+        if (!session || session.status !== 'started') return null;
+
+        const existing = await tx.getRow(
+            'SELECT chunk_index FROM upload_chunks WHERE session_id = ? AND chunk_index = ?',
+            [sessionId, chunkIndex]
+        );
+
+        await tx.runQuery(`
+            INSERT INTO upload_chunks (session_id, chunk_index, record_count, payload, received_at)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (session_id, chunk_index) DO UPDATE SET
+                record_count = excluded.record_count,
+                payload = excluded.payload,
+                received_at = CURRENT_TIMESTAMP
+        `, [sessionId, chunkIndex, records.length, payload]);
+        await tx.runQuery('UPDATE sync_sessions SET last_activity = CURRENT_TIMESTAMP WHERE id = ?', [sessionId]);
+
+        return !existing;
+    });
+}
+
+async function getReceivedChunks(sessionId) {
+    return getRows(`
+        SELECT chunk_index, record_count, received_at
+        FROM upload_chunks
+        WHERE session_id = ?
+        ORDER BY chunk_index
+    `, [sessionId]);
+}
+
+// One chunk's records, read with getRow or a transaction's tx.getRow
+async function readChunk(read, sessionId, chunkIndex) {
+    const chunk = await read(
+        'SELECT payload FROM upload_chunks WHERE session_id = ? AND chunk_index = ?',
+        [sessionId, chunkIndex]
+    );
+    return JSON.parse(decryptField(chunk.payload));
+}
+
+// Claim a session for committing, moving it from 'started' to 'committing'. Returns false when
+// the session was not open.
+async function beginCommit(sessionId) {
+    const result = await runQuery(`
+        UPDATE sync_sessions SET status = 'committing', last_activity = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'started'
+    `, [sessionId]);
+    return result.changes > 0;
+}
+
+// Reopen a session whose commit did not go through, so its chunks can be resent and the commit
+// retried
+async function abandonCommit(sessionId) {
+    await runQuery(`
+        UPDATE sync_sessions SET status = 'started', last_activity = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'committing'
+    `, [sessionId]);
+}
+
+// A commit stores its records in one transaction, so a commit cut short by a restart stored
+// nothing. Run at startup to reopen the sessions left 'committing'; returns how many there were.
+async function reopenInterruptedCommits() {
+    const result = await runQuery(`
+        UPDATE sync_sessions SET status = 'started', last_activity = CURRENT_TIMESTAMP
+        WHERE status = 'committing'
+    `);
+    return result.changes;
+}
+
+// Ingest the chunks of a session claimed with beginCommit, in chunk order, and close the session
+// as completed. Chunks are read and decrypted one at a time. Every record is validated before
+// anything is stored: if any is invalid nothing is, and the outcome has rejected set, with
+// indexes counted across the whole upload. Otherwise the records are stored and the session
+// closed in one transaction, whose outcome also gives recordsSynced; a storage failure rolls it
+// all back and is rethrown with recordIndex.
+async function commitUploadSession(session) {
+    const chunkIndexes = (await getReceivedChunks(session.id)).map(chunk => chunk.chunk_index);
+
+    const errors = [];
+    let total = 0;
+    for (const chunkIndex of chunkIndexes) {
+        const records = await readChunk(getRow, session.id, chunkIndex);
+        const { errors: chunkErrors } = validateRecords(session.deviceId, records, session.dataType);
+        errors.push(...chunkErrors.map(error => ({ ...error, index: error.index + total })));
+        total += records.length;
+    }
+
+    if (errors.length > 0) {
+        return rejectedOutcome(total, errors);
+    }
+
+    return withTransaction(async (tx) => {
+        const stored = [];
+        const insertResult = { inserted: 0, insertedUuids: [], duplicates: [], failed: [] };
+        let offset = 0;
+
+        for (const chunkIndex of chunkIndexes) {
+            const records = await readChunk(tx.getRow, session.id, chunkIndex);
+            const { validRecords, errors: chunkErrors } = validateRecords(session.deviceId, records, session.dataType);
+            if (chunkErrors.length > 0) {
+                // Passed a moment ago; only a record right at the maximum age can do this
+                const error = new Error(`Record no longer valid: ${chunkErrors[0].error}`);
+                error.recordIndex = chunkErrors[0].index + offset;
+                throw error;
+            }
+
+            for (const record of validRecords) {
+                record.index += offset;
+                record.syncSessionId = session.id;
+            }
+
+            const result = await storeRecords(tx, session.deviceId, validRecords, { atomic: true });
+            insertResult.inserted += result.inserted;
+            insertResult.insertedUuids.push(...result.insertedUuids);
+            insertResult.duplicates.push(...result.duplicates);
+            stored.push(...validRecords.map(({ index, dataType }) => ({ index, dataType })));
+            offset += records.length;
+        }
+
+        const recordsSynced = await closeSession(tx, session.id, 'completed', null, 'committing');
+        if (recordsSynced === null) {
+            throw new Error(`Upload session ${session.id} is no longer being committed`);
+        }
+
+        return { ...describeOutcome(offset, stored, insertResult, []), recordsSynced };
+    });
+}
+
+module.exports = {
+    openUploadSession,
+    getUploadSession,
+    setTotalChunks,
+    storeChunk,
+    getReceivedChunks,
+    beginCommit,
+    abandonCommit,
+    reopenInterruptedCommits,
+    commitUploadSession
+};
@@ -0,0 +1,293 @@
+const { v4: uuidv4 } = require('uuid');
+const { runQuery, getRow, getRows, withTransaction } = require('./init');
+const { HEALTH_SERIES } = require('./healthSeries');
+const { listHealthRecords } = require('./healthRecords');
+const { deleteHealthRecords } = require('./tombstones');
+const { encryptField, decryptField, decryptJsonField, decryptNumberField } = require('../utils/encryption');
+const {
+    measureRoute,
+    paceSecondsPerKm,
+    averageSpeed,
+    computeSplits,
+    measureLap
+} = require('../utils/workoutMetrics');
+
+// Workouts, with their laps and every route point. A workout links to the heart rate and GPS
+// samples its device recorded between its start and end; those stay ordinary health records,
+// found by time rather than copied, so samples uploaded after the workout are linked too.
+// Route distance and elevation gain are computed once when a workout is stored; splits and
+// lap paces are computed from the route points when a workout is read.
+
+const LINKED_SAMPLE_TYPES = ['heart_rate', 'gps_route'];
+
+// Store a validated, sanitized workout (validateWorkout/sanitizeWorkout) for a device. A
+// workout the device already sent (same clientWorkoutId) is not stored again. Returns
+// { id, duplicate }.
+function createWorkout(deviceId, workout, { healthRecordUuid = null } = {}) {
+    const { distance: routeDistance, elevationGain } = measureRoute(workout.route);
+
+    return withTransaction(async (tx) => {
+        if (workout.clientWorkoutId) {
+            const existing = await tx.getRow(
+                'SELECT id FROM workouts WHERE device_id = ? AND client_workout_id = ?',
+                [deviceId, workout.clientWorkoutId]
+            );
+            if (existing) {
+                return { id: existing.id, duplicate: true };
+            }
+        }
+
+        const id = uuidv4();
+        await tx.runQuery(`
+            INSERT INTO workouts (
+                id, device_id, client_workout_id, activity_type, start_time, end_time, total_distance,
+                total_calories, route_distance, elevation_gain, route_point_count, source_app,
+                health_record_uuid, metadata, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id,
+            deviceId,
+            workout.clientWorkoutId,
+            workout.activityType,
+            workout.startTime,
+            workout.endTime,
+            workout.totalDistance,
+            workout.totalCalories,
+            routeDistance,
+            elevationGain,
+            workout.route.length,
+            workout.sourceApp,
+            healthRecordUuid,
+            workout.metadata ? encryptField(JSON.stringify(workout.metadata)) : null,
+            Date.now()
+        ]);
+
+        if (workout.laps.length > 0) {
+            await tx.runBatch(`
+                INSERT INTO workout_laps (workout_id, lap_index, start_time, end_time, distance, total_calories)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, workout.laps.map((lap, index) => [
+                id, index, lap.startTime, lap.endTime, lap.distance, lap.totalCalories
+            ]), { allOrNothing: true });
+        }
+
+        if (workout.route.length > 0) {
+            await tx.runBatch(`
+                INSERT INTO workout_route_points (workout_id, seq, timestamp, position)
+                VALUES (?, ?, ?, ?)
+            `, workout.route.map((point, index) => [
+                id,
+                index,
+                point.timestamp,
+                encryptField(JSON.stringify({
+                    latitude: point.latitude,
+                    longitude: point.longitude,
+                    altitude: point.altitude
+                }))
+            ]), { allOrNothing: true });
+        }
+
+        return { id, duplicate: false };
+    });
+}
+
+// A workout row as returned by the API. Distance is the route's when it has one, else what the
+// client reported. Metadata that cannot be decrypted comes back null, with metadataUndecryptable
+// set.
+function toWorkout(row) {
+    const durationMs = row.end_time - row.start_time;
+    const metadata = decryptJsonField(row.metadata);
+    const distance = row.route_distance !== null ? row.route_distance : row.total_distance;
+
+    return {
+        id: row.id,
+        deviceId: row.device_id,
+        clientWorkoutId: row.client_workout_id,
+        activityType: row.activity_type,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        durationSeconds: durationMs / 1000,
+        distance,
+        reportedDistance: row.total_distance,
+        paceSecondsPerKm: distance !== null ? paceSecondsPerKm(durationMs, distance) : null,
+        averageSpeed: averageSpeed(durationMs, distance),
+        elevationGain: row.elevation_gain,
+        totalCalories: row.total_calories,
+        routePointCount: row.route_point_count,
+        sourceApp: row.source_app,
+        healthRecordUuid: row.health_record_uuid,
+        metadata: metadata.value,
+        ...(metadata.undecryptable && { metadataUndecryptable: true }),
+        createdAt: row.created_at
+    };
+}
+
+// WHERE clause for the workout filters: deviceId, activityType, and since/until on the start time
+function workoutFilter({ deviceId, activityType, since, until } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (deviceId) {
+        conditions.push('device_id = ?');
+        params.push(deviceId);
+    }
+
+    if (activityType) {
+        conditions.push('activity_type = ?');
+        params.push(activityType);
+    }
+
+    if (since !== undefined) {
+        conditions.push('start_time >= ?');
+        params.push(since);
+    }
+
+    if (until !== undefined) {
+        conditions.push('start_time <= ?');
+        params.push(until);
+    }
+
+    return {
+        whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+// One page of workouts, newest first, with the total matching the filters
+async function listWorkouts(filters, { limit, offset = 0 }) {
+    const { whereClause, params } = workoutFilter(filters);
+
+    const rows = await getRows(`
+        SELECT * FROM workouts
+        ${whereClause}
+        ORDER BY start_time DESC
+        LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const { total } = await getRow(`SELECT COUNT(*) as total FROM workouts ${whereClause}`, params);
+
+    return { workouts: rows.map(toWorkout), total };
+}
+
+// A workout's route points in time order, or null when there is no such workout
+async function getWorkoutRoute(workoutId) {
+    const workout = await getRow('SELECT id FROM workouts WHERE id = ?', [workoutId]);
+    if (!workout) return null;
+
+    const rows = await getRows(
+        'SELECT timestamp, position FROM workout_route_points WHERE workout_id = ? ORDER BY seq',
+        [workoutId]
+    );
+    return rows.map(row => ({ timestamp: row.timestamp, ...JSON.parse(decryptField(row.position)) }));
+}
+
+// What the linked samples hold: per type the records found (an aggregate bucket counts as one)
+// and, for heart rate, the average (weighted by samples), lowest and highest reading
+async function summarizeLinkedSamples(workout) {
+    const rows = await getRows(`
+        SELECT data_type, sample_count, value_sum, value_min, value_max
+        FROM ${HEALTH_SERIES}
+        WHERE device_id = ? AND data_type IN (${LINKED_SAMPLE_TYPES.map(() => '?').join(', ')})
+          AND timestamp >= ? AND timestamp <= ?
+    `, [workout.deviceId, ...LINKED_SAMPLE_TYPES, workout.startTime, workout.endTime]);
+
+    // Values may be encrypted, so they are combined here rather than in SQL
+    const byType = {};
+    for (const row of rows) {
+        if (!byType[row.data_type]) {
+            byType[row.data_type] = { records: 0, samples: 0, sum: null, min: null, max: null };
+        }
+        const stats = byType[row.data_type];
+        stats.records++;
+        stats.samples += row.sample_count;
+
+        const valueSum = decryptNumberField(row.value_sum);
+        if (valueSum === null) continue;
+        const valueMin = decryptNumberField(row.value_min);
+        const valueMax = decryptNumberField(row.value_max);
+        stats.sum = (stats.sum || 0) + valueSum;
+        stats.min = stats.min === null ? valueMin : Math.min(stats.min, valueMin);
+        stats.max = stats.max === null ? valueMax : Math.max(stats.max, valueMax);
+    }
+
+    const heartRate = byType.heart_rate;
+
+    return {
+        heart_rate: heartRate
+            ? {
+                records: heartRate.records,
+                average: heartRate.sum === null ? null : Math.round(heartRate.sum / heartRate.samples),
+                min: heartRate.min,
+                max: heartRate.max
+            }
+            : { records: 0, average: null, min: null, max: null },
+        gps_route: { records: byType.gps_route ? byType.gps_route.records : 0 }
+    };
+}
+
+// A workout with its laps, splits of splitMeters and a summary of its linked samples, or null
+// when there is no such workout
+async function getWorkout(workoutId, { splitMeters } = {}) {
+    const row = await getRow('SELECT * FROM workouts WHERE id = ?', [workoutId]);
+    if (!row) return null;
+
+    const workout = toWorkout(row);
+    const route = await getWorkoutRoute(workoutId);
+    const laps = await getRows(
+        'SELECT * FROM workout_laps WHERE workout_id = ? ORDER BY lap_index',
+        [workoutId]
+    );
+
+    return {
+        ...workout,
+        laps: laps.map(lap => ({
+            lap: lap.lap_index + 1,
+            startTime: lap.start_time,
+            endTime: lap.end_time,
+            totalCalories: lap.total_calories,
+            ...measureLap({ startTime: lap.start_time, endTime: lap.end_time, distance: lap.distance }, route)
+        })),
+        splits: computeSplits(route, splitMeters),
+        samples: await summarizeLinkedSamples(workout)
+    };
+}
+
+// One page of the samples linked to a workout (of one linked type, or all of them), oldest
+// first. Returns null when there is no such workout.
+async function getWorkoutSamples(workoutId, { dataType } = {}, { limit, offset = 0 }) {
+    const row = await getRow('SELECT device_id, start_time, end_time FROM workouts WHERE id = ?', [workoutId]);
+    if (!row) return null;
+
+    const { records, total } = await listHealthRecords({
+        deviceId: row.device_id,
+        dataType: dataType || LINKED_SAMPLE_TYPES,
+        since: row.start_time,
+        until: row.end_time
+    }, { limit, offset, order: 'asc' });
+
+    return { records, total };
+}
+
+// Delete a workout with its laps and route. When it came with a compatibility batch, its
+// workout record is deleted too (tombstoned, so synced devices drop it). Returns false when
+// there is no such workout.
+async function deleteWorkout(workoutId) {
+    const row = await getRow('SELECT health_record_uuid FROM workouts WHERE id = ?', [workoutId]);
+    if (!row) return false;
+
+    await runQuery('DELETE FROM workouts WHERE id = ?', [workoutId]);
+    if (row.health_record_uuid) {
+        await deleteHealthRecords({ recordUuid: row.health_record_uuid });
+    }
+    return true;
+}
+
+module.exports = {
+    LINKED_SAMPLE_TYPES,
+    createWorkout,
+    listWorkouts,
+    getWorkout,
+    getWorkoutRoute,
+    getWorkoutSamples,
+    deleteWorkout
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const { backupDirectory, listSnapshots, takeSnapshot } = require('../database/backups');
+const { getEncryptionStatus, reencryptStoredData } = require('../database/encryption');
+const {
+    MAINTENANCE_TASKS,
+    getDatabaseSize,
+    runMaintenance,
+    getMaintenanceHistory,
+    getMaintenanceStatus
+} = require('../database/maintenance');
+const { getStats } = require('../database/init');
+const { logger } = require('../utils/logger');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// Server administration: backups, at-rest encryption and database maintenance. Restoring a snapshot is deliberately
+// not offered here: it replaces the database under the running server, so it is done from the
+// command line with the server stopped (npm run restore).
+
+// GET /api/v1/admin/backups - Database snapshots, newest first
+router.get('/backups', async (req, res) => {
+    try {
+        const snapshots = await listSnapshots();
+        const { enabled, intervalMs, keep } = config.database.backups;
+
+        res.json({
+            success: true,
+            directory: backupDirectory(),
+            schedule: { enabled, intervalMs, keep },
+            snapshots,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error listing database snapshots:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// POST /api/v1/admin/backups - Take a snapshot now, then rotate out the oldest beyond `keep`.
+// A request made while a snapshot is being written gets that snapshot.
+router.post('/backups', async (req, res) => {
+    try {
+        const { snapshot, rotated } = await takeSnapshot();
+
+        res.status(201).json({
+            success: true,
+            snapshot,
+            rotated,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error taking database snapshot:', error);
+        res.status(500).json({
+            error: 'Failed to take snapshot',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/admin/encryption - Whether stored data is encrypted, and under which keys: per
+// encrypted column, the number of values under each key id ('plaintext' for none). `pending`
+// counts values not yet under the current key; `unreadable` those under keys not configured.
+router.get('/encryption', async (req, res) => {
+    try {
+        const status = await getEncryptionStatus();
+
+        res.json({
+            success: true,
+            ...status,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error reading encryption status:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// POST /api/v1/admin/encryption/reencrypt - Bring stored data under the current key now (the
+// server also does this at startup). Values under keys that are not configured are skipped.
+router.post('/encryption/reencrypt', async (req, res) => {
+    try {
+        const started = Date.now();
+        const columns = await reencryptStoredData();
+        const status = await getEncryptionStatus();
+
+        res.json({
+            success: true,
+            columns,
+            currentKeyId: status.currentKeyId,
+            pending: status.pending,
+            durationMs: Date.now() - started,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error re-encrypting stored data:', error);
+        res.status(500).json({
+            error: 'Failed to re-encrypt stored data',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/admin/maintenance - Database maintenance: each task's latest run and when it is
+// next due, when the database last passed an integrity check, and its size per table
+router.get('/maintenance', async (req, res) => {
+    try {
+        const status = await getMaintenanceStatus();
+        const { enabled, checkIntervalMs } = config.database.maintenance;
+
+        res.json({
+            success: true,
+            schedule: { enabled, checkIntervalMs },
+            ...status,
+            database: {
+                ...(await getDatabaseSize()),
+                records: await getStats()
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error reading maintenance status:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/admin/maintenance/history - Recorded maintenance runs, newest first, optionally
+// of one task (limit, default 50)
+router.get('/maintenance/history', async (req, res) => {
+    try {
+        const { task } = req.query;
+        if (task && !MAINTENANCE_TASKS.includes(task)) {
+            return res.status(400).json({
+                error: `Unknown maintenance task: ${task}`,
+                tasks: MAINTENANCE_TASKS
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const runs = await getMaintenanceHistory({ task, limit });
+
+        res.json({
+            success: true,
+            runs,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error reading maintenance history:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// POST /api/v1/admin/maintenance - Run maintenance now: the tasks listed in `tasks`, or all of
+// them. Waits for a run already under way to finish first.
+router.post('/maintenance', async (req, res) => {
+    try {
+        const tasks = req.body.tasks === undefined ? MAINTENANCE_TASKS : req.body.tasks;
+        if (!Array.isArray(tasks) || tasks.length === 0 || tasks.some(task => !MAINTENANCE_TASKS.includes(task))) {
+            return res.status(400).json({
+                error: `tasks must be a non-empty array of: ${MAINTENANCE_TASKS.join(', ')}`
+            });
+        }
+
+        const runs = await runMaintenance(tasks);
+
+        res.json({
+            success: runs.every(run => run.status !== 'failed'),
+            runs,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error running database maintenance:', error);
+        res.status(500).json({
+            error: 'Failed to run maintenance',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
@@ -1,34 +1,54 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
-const { runQuery, getRow, getRows } = require('../database/init');
-const { logger, logHealthData } = require('../utils/logger');
+const { logger } = require('../utils/logger');
+const { getUserDevices, getMergedRecords, getMergedRollups } = require('../database/sourcePriority');
+const {
+    getRollups,
+    getRollupDataTypes,
+    summarizeRollups,
+    getRollupTrends,
+    rebuildRollups
+} = require('../database/rollups');
+const { getDeviceSetting, setDeviceSetting } = require('../database/deviceSettings');
+const { withParsedMetadata } = require('../database/healthRecords');
 const config = require('../config/config');
 
 const router = express.Router();
 
 // Enhanced health data analytics endpoints
+// By default analytics use the merged view: data from all devices of the device's user, with
+// overlapping sources resolved by the user's source priority rules so that, for example, steps
+// counted by both the watch and the phone are only counted once. Pass view=device to analyse
+// the device's own records alone. Summaries, trends and insights read the hourly and daily
+// rollups (database/rollups.js) rather than raw records; periods are UTC.
+
+const ANALYTICS_VIEWS = ['merged', 'device'];
 
 // GET /api/v1/analytics/summary - Get health data summary for a device
 router.get('/summary/:deviceId', async (req, res) => {
     try {
         const { deviceId } = req.params;
-        const { timeframe = '7d', includeInsights = 'false' } = req.query;
+        const { timeframe = '7d', includeInsights = 'false', view = 'merged' } = req.query;
+        
+        if (!ANALYTICS_VIEWS.includes(view)) {
+            return res.status(400).json(invalidViewResponse());
+        }
         
         const days = parseTimeframe(timeframe);
         const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
         
         // Get health data summary
-        const summary = await generateHealthSummary(deviceId, startDate);
+        const summary = await generateHealthSummary(deviceId, startDate, view);
         
         // Generate insights if requested
         if (includeInsights === 'true') {
-            summary.insights = await generateAIInsights(deviceId, 'all');
+            summary.insights = await generateAIInsights(deviceId, 'all', view);
         }
         
         res.json({
             status: 'success',
             deviceId,
             timeframe,
+            view,
             summary,
             timestamp: new Date().toISOString()
         });
@@ -47,18 +67,23 @@ router.get('/summary/:deviceId', async (req, res) => {
 router.get('/trends/:deviceId', async (req, res) => {
     try {
         const { deviceId } = req.params;
-        const { dataType = 'heart_rate', period = 'daily', days = '30' } = req.query;
+        const { dataType = 'heart_rate', period = 'daily', days = '30', view = 'merged' } = req.query;
+        
+        if (!ANALYTICS_VIEWS.includes(view)) {
+            return res.status(400).json(invalidViewResponse());
+        }
         
         const numDays = parseInt(days);
         const startDate = new Date(Date.now() - numDays * 24 * 60 * 60 * 1000);
         
-        const trends = await generateTrends(deviceId, dataType, period, startDate);
+        const trends = await generateTrends(deviceId, dataType, period, startDate, view);
         
         res.json({
             status: 'success',
             deviceId,
             dataType,
             period,
+            view,
             trends,
             timestamp: new Date().toISOString()
         });
@@ -77,14 +102,19 @@ router.get('/trends/:deviceId', async (req, res) => {
 router.get('/insights/:deviceId', async (req, res) => {
     try {
         const { deviceId } = req.params;
-        const { category = 'all' } = req.query;
+        const { category = 'all', view = 'merged' } = req.query;
+        
+        if (!ANALYTICS_VIEWS.includes(view)) {
+            return res.status(400).json(invalidViewResponse());
+        }
         
-        const insights = await generateAIInsights(deviceId, category);
+        const insights = await generateAIInsights(deviceId, category, view);
         
         res.json({
             status: 'success',
             deviceId,
             category,
+            view,
             insights,
             timestamp: new Date().toISOString()
         });
@@ -99,6 +129,86 @@ router.get('/insights/:deviceId', async (req, res) => {
     }
 });
 
+// GET /api/v1/analytics/merged - Get the merged series for one data type, with the raw
+// records it suppressed for audit
+router.get('/merged/:deviceId', async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { dataType = 'steps', timeframe = '1d' } = req.query;
+        
+        if (!config.healthData.supportedTypes.includes(dataType)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Unsupported data type: ${dataType}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const days = parseTimeframe(timeframe);
+        const since = Date.now() - days * 24 * 60 * 60 * 1000;
+        
+        const merged = await getMergedRecords(deviceId, dataType, { since });
+        
+        res.json({
+            status: 'success',
+            deviceId,
+            userId: merged.userId,
+            dataType,
+            timeframe,
+            rule: merged.rule,
+            records: merged.records.map(withParsedMetadata),
+            suppressed: merged.suppressed.map(withParsedMetadata),
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        logger.error('Error generating merged view:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to generate merged view',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// POST /api/v1/analytics/rollups/rebuild - Recompute the hourly and daily rollups analytics read
+// from, for one device and/or data type or (with neither) for everything
+router.post('/rollups/rebuild', async (req, res) => {
+    try {
+        const { deviceId, dataType } = req.body || {};
+        
+        if (dataType && !config.healthData.supportedTypes.includes(dataType)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Unsupported data type: ${dataType}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const started = Date.now();
+        const rollups = await rebuildRollups({ deviceId, dataType });
+        
+        logger.info(`Rebuilt ${rollups} rollups`, { deviceId, dataType, durationMs: Date.now() - started });
+        
+        res.json({
+            status: 'success',
+            deviceId: deviceId || null,
+            dataType: dataType || null,
+            rollups,
+            durationMs: Date.now() - started,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        logger.error('Error rebuilding rollups:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to rebuild rollups',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 // POST /api/v1/analytics/goals - Set health goals for a device
 router.post('/goals/:deviceId', async (req, res) => {
     try {
@@ -176,33 +286,46 @@ function parseTimeframe(timeframe) {
     }
 }
 
-async function generateHealthSummary(deviceId, startDate) {
+function invalidViewResponse() {
+    return {
+        status: 'error',
+        message: `View must be one of: ${ANALYTICS_VIEWS.join(', ')}`,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Hourly or daily rollups of one data type since startDate, newest first, in the requested
+// view: one entry per device and period with sample_count, value_sum/min/max, last_value and
+// value (the period's average). The first period may start before startDate.
+async function getSeries(deviceId, dataType, startDate, view, period = 'hour') {
+    const since = startDate.getTime();
+    if (view === 'merged') {
+        return getMergedRollups(deviceId, dataType, period, { since });
+    }
+    
+    return getRollups([deviceId], dataType, period, { since });
+}
+
+async function generateHealthSummary(deviceId, startDate, view) {
     const summary = {
-        heartRate: await getHeartRateSummary(deviceId, startDate),
-        steps: await getStepsSummary(deviceId, startDate),
-        sleep: await getSleepSummary(deviceId, startDate),
-        activity: await getActivitySummary(deviceId, startDate)
+        heartRate: await getHeartRateSummary(deviceId, startDate, view),
+        steps: await getStepsSummary(deviceId, startDate, view),
+        sleep: await getSleepSummary(deviceId, startDate, view),
+        activity: await getActivitySummary(deviceId, startDate, view)
     };
     
     return summary;
 }
 
-async function getHeartRateSummary(deviceId, startDate) {
-    const records = await getRows(`
-        SELECT value, timestamp FROM health_data 
-        WHERE device_id = ? AND data_type = 'heart_rate' 
-        AND timestamp > ? 
-        ORDER BY timestamp DESC
-    `, [deviceId, startDate.getTime()]);
+async function getHeartRateSummary(deviceId, startDate, view) {
+    const records = await getSeries(deviceId, 'heart_rate', startDate, view);
     
     if (records.length === 0) {
         return { count: 0, average: 0, min: 0, max: 0, trend: 'stable' };
     }
     
     const values = records.map(r => r.value);
-    const average = values.reduce((a, b) => a + b, 0) / values.length;
-    const min = Math.min(...values);
-    const max = Math.max(...values);
+    const { count, average, minimum: min, maximum: max } = combineSamples(records);
     
     // Calculate trend (simplified)
     const firstHalf = values.slice(0, Math.floor(values.length / 2));
@@ -216,7 +339,7 @@ async function getHeartRateSummary(deviceId, startDate) {
     if (secondAvg < firstAvg - 5) trend = 'decreasing';
     
     return {
-        count: records.length,
+        count,
         average: Math.round(average),
         min,
         max,
@@ -225,32 +348,20 @@ async function getHeartRateSummary(deviceId, startDate) {
     };
 }
 
-async function getStepsSummary(deviceId, startDate) {
-    const records = await getRows(`
-        SELECT value, timestamp FROM health_data 
-        WHERE device_id = ? AND data_type = 'steps' 
-        AND timestamp > ? 
-        ORDER BY timestamp DESC
-    `, [deviceId, startDate.getTime()]);
+async function getStepsSummary(deviceId, startDate, view) {
+    const records = await getSeries(deviceId, 'steps', startDate, view, 'day');
     
     if (records.length === 0) {
         return { count: 0, total: 0, dailyAverage: 0, goalDays: 0 };
     }
     
-    // Group by day
-    const dailySteps = {};
-    records.forEach(record => {
-        const date = new Date(record.timestamp).toDateString();
-        dailySteps[date] = (dailySteps[date] || 0) + record.value;
-    });
-    
-    const dailyValues = Object.values(dailySteps);
+    const dailyValues = Object.values(totalByDay(records));
     const total = dailyValues.reduce((a, b) => a + b, 0);
     const dailyAverage = total / dailyValues.length;
     const goalDays = dailyValues.filter(steps => steps >= 10000).length;
     
     return {
-        count: records.length,
+        count: combineSamples(records).count,
         total,
         dailyAverage: Math.round(dailyAverage),
         goalDays,
@@ -259,41 +370,50 @@ async function getStepsSummary(deviceId, startDate) {
     };
 }
 
-async function getSleepSummary(deviceId, startDate) {
-    const records = await getRows(`
-        SELECT value, metadata, timestamp FROM health_data 
-        WHERE device_id = ? AND data_type = 'sleep' 
-        AND timestamp > ? 
-        ORDER BY timestamp DESC
-    `, [deviceId, startDate.getTime()]);
+async function getSleepSummary(deviceId, startDate, view) {
+    const records = await getSeries(deviceId, 'sleep', startDate, view, 'day');
     
     if (records.length === 0) {
         return { count: 0, averageDuration: 0, quality: 0 };
     }
     
-    const durations = records.map(r => r.value / 3600); // Convert to hours
+    // Sleep recorded in several segments counts as the night's total
+    const durations = Object.values(totalByDay(records)).map(total => total / 60); // Sleep values are minutes
     const averageDuration = durations.reduce((a, b) => a + b, 0) / durations.length;
     
     // Calculate quality score (simplified)
     const quality = Math.min(100, Math.max(0, (averageDuration - 4) / 5 * 100));
     
     return {
-        count: records.length,
+        count: combineSamples(records).count,
         averageDuration: Math.round(averageDuration * 100) / 100,
         quality: Math.round(quality),
         optimalNights: durations.filter(d => d >= 7 && d <= 9).length
     };
 }
 
-async function getActivitySummary(deviceId, startDate) {
-    const records = await getRows(`
-        SELECT data_type, COUNT(*) as count, AVG(value) as average 
-        FROM health_data 
-        WHERE device_id = ? AND timestamp > ? 
-        GROUP BY data_type
-    `, [deviceId, startDate.getTime()]);
-    
+async function getActivitySummary(deviceId, startDate, view) {
     const summary = {};
+    
+    if (view === 'merged') {
+        const owner = await getUserDevices(deviceId);
+        const deviceIds = owner ? Object.keys(owner.devices) : [deviceId];
+        const dataTypes = await getRollupDataTypes(deviceIds, 'hour', { since: startDate.getTime() });
+        
+        for (const data_type of dataTypes) {
+            const records = await getSeries(deviceId, data_type, startDate, view);
+            const stats = combineSamples(records);
+            summary[data_type] = {
+                count: stats.count,
+                average: stats.average !== null ? Math.round(stats.average * 100) / 100 : null
+            };
+        }
+        
+        return summary;
+    }
+    
+    const records = await summarizeRollups(deviceId, { since: startDate.getTime() });
+    
     records.forEach(record => {
         summary[record.data_type] = {
             count: record.count,
@@ -304,33 +424,16 @@ async function getActivitySummary(deviceId, startDate) {
     return summary;
 }
 
-async function generateTrends(deviceId, dataType, period, startDate) {
-    let groupBy;
-    switch (period) {
-        case 'hourly':
-            groupBy = "strftime('%Y-%m-%d %H', datetime(timestamp/1000, 'unixepoch'))";
-            break;
-        case 'daily':
-            groupBy = "strftime('%Y-%m-%d', datetime(timestamp/1000, 'unixepoch'))";
-            break;
-        case 'weekly':
-            groupBy = "strftime('%Y-W%W', datetime(timestamp/1000, 'unixepoch'))";
-            break;
-        default:
-            groupBy = "strftime('%Y-%m-%d', datetime(timestamp/1000, 'unixepoch'))";
+// Hourly trends come from hourly rollups, daily and weekly ones from daily rollups
+async function generateTrends(deviceId, dataType, period, startDate, view) {
+    const rollupPeriod = period === 'hourly' ? 'hour' : 'day';
+    
+    if (view === 'merged') {
+        const records = await getSeries(deviceId, dataType, startDate, view, rollupPeriod);
+        return groupTrendsByPeriod(records, period);
     }
     
-    const trends = await getRows(`
-        SELECT ${groupBy} as period, 
-               AVG(value) as average,
-               MIN(value) as minimum,
-               MAX(value) as maximum,
-               COUNT(*) as count
-        FROM health_data 
-        WHERE device_id = ? AND data_type = ? AND timestamp > ?
-        GROUP BY ${groupBy}
-        ORDER BY period
-    `, [deviceId, dataType, startDate.getTime()]);
+    const trends = await getRollupTrends(deviceId, dataType, rollupPeriod, period, { since: startDate.getTime() });
     
     return trends.map(trend => ({
         period: trend.period,
@@ -341,30 +444,83 @@ async function generateTrends(deviceId, dataType, period, startDate) {
     }));
 }
 
-async function generateAIInsights(deviceId, category) {
-    const insights = [];
+// Same grouping as getRollupTrends' SQL, for rollups already resolved in JS
+function groupTrendsByPeriod(records, period) {
+    const groups = new Map();
+    records.forEach(record => {
+        if (record.value === null) return;
+        const key = trendPeriodKey(record.timestamp, period);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    });
     
-    // Get recent data for analysis
-    const recentData = await getRows(`
-        SELECT data_type, value, timestamp, metadata 
-        FROM health_data 
-        WHERE device_id = ? AND timestamp > ?
-        ORDER BY timestamp DESC
-        LIMIT 1000
-    `, [deviceId, Date.now() - 7 * 24 * 60 * 60 * 1000]);
-    
-    if (recentData.length === 0) {
-        return insights;
+    return [...groups.keys()].sort().map(key => {
+        const stats = combineSamples(groups.get(key));
+        return {
+            period: key,
+            average: Math.round(stats.average * 100) / 100,
+            minimum: stats.minimum,
+            maximum: stats.maximum,
+            count: stats.count
+        };
+    });
+}
+
+// Sample count, average, minimum and maximum over a series of rollups (or of records and
+// aggregate buckets), with each entry weighted by the samples it holds
+function combineSamples(records) {
+    let count = 0;
+    let valued = 0;
+    let sum = 0;
+    let minimum = Infinity;
+    let maximum = -Infinity;
+
+    records.forEach(record => {
+        const samples = record.sample_count || 1;
+        count += samples;
+        if (record.value === null) return;
+        valued += samples;
+        sum += record.value_sum !== undefined ? record.value_sum : record.value;
+        minimum = Math.min(minimum, record.value_min !== undefined ? record.value_min : record.value);
+        maximum = Math.max(maximum, record.value_max !== undefined ? record.value_max : record.value);
+    });
+
+    return valued > 0
+        ? { count, average: sum / valued, minimum, maximum }
+        : { count, average: null, minimum: null, maximum: null };
+}
+
+// UTC period labels matching strftime's '%Y-%m-%d %H', '%Y-%m-%d' and '%Y-W%W'
+function trendPeriodKey(timestamp, period) {
+    const iso = new Date(timestamp).toISOString();
+    switch (period) {
+        case 'hourly':
+            return `${iso.slice(0, 10)} ${iso.slice(11, 13)}`;
+        case 'weekly': {
+            const date = new Date(timestamp);
+            const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+            const dayOfYear = Math.floor((timestamp - yearStart) / (24 * 60 * 60 * 1000));
+            const mondayBasedWeekday = (date.getUTCDay() + 6) % 7;
+            const week = Math.floor((dayOfYear + 7 - mondayBasedWeekday) / 7);
+            return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+        }
+        default:
+            return iso.slice(0, 10);
     }
+}
+
+async function generateAIInsights(deviceId, category, view = 'merged') {
+    const insights = [];
     
-    // Group data by type
+    // Get recent data for analysis, grouped by type
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     const dataByType = {};
-    recentData.forEach(record => {
-        if (!dataByType[record.data_type]) {
-            dataByType[record.data_type] = [];
+    for (const dataType of ['heart_rate', 'steps', 'sleep']) {
+        if (category === 'all' || category === dataType) {
+            const period = dataType === 'heart_rate' ? 'hour' : 'day';
+            dataByType[dataType] = (await getSeries(deviceId, dataType, since, view, period)).slice(0, 1000);
         }
-        dataByType[record.data_type].push(record);
-    });
+    }
     
     // Generate insights for each data type
     if (category === 'all' || category === 'heart_rate') {
@@ -422,14 +578,7 @@ function generateStepInsights(stepData) {
     
     if (stepData.length === 0) return insights;
     
-    // Group by day
-    const dailySteps = {};
-    stepData.forEach(record => {
-        const date = new Date(record.timestamp).toDateString();
-        dailySteps[date] = (dailySteps[date] || 0) + record.value;
-    });
-    
-    const dailyValues = Object.values(dailySteps);
+    const dailyValues = Object.values(totalByDay(stepData));
     const average = dailyValues.reduce((a, b) => a + b, 0) / dailyValues.length;
     const goalDays = dailyValues.filter(steps => steps >= 10000).length;
     const goalPercentage = (goalDays / dailyValues.length) * 100;
@@ -462,7 +611,7 @@ function generateSleepInsights(sleepData) {
     
     if (sleepData.length === 0) return insights;
     
-    const durations = sleepData.map(d => d.value / 3600); // Convert to hours
+    const durations = Object.values(totalByDay(sleepData)).map(total => total / 60); // Sleep values are minutes
     const average = durations.reduce((a, b) => a + b, 0) / durations.length;
     
     if (average >= 7 && average <= 9) {
@@ -488,6 +637,15 @@ function generateSleepInsights(sleepData) {
     return insights;
 }
 
+// Totals of daily rollups by day, adding up devices that share a day in the merged view
+function totalByDay(records) {
+    const totals = {};
+    records.forEach(record => {
+        totals[record.timestamp] = (totals[record.timestamp] || 0) + record.value_sum;
+    });
+    return totals;
+}
+
 function getHeartRateZone(rate) {
     if (rate < 60) return 'bradycardia';
     if (rate >= 60 && rate <= 100) return 'normal';
@@ -496,24 +654,16 @@ function getHeartRateZone(rate) {
 }
 
 async function saveHealthGoals(deviceId, goals) {
-    const goalsJson = JSON.stringify(goals);
-    
-    await runQuery(`
-        INSERT OR REPLACE INTO device_settings (device_id, setting_type, setting_value, updated_at)
-        VALUES (?, 'health_goals', ?, ?)
-    `, [deviceId, goalsJson, Date.now()]);
+    await setDeviceSetting(deviceId, 'health_goals', goals);
     
     logger.info(`Health goals saved for device ${deviceId}`);
 }
 
 async function getHealthGoals(deviceId) {
-    const result = await getRow(`
-        SELECT setting_value FROM device_settings 
-        WHERE device_id = ? AND setting_type = 'health_goals'
-    `, [deviceId]);
+    const goals = await getDeviceSetting(deviceId, 'health_goals');
     
-    if (result) {
-        return JSON.parse(result.setting_value);
+    if (goals) {
+        return goals;
     }
     
     // Return default goals
@@ -1,6 +1,11 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { runQuery, getRow, getRows } = require('../database/init');
+const {
+    listBluetoothSessions,
+    createBluetoothSession,
+    getBluetoothSession,
+    updateBluetoothSession
+} = require('../database/bluetoothSessions');
 const { logger, logBluetoothOperation } = require('../utils/logger');
 const config = require('../config/config');
 
@@ -121,49 +126,19 @@ router.get('/sessions', async (req, res) => {
     try {
         const { limit = 50, offset = 0, deviceId } = req.query;
 
-        const conditions = [];
-        const params = [];
-
-        if (deviceId) {
-            conditions.push('device_id = ?');
-            params.push(deviceId);
-        }
-
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
         const limitNum = Math.min(parseInt(limit), 100);
         const offsetNum = parseInt(offset) || 0;
 
-        const sessions = await getRows(`
-            SELECT 
-                id,
-                device_id,
-                device_address,
-                connection_status,
-                start_time,
-                end_time,
-                data_transferred,
-                error_message,
-                metadata
-            FROM bluetooth_sessions 
-            ${whereClause}
-            ORDER BY start_time DESC
-            LIMIT ? OFFSET ?
-        `, [...params, limitNum, offsetNum]);
-
-        const totalQuery = `SELECT COUNT(*) as total FROM bluetooth_sessions ${whereClause}`;
-        const totalResult = await getRow(totalQuery, params);
+        const { sessions, total } = await listBluetoothSessions({ deviceId }, { limit: limitNum, offset: offsetNum });
 
         res.json({
             success: true,
-            sessions: sessions.map(session => ({
-                ...session,
-                metadata: session.metadata ? JSON.parse(session.metadata) : null
-            })),
+            sessions,
             pagination: {
-                total: totalResult.total,
+                total,
                 limit: limitNum,
                 offset: offsetNum,
-                hasMore: (offsetNum + sessions.length) < totalResult.total
+                hasMore: (offsetNum + sessions.length) < total
             },
             timestamp: new Date().toISOString()
         });
@@ -190,11 +165,7 @@ router.post('/session', async (req, res) => {
 
         const sessionId = uuidv4();
         
-        await runQuery(`
-            INSERT INTO bluetooth_sessions (
-                id, device_id, device_address, connection_status, start_time
-            ) VALUES (?, ?, ?, 'connecting', CURRENT_TIMESTAMP)
-        `, [sessionId, deviceId, deviceAddress]);
+        await createBluetoothSession(sessionId, deviceId, deviceAddress);
 
         logBluetoothOperation('session_created', deviceId, 'connecting', {
             sessionId,
@@ -228,37 +199,14 @@ router.put('/session/:sessionId', async (req, res) => {
             });
         }
 
-        const session = await getRow('SELECT device_id FROM bluetooth_sessions WHERE id = ?', [sessionId]);
+        const session = await getBluetoothSession(sessionId);
         if (!session) {
             return res.status(404).json({
                 error: 'Bluetooth session not found'
             });
         }
 
-        const updateData = ['connection_status = ?'];
-        const params = [connectionStatus];
-
-        if (connectionStatus === 'disconnected' || connectionStatus === 'failed') {
-            updateData.push('end_time = CURRENT_TIMESTAMP');
-        }
-
-        if (dataTransferred !== undefined) {
-            updateData.push('data_transferred = ?');
-            params.push(parseInt(dataTransferred) || 0);
-        }
-
-        if (errorMessage) {
-            updateData.push('error_message = ?');
-            params.push(errorMessage);
-        }
-
-        params.push(sessionId);
-
-        await runQuery(`
-            UPDATE bluetooth_sessions 
-            SET ${updateData.join(', ')}
-            WHERE id = ?
-        `, params);
+        await updateBluetoothSession(sessionId, { connectionStatus, dataTransferred, errorMessage });
 
         logBluetoothOperation('session_updated', session.device_id, connectionStatus, {
             sessionId,
@@ -429,4 +377,26 @@ async function testCharacteristicsCreation() {
     return true;
 }
 
+// Current state of the Bluetooth service, for health checks: 'disabled' (turned off in
+// config), 'error' (the last start/stop failed), 'advertising' or 'idle'
+function getBluetoothStatus() {
+    let state = 'idle';
+    if (!bluetoothService.isEnabled) {
+        state = 'disabled';
+    } else if (bluetoothService.lastError) {
+        state = 'error';
+    } else if (bluetoothService.isAdvertising) {
+        state = 'advertising';
+    }
+
+    return {
+        state,
+        enabled: bluetoothService.isEnabled,
+        advertising: bluetoothService.isAdvertising,
+        connectedDevices: bluetoothService.connectedDevices.size,
+        lastError: bluetoothService.lastError
+    };
+}
+
 module.exports = router;
+module.exports.getBluetoothStatus = getBluetoothStatus;
@@ -1,26 +1,35 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
-const { runQuery, getRow, getRows } = require('../database/init');
+const { ingestRecords } = require('../database/ingestion');
+const { ensureDeviceRegistered } = require('../database/devices');
+const { listHealthRecords, getHealthRecord, getHealthRecordStats } = require('../database/healthRecords');
+const { resolveIngestSession, isUploadSession } = require('../database/syncSessions');
+const { deleteHealthRecords, correctHealthRecord } = require('../database/tombstones');
+const { deleteAggregates } = require('../database/retention');
 const { logger, logHealthData } = require('../utils/logger');
-const { validateHealthData, sanitizeHealthData } = require('../utils/validation');
+const { validateHealthData, sanitizeHealthData, getMaxRecordAge } = require('../utils/validation');
 const config = require('../config/config');
 
 const router = express.Router();
 
 // POST /api/v1/health-data - Receive health data from devices
+// A batch may hold a single data type (top-level dataType) or mix several, with each record
+// naming its own dataType. Pass the sessionId from POST /api/v1/sync/start to attribute the
+// batch's records to that sync session.
 router.post('/', async (req, res) => {
     try {
-        const { deviceId, dataType, records } = req.body;
+        const { deviceId, dataType, records, sessionId } = req.body;
+        // All-or-nothing mode: store the batch only if every record is valid
+        const atomic = req.body.atomic === true || req.query.atomic === 'true';
 
         // Validate required fields
-        if (!deviceId || !dataType || !Array.isArray(records)) {
+        if (!deviceId || !Array.isArray(records)) {
             return res.status(400).json({
-                error: 'Missing required fields: deviceId, dataType, records (array)'
+                error: 'Missing required fields: deviceId, records (array)'
             });
         }
 
         // Check if data type is supported
-        if (!config.healthData.supportedTypes.includes(dataType)) {
+        if (dataType && !config.healthData.supportedTypes.includes(dataType)) {
             return res.status(400).json({
                 error: `Unsupported data type: ${dataType}`,
                 supportedTypes: config.healthData.supportedTypes
@@ -35,67 +44,91 @@ router.post('/', async (req, res) => {
         }
 
         // Ensure device exists or create it
-        await ensureDeviceExists(deviceId, req.body.deviceName, req.body.deviceType || 'wearos');
-
-        // Process and validate records
-        const validRecords = [];
-        const errors = [];
-
-        for (let i = 0; i < records.length; i++) {
-            const record = records[i];
-            
-            try {
-                // Validate record structure
-                const validationResult = validateHealthData(dataType, record);
-                if (!validationResult.isValid) {
-                    errors.push({
-                        index: i,
-                        error: validationResult.error
-                    });
-                    continue;
-                }
-
-                // Sanitize record data
-                const sanitizedRecord = sanitizeHealthData(dataType, record);
-                validRecords.push(sanitizedRecord);
-
-            } catch (error) {
-                errors.push({
-                    index: i,
-                    error: error.message
+        const registration = await ensureDeviceRegistered({
+            deviceId,
+            deviceType: req.body.deviceType || 'wearos',
+            deviceName: req.body.deviceName
+        });
+        if (registration.error) {
+            return res.status(400).json({
+                error: registration.error
+            });
+        }
+
+        // The session is checked again, and marked active, in the transaction that stores the
+        // records
+        if (sessionId !== undefined) {
+            const resolved = await resolveIngestSession(sessionId, deviceId);
+            if (resolved.error) {
+                return res.status(resolved.status).json({
+                    error: resolved.error
+                });
+            }
+            if (isUploadSession(resolved.session)) {
+                return res.status(400).json({
+                    error: 'Upload sessions take records as chunks; see /api/v1/sync/uploads'
                 });
             }
         }
 
-        // Insert valid records
-        let insertedCount = 0;
-        if (validRecords.length > 0) {
-            insertedCount = await insertHealthRecords(deviceId, dataType, validRecords);
+        const loggedType = dataType || 'mixed';
+
+        let outcome;
+        try {
+            outcome = await ingestRecords(deviceId, records, { dataType, atomic, syncSessionId: sessionId });
+        } catch (error) {
+            if (!atomic) throw error;
+
+            logger.error('Atomic health data batch rolled back:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to store batch; no records were saved',
+                index: error.recordIndex,
+                timestamp: new Date().toISOString()
+            });
         }
 
-        // Update device last sync timestamp
-        const maxTimestamp = validRecords.length > 0 
-            ? Math.max(...validRecords.map(r => r.timestamp))
-            : Date.now();
-        
-        await updateDeviceLastSync(deviceId, maxTimestamp);
+        if (outcome.sessionClosed) {
+            return res.status(409).json({
+                error: 'Sync session is no longer open; no records were saved'
+            });
+        }
+
+        if (outcome.rejected) {
+            logHealthData('rejected', deviceId, loggedType, 0, {
+                totalSubmitted: records.length,
+                errors: outcome.errors.length,
+                atomic
+            });
+
+            return res.status(422).json({
+                success: false,
+                error: 'Batch rejected: all-or-nothing mode requires every record to be valid',
+                processed: outcome.processed,
+                errors: outcome.errors,
+                timestamp: new Date().toISOString()
+            });
+        }
 
         // Log the operation
-        logHealthData('received', deviceId, dataType, insertedCount, {
+        logHealthData('received', deviceId, loggedType, outcome.processed.inserted, {
             totalSubmitted: records.length,
-            validRecords: validRecords.length,
-            errors: errors.length
+            validRecords: outcome.processed.inserted + outcome.processed.duplicates,
+            duplicates: outcome.processed.duplicates,
+            errors: outcome.errors.length,
+            types: Object.keys(outcome.byType),
+            atomic,
+            sessionId
         });
 
-        // Send response
+        // Send response - duplicates are reported separately so clients can safely retry a batch
         res.status(200).json({
             success: true,
-            processed: {
-                total: records.length,
-                inserted: insertedCount,
-                errors: errors.length
-            },
-            errors: errors.length > 0 ? errors : undefined,
+            processed: outcome.processed,
+            byType: outcome.byType,
+            results: outcome.results,
+            duplicates: outcome.duplicates.length > 0 ? outcome.duplicates : undefined,
+            errors: outcome.errors.length > 0 ? outcome.errors : undefined,
             timestamp: new Date().toISOString()
         });
 
@@ -109,6 +142,7 @@ router.post('/', async (req, res) => {
 });
 
 // GET /api/v1/health-data - Retrieve health data for devices
+// Data past its type's raw retention comes back as aggregate buckets (resolution_ms set)
 router.get('/', async (req, res) => {
     try {
         const { 
@@ -120,96 +154,50 @@ router.get('/', async (req, res) => {
             offset = 0 
         } = req.query;
 
-        // Build query conditions
-        const conditions = [];
-        const params = [];
-
-        if (deviceId) {
-            conditions.push('device_id = ?');
-            params.push(deviceId);
-        }
-
-        if (dataType) {
-            if (!config.healthData.supportedTypes.includes(dataType)) {
-                return res.status(400).json({
-                    error: `Unsupported data type: ${dataType}`,
-                    supportedTypes: config.healthData.supportedTypes
-                });
-            }
-            conditions.push('data_type = ?');
-            params.push(dataType);
+        if (dataType && !config.healthData.supportedTypes.includes(dataType)) {
+            return res.status(400).json({
+                error: `Unsupported data type: ${dataType}`,
+                supportedTypes: config.healthData.supportedTypes
+            });
         }
 
-        if (since) {
-            const sinceTimestamp = parseInt(since);
-            if (isNaN(sinceTimestamp)) {
-                return res.status(400).json({
-                    error: 'Invalid since timestamp'
-                });
-            }
-            conditions.push('timestamp >= ?');
-            params.push(sinceTimestamp);
+        const sinceTimestamp = since ? parseInt(since) : undefined;
+        if (Number.isNaN(sinceTimestamp)) {
+            return res.status(400).json({
+                error: 'Invalid since timestamp'
+            });
         }
 
-        if (until) {
-            const untilTimestamp = parseInt(until);
-            if (isNaN(untilTimestamp)) {
-                return res.status(400).json({
-                    error: 'Invalid until timestamp'
-                });
-            }
-            conditions.push('timestamp <= ?');
-            params.push(untilTimestamp);
+        const untilTimestamp = until ? parseInt(until) : undefined;
+        if (Number.isNaN(untilTimestamp)) {
+            return res.status(400).json({
+                error: 'Invalid until timestamp'
+            });
         }
 
         // Validate limit
         const limitNum = Math.min(parseInt(limit) || 1000, config.sync.maxBatchSize);
         const offsetNum = parseInt(offset) || 0;
 
-        // Build and execute query
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-        const query = `
-            SELECT 
-                device_id,
-                data_type,
-                timestamp,
-                value,
-                unit,
-                metadata,
-                source_app,
-                created_at
-            FROM health_data 
-            ${whereClause}
-            ORDER BY timestamp DESC
-            LIMIT ? OFFSET ?
-        `;
-
-        params.push(limitNum, offsetNum);
-
-        const records = await getRows(query, params);
-
-        // Get total count for pagination
-        const countQuery = `SELECT COUNT(*) as total FROM health_data ${whereClause}`;
-        const countParams = params.slice(0, -2); // Remove limit and offset
-        const countResult = await getRow(countQuery, countParams);
+        const { records, total } = await listHealthRecords(
+            { deviceId, dataType, since: sinceTimestamp, until: untilTimestamp },
+            { limit: limitNum, offset: offsetNum }
+        );
 
         // Log the operation
         logHealthData('retrieved', deviceId || 'all', dataType || 'all', records.length, {
             filters: { since, until, limit: limitNum, offset: offsetNum },
-            totalAvailable: countResult.total
+            totalAvailable: total
         });
 
         res.json({
             success: true,
-            data: records.map(record => ({
-                ...record,
-                metadata: record.metadata ? JSON.parse(record.metadata) : null
-            })),
+            data: records,
             pagination: {
-                total: countResult.total,
+                total,
                 limit: limitNum,
                 offset: offsetNum,
-                hasMore: (offsetNum + records.length) < countResult.total
+                hasMore: (offsetNum + records.length) < total
             },
             timestamp: new Date().toISOString()
         });
@@ -225,8 +213,14 @@ router.get('/', async (req, res) => {
 
 // GET /api/v1/health-data/types - Get supported data types
 router.get('/types', (req, res) => {
+    const maxRecordAge = {};
+    for (const dataType of config.healthData.supportedTypes) {
+        maxRecordAge[dataType] = getMaxRecordAge(dataType);
+    }
+
     res.json({
         supportedTypes: config.healthData.supportedTypes,
+        maxRecordAge,
         validation: config.healthData.validation,
         timestamp: new Date().toISOString()
     });
@@ -237,42 +231,13 @@ router.get('/stats', async (req, res) => {
     try {
         const { deviceId, dataType } = req.query;
 
-        const conditions = [];
-        const params = [];
-
-        if (deviceId) {
-            conditions.push('device_id = ?');
-            params.push(deviceId);
-        }
-
-        if (dataType) {
-            conditions.push('data_type = ?');
-            params.push(dataType);
-        }
-
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-        const stats = await getRows(`
-            SELECT 
-                data_type,
-                COUNT(*) as record_count,
-                MIN(timestamp) as earliest_record,
-                MAX(timestamp) as latest_record,
-                COUNT(DISTINCT device_id) as device_count
-            FROM health_data 
-            ${whereClause}
-            GROUP BY data_type
-            ORDER BY record_count DESC
-        `, params);
-
-        const totalQuery = `SELECT COUNT(*) as total FROM health_data ${whereClause}`;
-        const totalResult = await getRow(totalQuery, params);
+        const { total, byType } = await getHealthRecordStats({ deviceId, dataType });
 
         res.json({
             success: true,
             stats: {
-                total_records: totalResult.total,
-                by_type: stats
+                total_records: total,
+                by_type: byType
             },
             timestamp: new Date().toISOString()
         });
@@ -297,49 +262,112 @@ router.delete('/', async (req, res) => {
             });
         }
 
-        const conditions = [];
-        const params = [];
+        const beforeTimestamp = before ? parseInt(before) : undefined;
+        if (Number.isNaN(beforeTimestamp)) {
+            return res.status(400).json({
+                error: 'Invalid before timestamp'
+            });
+        }
 
-        if (deviceId) {
-            conditions.push('device_id = ?');
-            params.push(deviceId);
+        if (!deviceId && !dataType && beforeTimestamp === undefined) {
+            return res.status(400).json({
+                error: 'At least one filter (deviceId, dataType, or before) is required'
+            });
         }
 
-        if (dataType) {
-            conditions.push('data_type = ?');
-            params.push(dataType);
+        const filter = { deviceId, dataType, before: beforeTimestamp };
+
+        // Tombstoned rather than just removed, so devices that already pulled them find out
+        const deletedCount = await deleteHealthRecords(filter);
+        const deletedAggregates = await deleteAggregates(filter);
+
+        logger.info(`Deleted ${deletedCount} health data records and ${deletedAggregates} aggregates`, { deviceId, dataType, before });
+
+        res.json({
+            success: true,
+            deleted_records: deletedCount,
+            deleted_aggregates: deletedAggregates,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error deleting health data:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// PUT /api/v1/health-data/:id - Correct a stored record
+// The original is replaced by a new record and tombstoned, so synced devices drop the old value
+router.put('/:id', async (req, res) => {
+    try {
+        const recordId = parseInt(req.params.id);
+        if (isNaN(recordId)) {
+            return res.status(400).json({
+                error: 'Invalid record id'
+            });
         }
 
-        if (before) {
-            const beforeTimestamp = parseInt(before);
-            if (isNaN(beforeTimestamp)) {
-                return res.status(400).json({
-                    error: 'Invalid before timestamp'
-                });
-            }
-            conditions.push('timestamp < ?');
-            params.push(beforeTimestamp);
+        const original = await getHealthRecord(recordId);
+        if (!original) {
+            return res.status(404).json({
+                error: 'Health record not found'
+            });
         }
 
-        if (conditions.length === 0) {
+        // Unspecified fields keep their stored values
+        const corrected = {
+            timestamp: req.body.timestamp !== undefined ? req.body.timestamp : original.timestamp,
+            value: req.body.value !== undefined ? req.body.value : original.value,
+            unit: req.body.unit !== undefined ? req.body.unit : original.unit,
+            metadata: req.body.metadata !== undefined ? req.body.metadata : (original.metadata || undefined)
+        };
+
+        const validationResult = validateHealthData(original.data_type, corrected);
+        if (!validationResult.isValid) {
             return res.status(400).json({
-                error: 'At least one filter (deviceId, dataType, or before) is required'
+                error: validationResult.error
+            });
+        }
+
+        const sanitized = sanitizeHealthData(original.data_type, corrected);
+        const replacement = await correctHealthRecord(recordId, {
+            timestamp: sanitized.timestamp,
+            value: sanitized.value,
+            unit: sanitized.unit,
+            metadata: sanitized.metadata || null
+        });
+
+        if (replacement === null) {
+            return res.status(404).json({
+                error: 'Health record not found'
             });
         }
 
-        const whereClause = `WHERE ${conditions.join(' AND ')}`;
-        const result = await runQuery(`DELETE FROM health_data ${whereClause}`, params);
+        if (replacement.conflict) {
+            return res.status(409).json({
+                error: 'The corrected record would duplicate another stored record',
+                conflictingId: replacement.conflict.id,
+                conflictingRecordUuid: replacement.conflict.recordUuid,
+                timestamp: new Date().toISOString()
+            });
+        }
 
-        logger.info(`Deleted ${result.changes} health data records`, { deviceId, dataType, before });
+        logger.info(`Corrected health record ${recordId} (replaced by ${replacement.id})`);
 
         res.json({
             success: true,
-            deleted_records: result.changes,
+            replacedId: recordId,
+            id: replacement.id,
+            recordUuid: replacement.recordUuid,
+            version: replacement.version,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        logger.error('Error deleting health data:', error);
+        logger.error('Error correcting health data:', error);
         res.status(500).json({
             error: 'Internal server error',
             timestamp: new Date().toISOString()
@@ -347,67 +375,38 @@ router.delete('/', async (req, res) => {
     }
 });
 
-// Helper functions
-async function ensureDeviceExists(deviceId, deviceName, deviceType) {
-    const existingDevice = await getRow('SELECT id FROM devices WHERE id = ?', [deviceId]);
-    
-    if (!existingDevice) {
-        await runQuery(`
-            INSERT INTO devices (id, name, type, last_seen, metadata)
-            VALUES (?, ?, ?, CURRENT_TIMESTAMP, ?)
-        `, [
-            deviceId,
-            deviceName || `${deviceType} Device`,
-            deviceType,
-            JSON.stringify({ auto_created: true })
-        ]);
-        
-        logger.info(`Created new device: ${deviceId} (${deviceType})`);
-    } else {
-        // Update last seen
-        await runQuery(`
-            UPDATE devices 
-            SET last_seen = CURRENT_TIMESTAMP 
-            WHERE id = ?
-        `, [deviceId]);
-    }
-}
-
-async function insertHealthRecords(deviceId, dataType, records) {
-    const insertQuery = `
-        INSERT INTO health_data (
-            device_id, data_type, timestamp, value, unit, metadata, source_app
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    let insertedCount = 0;
-    
-    for (const record of records) {
-        try {
-            await runQuery(insertQuery, [
-                deviceId,
-                dataType,
-                record.timestamp,
-                record.value,
-                record.unit || null,
-                record.metadata ? JSON.stringify(record.metadata) : null,
-                record.sourceApp || null
-            ]);
-            insertedCount++;
-        } catch (error) {
-            logger.error(`Failed to insert health record:`, error);
+// DELETE /api/v1/health-data/:id - Delete a single record
+router.delete('/:id', async (req, res) => {
+    try {
+        const recordId = parseInt(req.params.id);
+        if (isNaN(recordId)) {
+            return res.status(400).json({
+                error: 'Invalid record id'
+            });
+        }
+
+        const deletedCount = await deleteHealthRecords({ id: recordId });
+        if (deletedCount === 0) {
+            return res.status(404).json({
+                error: 'Health record not found'
+            });
         }
-    }
 
-    return insertedCount;
-}
+        logger.info(`Deleted health record ${recordId}`);
+
+        res.json({
+            success: true,
+            deleted_records: deletedCount,
+            timestamp: new Date().toISOString()
+        });
 
-async function updateDeviceLastSync(deviceId, timestamp) {
-    await runQuery(`
-        UPDATE devices 
-        SET last_sync_timestamp = ?
-        WHERE id = ?
-    `, [timestamp, deviceId]);
-}
+    } catch (error) {
+        logger.error('Error deleting health record:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
 
 module.exports = router;
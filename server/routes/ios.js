@@ -1,12 +1,157 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
-const { runQuery, getRow, getRows } = require('../database/init');
+const { ingestRecords } = require('../database/ingestion');
+const { ensureDeviceRegistered } = require('../database/devices');
+const { storeUnmappedSamples, listUnmappedSamples } = require('../database/unmappedSamples');
 const { logger, logHealthData } = require('../utils/logger');
-const { validateHealthData, sanitizeHealthData } = require('../utils/validation');
+const { MAPPED_TYPES, mapSample } = require('../utils/healthKit');
 const config = require('../config/config');
 
 const router = express.Router();
 
-// iOS-compatible endpoints for backward compatibility with the reference implementation
+// HealthKit-native endpoints: the iPhone uploads samples exactly as HealthKit returns them and
+// the server maps them onto our data types and canonical units.
+
+// POST /api/v1/ios/samples - Upload HealthKit samples
+// Body: { deviceId, deviceName, samples: [{ uuid, type, value, unit, startDate, endDate,
+// sourceRevision, device, metadata }] }. The device can also be named by the X-Device-ID
+// header. Samples of mapped types are validated and stored like /api/v1/health-data records;
+// samples of other types are kept as uploaded.
+router.post('/samples', async (req, res) => {
+    try {
+        const { samples } = req.body;
+        const deviceId = req.get('X-Device-ID') || req.body.deviceId;
+
+        if (!deviceId || !Array.isArray(samples)) {
+            return res.status(400).json({
+                error: 'Missing required fields: deviceId (or X-Device-ID header), samples (array)'
+            });
+        }
+
+        if (samples.length > config.sync.maxBatchSize) {
+            return res.status(400).json({
+                error: `Batch size exceeds maximum allowed (${config.sync.maxBatchSize})`
+            });
+        }
+
+        const registration = await ensureDeviceRegistered({
+            deviceId,
+            deviceType: req.get('X-Device-Type') || req.body.deviceType || 'ios',
+            deviceName: req.body.deviceName
+        });
+        if (registration.error) {
+            return res.status(400).json({
+                error: registration.error
+            });
+        }
+
+        // Sort the samples into mapped records, unmapped samples and ones that cannot be read
+        const records = [];
+        const recordIndexes = [];
+        const unmapped = [];
+        const results = new Array(samples.length);
+
+        samples.forEach((sample, index) => {
+            const mapped = mapSample(sample);
+            if (mapped.error) {
+                results[index] = { index, type: sample && sample.type, status: 'rejected', error: mapped.error };
+            } else if (mapped.unmapped) {
+                unmapped.push({ index, sample });
+            } else {
+                records.push(mapped.record);
+                recordIndexes.push(index);
+            }
+        });
+
+        const ingested = await ingestRecords(deviceId, records);
+        ingested.results.forEach((result, i) => {
+            const index = recordIndexes[i];
+            results[index] = { ...result, index, type: samples[index].type };
+        });
+
+        const kept = unmapped.length > 0
+            ? await storeUnmappedSamples(deviceId, unmapped)
+            : { stored: [], duplicates: [] };
+        kept.stored.forEach(index => {
+            results[index] = { index, type: samples[index].type, status: 'unmapped' };
+        });
+        kept.duplicates.forEach(index => {
+            results[index] = { index, type: samples[index].type, status: 'duplicate' };
+        });
+
+        const processed = {
+            total: samples.length,
+            inserted: ingested.processed.inserted,
+            duplicates: ingested.processed.duplicates + kept.duplicates.length,
+            rejected: results.filter(result => result.status === 'rejected').length,
+            unmapped: kept.stored.length
+        };
+
+        logHealthData('healthkit_samples', deviceId, 'mixed', processed.inserted, {
+            ...processed,
+            types: Object.keys(ingested.byType),
+            unmappedTypes: [...new Set(unmapped.map(entry => entry.sample.type))]
+        });
+
+        res.json({
+            success: true,
+            deviceId,
+            processed,
+            byType: ingested.byType,
+            results,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error processing HealthKit samples:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/ios/samples/unmapped - Samples kept because their type has no mapping
+router.get('/samples/unmapped', async (req, res) => {
+    try {
+        const { deviceId, type, limit = 100, offset = 0 } = req.query;
+        const limitNum = Math.min(parseInt(limit) || 100, config.sync.maxBatchSize);
+        const offsetNum = parseInt(offset) || 0;
+
+        const { total, byType, samples } = await listUnmappedSamples({
+            deviceId,
+            hkType: type,
+            limit: limitNum,
+            offset: offsetNum
+        });
+
+        res.json({
+            success: true,
+            byType,
+            samples,
+            pagination: {
+                total,
+                limit: limitNum,
+                offset: offsetNum,
+                hasMore: (offsetNum + samples.length) < total
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error listing unmapped samples:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/ios/types - HealthKit identifiers that map onto our data types
+router.get('/types', (req, res) => {
+    res.json({
+        mappedTypes: MAPPED_TYPES,
+        timestamp: new Date().toISOString()
+    });
+});
 
 module.exports = router;
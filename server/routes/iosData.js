@@ -1,12 +1,62 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { runQuery, getRow, getRows } = require('../database/init');
+const { getCurrentChangeSeq } = require('../database/init');
+const { ingestRecords } = require('../database/ingestion');
+const { findIngestedBatch, recordIngestedBatch } = require('../database/ingestedBatches');
+const { ensureDeviceRegistered } = require('../database/devices');
+const { getTypeFeedPage } = require('../database/changeFeed');
+const { getCompactedTombstoneSeq } = require('../database/tombstones');
+const { createWorkout } = require('../database/workouts');
 const { logger, logHealthData } = require('../utils/logger');
+const { encodeCursor, decodeCursor } = require('../utils/syncCursor');
+const { COMPAT_TYPES, COMPAT_TYPE_NAMES, batchToRecords, recordToItem, itemToWorkout } = require('../utils/compatBatch');
+const { validateWorkout, sanitizeWorkout, validateSyncParams } = require('../utils/validation');
 const config = require('../config/config');
 
 const router = express.Router();
 
+// Clients that do not identify themselves all share this device
+const LEGACY_DEVICE_ID = 'ios_device_001';
+
+// Store the batch's workouts as workouts too, keeping their whole route (a workout record's
+// metadata holds at most 1000 route points). A workout the server already had as a record is
+// stored when the client gave it an id, which keeps a retried batch from storing it twice. A
+// workout that does not validate as one stays a record only. Returns the workout id stored
+// for each workoutData position.
+async function storeBatchWorkouts(deviceId, batch, locations, results) {
+    const stored = [];
+
+    for (const [i, result] of results.entries()) {
+        const { field, index } = locations[i];
+        const item = batch[field][index];
+        if (result.dataType !== 'workout' ||
+            !(result.status === 'inserted' || (result.status === 'duplicate' && item.id))) {
+            continue;
+        }
+
+        const workout = itemToWorkout(item);
+        const validation = validateWorkout(workout);
+        if (!validation.isValid) {
+            logger.warn(`iOS: workout ${index} in batch ${batch.id} is stored as a record only: ${validation.error}`);
+            continue;
+        }
+
+        const { id } = await createWorkout(deviceId, sanitizeWorkout(workout), {
+            healthRecordUuid: result.recordUuid || null
+        });
+        stored.push({ index, workoutId: id });
+    }
+
+    return stored;
+}
+
 // POST /api/v1/data - iOS data upload endpoint (compatibility layer)
+// The uploading device is named by the X-Device-ID/X-Device-Type headers or the batch's
+// deviceId/deviceType fields, and is registered on first use. Items are validated like
+// /api/v1/health-data uploads; invalid items are reported back by batch field and position while
+// the rest are stored. Workouts are also stored as workouts (see /api/v1/workouts), with
+// `workouts` giving the workout id for each workoutData position. Posting a batch id the
+// device already sent returns the first outcome.
 router.post('/', async (req, res) => {
     try {
         const batch = req.body;
@@ -20,127 +70,93 @@ router.post('/', async (req, res) => {
             });
         }
 
-        let processedCount = 0;
-        const deviceId = "ios_device_001"; // Default iOS device ID
-        
+        if (typeof batch.id !== 'string' || batch.id.length > 128) {
+            return res.status(400).json({
+                status: "error",
+                message: "Batch id must be a string of at most 128 characters",
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        let { deviceId, deviceType } = identifyDevice(req, batch);
+        if (!deviceId) {
+            deviceId = LEGACY_DEVICE_ID;
+            deviceType = 'ios';
+            logger.warn(`iOS: batch ${batch.id} did not identify its device; storing it under ${LEGACY_DEVICE_ID}`);
+        }
+
         // Ensure device exists
-        await ensureDeviceExists(deviceId, "iPhone", "ios");
-
-        // Process heart rate data
-        if (batch.heartRateData && Array.isArray(batch.heartRateData)) {
-            for (const hrData of batch.heartRateData) {
-                try {
-                    await runQuery(`
-                        INSERT INTO health_data (
-                            device_id, data_type, timestamp, value, unit, metadata
-                        ) VALUES (?, ?, ?, ?, ?, ?)
-                    `, [
-                        deviceId,
-                        'heart_rate',
-                        hrData.timestamp ? new Date(hrData.timestamp).getTime() : Date.now(),
-                        hrData.value,
-                        'bpm',
-                        JSON.stringify({ confidence: hrData.confidence })
-                    ]);
-                    processedCount++;
-                } catch (error) {
-                    logger.error('Error inserting heart rate data:', error);
-                }
-            }
+        const registration = await ensureDeviceRegistered({
+            deviceId,
+            deviceType,
+            deviceName: batch.deviceName
+        });
+        if (registration.error) {
+            return res.status(400).json({
+                status: "error",
+                message: registration.error,
+                timestamp: new Date().toISOString()
+            });
         }
 
-        // Process step count data
-        if (batch.stepCountData && Array.isArray(batch.stepCountData)) {
-            for (const stepData of batch.stepCountData) {
-                try {
-                    await runQuery(`
-                        INSERT INTO health_data (
-                            device_id, data_type, timestamp, value, unit, metadata
-                        ) VALUES (?, ?, ?, ?, ?, ?)
-                    `, [
-                        deviceId,
-                        'steps',
-                        stepData.timestamp ? new Date(stepData.timestamp).getTime() : Date.now(),
-                        stepData.count,
-                        'steps',
-                        JSON.stringify({ duration: stepData.duration })
-                    ]);
-                    processedCount++;
-                } catch (error) {
-                    logger.error('Error inserting step count data:', error);
-                }
-            }
+        // A retry of a batch whose response was lost
+        const previous = await findIngestedBatch(deviceId, batch.id);
+        if (previous) {
+            logger.info(`iOS: batch ${batch.id} from ${deviceId} was already ingested`);
+            return res.json({
+                status: "success",
+                message: "Batch already received",
+                deviceId,
+                batchId: batch.id,
+                duplicateBatch: true,
+                ...previous.outcome,
+                timestamp: new Date().toISOString()
+            });
         }
 
-        // Process sleep data
-        if (batch.sleepData && Array.isArray(batch.sleepData)) {
-            for (const sleepData of batch.sleepData) {
-                try {
-                    await runQuery(`
-                        INSERT INTO health_data (
-                            device_id, data_type, timestamp, value, unit, metadata
-                        ) VALUES (?, ?, ?, ?, ?, ?)
-                    `, [
-                        deviceId,
-                        'sleep',
-                        sleepData.timestamp ? new Date(sleepData.timestamp).getTime() : Date.now(),
-                        sleepData.endTime - sleepData.startTime, // Duration in milliseconds
-                        'milliseconds',
-                        JSON.stringify({
-                            startTime: sleepData.startTime,
-                            endTime: sleepData.endTime,
-                            stages: sleepData.stages
-                        })
-                    ]);
-                    processedCount++;
-                } catch (error) {
-                    logger.error('Error inserting sleep data:', error);
-                }
-            }
+        const { records, locations } = batchToRecords(batch);
+        if (records.length > config.sync.maxBatchSize) {
+            return res.status(400).json({
+                status: "error",
+                message: `Batch size exceeds maximum allowed (${config.sync.maxBatchSize})`,
+                timestamp: new Date().toISOString()
+            });
         }
 
-        // Process workout data
-        if (batch.workoutData && Array.isArray(batch.workoutData)) {
-            for (const workoutData of batch.workoutData) {
-                try {
-                    await runQuery(`
-                        INSERT INTO health_data (
-                            device_id, data_type, timestamp, value, unit, metadata
-                        ) VALUES (?, ?, ?, ?, ?, ?)
-                    `, [
-                        deviceId,
-                        'workout',
-                        workoutData.timestamp ? new Date(workoutData.timestamp).getTime() : Date.now(),
-                        workoutData.duration,
-                        'seconds',
-                        JSON.stringify({
-                            type: workoutData.type,
-                            startTime: workoutData.startTime,
-                            endTime: workoutData.endTime,
-                            totalDistance: workoutData.totalDistance,
-                            totalCalories: workoutData.totalCalories,
-                            averageHeartRate: workoutData.averageHeartRate,
-                            maxHeartRate: workoutData.maxHeartRate,
-                            route: workoutData.route
-                        })
-                    ]);
-                    processedCount++;
-                } catch (error) {
-                    logger.error('Error inserting workout data:', error);
-                }
-            }
+        // Validate, sanitize and store the items in one transaction
+        const ingested = await ingestRecords(deviceId, records);
+
+        const outcome = {
+            processedCount: ingested.processed.inserted,
+            processed: ingested.processed,
+            rejected: ingested.errors.map(error => ({
+                ...locations[error.index],
+                error: error.error
+            })),
+            workouts: await storeBatchWorkouts(deviceId, batch, locations, ingested.results)
+        };
+
+        await recordIngestedBatch(deviceId, batch.id, outcome);
+
+        if (outcome.rejected.length > 0) {
+            logger.warn(`iOS: ${outcome.rejected.length} items in batch ${batch.id} from ${deviceId} were rejected`);
         }
 
         // Log the operation
-        logHealthData('batch_uploaded', deviceId, 'mixed', processedCount, {
+        logHealthData('batch_uploaded', deviceId, 'mixed', ingested.processed.inserted, {
             batchId: batch.id,
-            totalItems: processedCount
+            totalItems: records.length,
+            duplicates: ingested.processed.duplicates,
+            rejected: ingested.processed.rejected
         });
 
         res.json({
             status: "success",
-            message: "Data saved successfully",
-            processedCount: processedCount,
+            message: outcome.rejected.length > 0 ? "Data saved with rejected items" : "Data saved successfully",
+            deviceId,
+            batchId: batch.id,
+            duplicateBatch: false,
+            ...outcome,
             timestamp: new Date().toISOString()
         });
 
@@ -155,135 +171,126 @@ router.post('/', async (req, res) => {
 });
 
 // GET /api/v1/data - iOS data fetch endpoint (compatibility layer)
+// Items of all requested types are paged together in the order the server stored them
+// (ascending change sequence). Pass the returned nextCursor back as `cursor` while hasMore is
+// true, and keep the last one to fetch only what changed since. The first request takes
+// `since` (measurement time) and `types`; later pages carry them inside the cursor. When the
+// requesting device identifies itself (X-Device-ID header or deviceId parameter), its own
+// uploads are left out.
 router.get('/', async (req, res) => {
     try {
-        const { since, limit = 1000, types } = req.query;
+        const { since, limit = 1000, types, cursor } = req.query;
+        const { deviceId: requesterId } = identifyDevice(req, req.query);
 
-        if (!since) {
+        const limitValidation = validateSyncParams({ limit });
+        if (!limitValidation.isValid) {
             return res.status(400).json({
                 status: "error",
-                message: "Missing required parameter: since",
+                message: limitValidation.error,
                 timestamp: new Date().toISOString()
             });
         }
 
-        const sinceTimestamp = new Date(since).getTime();
-        if (isNaN(sinceTimestamp)) {
-            return res.status(400).json({
-                status: "error",
-                message: "Invalid since timestamp",
-                timestamp: new Date().toISOString()
-            });
+        let position;
+        if (cursor) {
+            position = decodeCursor(cursor);
+            if (!position || !Number.isFinite(position.filters.since) || !Array.isArray(position.filters.types)) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Invalid cursor",
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } else {
+            if (!since) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Missing required parameter: since",
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const sinceTimestamp = new Date(since).getTime();
+            if (isNaN(sinceTimestamp)) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Invalid since timestamp",
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            position = {
+                seq: 0,
+                filters: {
+                    since: sinceTimestamp,
+                    types: types ? types.split(",") : COMPAT_TYPE_NAMES
+                }
+            };
         }
 
-        const requestedTypes = types ? types.split(",") : ["heartRate", "stepCount", "sleep", "workout"];
-        const limitNum = Math.min(parseInt(limit), config.sync.maxBatchSize);
+        const limitNum = parseInt(limit);
+        const requestedDataTypes = Object.keys(COMPAT_TYPES)
+            .filter(dataType => position.filters.types.includes(COMPAT_TYPES[dataType].name));
 
         // Build result object
         const result = {
             id: uuidv4(),
-            timestamp: new Date().toISOString(),
-            heartRateData: [],
-            stepCountData: [],
-            sleepData: [],
-            workoutData: []
+            timestamp: new Date().toISOString()
         };
-
-        // Fetch heart rate data
-        if (requestedTypes.includes("heartRate")) {
-            const heartRateRecords = await getRows(`
-                SELECT * FROM health_data 
-                WHERE data_type = 'heart_rate' 
-                AND timestamp > ? 
-                ORDER BY timestamp DESC 
-                LIMIT ?
-            `, [sinceTimestamp, limitNum]);
-
-            result.heartRateData = heartRateRecords.map(record => ({
-                id: uuidv4(),
-                timestamp: new Date(record.timestamp).toISOString(),
-                value: record.value,
-                confidence: record.metadata ? JSON.parse(record.metadata).confidence : null
-            }));
+        for (const compatType of Object.values(COMPAT_TYPES)) {
+            result[compatType.field] = [];
         }
+        result.deletedData = [];
 
-        // Fetch step count data
-        if (requestedTypes.includes("stepCount")) {
-            const stepRecords = await getRows(`
-                SELECT * FROM health_data 
-                WHERE data_type = 'steps' 
-                AND timestamp > ? 
-                ORDER BY timestamp DESC 
-                LIMIT ?
-            `, [sinceTimestamp, limitNum]);
-
-            result.stepCountData = stepRecords.map(record => ({
-                id: uuidv4(),
-                timestamp: new Date(record.timestamp).toISOString(),
-                count: record.value,
-                duration: record.metadata ? JSON.parse(record.metadata).duration : null
-            }));
-        }
+        // Everything up to this sequence number is committed, so an empty page can still move
+        // the cursor forward
+        const snapshotSeq = await getCurrentChangeSeq();
 
-        // Fetch sleep data
-        if (requestedTypes.includes("sleep")) {
-            const sleepRecords = await getRows(`
-                SELECT * FROM health_data 
-                WHERE data_type = 'sleep' 
-                AND timestamp > ? 
-                ORDER BY timestamp DESC 
-                LIMIT ?
-            `, [sinceTimestamp, limitNum]);
-
-            result.sleepData = sleepRecords.map(record => {
-                const metadata = record.metadata ? JSON.parse(record.metadata) : {};
-                return {
-                    id: uuidv4(),
-                    timestamp: new Date(record.timestamp).toISOString(),
-                    startTime: metadata.startTime,
-                    endTime: metadata.endTime,
-                    stages: metadata.stages || []
-                };
-            });
-        }
+        // Records measured after `since`, and removals made after it
+        const { records: page, hasMore } = await getTypeFeedPage({
+            dataTypes: requestedDataTypes,
+            afterSeq: position.seq,
+            snapshotSeq,
+            since: position.filters.since,
+            excludeDeviceId: requesterId
+        }, limitNum);
 
-        // Fetch workout data
-        if (requestedTypes.includes("workout")) {
-            const workoutRecords = await getRows(`
-                SELECT * FROM health_data 
-                WHERE data_type = 'workout' 
-                AND timestamp > ? 
-                ORDER BY timestamp DESC 
-                LIMIT ?
-            `, [sinceTimestamp, limitNum]);
-
-            result.workoutData = workoutRecords.map(record => {
-                const metadata = record.metadata ? JSON.parse(record.metadata) : {};
-                return {
-                    id: uuidv4(),
-                    timestamp: new Date(record.timestamp).toISOString(),
-                    type: metadata.type,
-                    startTime: metadata.startTime,
-                    endTime: metadata.endTime,
-                    duration: record.value,
-                    totalDistance: metadata.totalDistance,
-                    totalCalories: metadata.totalCalories,
-                    averageHeartRate: metadata.averageHeartRate,
-                    maxHeartRate: metadata.maxHeartRate,
-                    route: metadata.route || []
-                };
-            });
+        for (const row of page) {
+            const compatType = COMPAT_TYPES[row.data_type];
+
+            if (row.kind === 'tombstone') {
+                // Deletions and corrections, so the iPhone can remove those samples. A correction
+                // reuses the id with a higher version, so only versions up to `version` go.
+                result.deletedData.push({
+                    id: row.record_uuid,
+                    version: row.version,
+                    recordId: row.id,
+                    type: compatType.name,
+                    timestamp: new Date(row.timestamp).toISOString(),
+                    reason: row.reason,
+                    replacedBy: row.replaced_by,
+                    deletedAt: new Date(row.deleted_at).toISOString()
+                });
+                continue;
+            }
+
+            result[compatType.field].push(recordToItem(row));
         }
 
-        result.hasMore = false; // Simplified for this implementation
-        result.nextCursor = null;
+        // Removals older than the retention window are gone, so a cursor from before then has
+        // missed some; the client should start again from a fresh `since`
+        const compactedSeq = await getCompactedTombstoneSeq();
+
+        const nextSeq = hasMore ? page[page.length - 1].change_seq : snapshotSeq;
+        result.hasMore = hasMore;
+        result.nextCursor = encodeCursor({ seq: nextSeq, filters: position.filters });
+        result.resyncRequired = position.seq > 0 && position.seq < compactedSeq;
 
         res.json(result);
 
-        const totalItems = result.heartRateData.length + result.stepCountData.length + 
-                          result.sleepData.length + result.workoutData.length;
+        const totalItems = page.filter(row => row.kind === 'record').length;
         
-        logger.info(`iOS: Fetched ${totalItems} health data points since ${since}`);
+        logger.info(`iOS: Fetched ${totalItems} health data points (seq ${position.seq} to ${nextSeq}, more: ${hasMore})`);
 
     } catch (error) {
         logger.error('Error fetching iOS data:', error);
@@ -295,25 +302,15 @@ router.get('/', async (req, res) => {
     }
 });
 
-// Helper function to ensure device exists
-async function ensureDeviceExists(deviceId, deviceName, deviceType) {
-    const existingDevice = await getRow('SELECT * FROM devices WHERE id = ?', [deviceId]);
+// Helper functions
 
-    if (!existingDevice) {
-        await runQuery(`
-            INSERT INTO devices (id, name, type, last_seen)
-            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-        `, [deviceId, deviceName, deviceType]);
-        
-        logger.info(`Created new ${deviceType} device: ${deviceId}`);
-    } else {
-        // Update last seen
-        await runQuery(`
-            UPDATE devices 
-            SET last_seen = CURRENT_TIMESTAMP, is_active = 1
-            WHERE id = ?
-        `, [deviceId]);
-    }
+// The device making the request: X-Device-ID/X-Device-Type headers first, then the deviceId and
+// deviceType fields of the batch (or query string)
+function identifyDevice(req, fields) {
+    return {
+        deviceId: req.get('X-Device-ID') || fields.deviceId,
+        deviceType: req.get('X-Device-Type') || fields.deviceType || 'ios'
+    };
 }
 
 module.exports = router;
@@ -1,19 +1,36 @@
 const express = require('express');
+const { runHealthChecks } = require('../utils/healthCheck');
+const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
 // GET /api/v1/health - iOS health status endpoint (compatibility layer)
-router.get('/', (req, res) => {
-    res.json({
-        status: "ok",
-        version: "1.0.0",
-        timestamp: new Date().toISOString(),
-        services: {
-            database: "connected",
-            bluetooth: "ready",
-            sync: "active"
-        }
-    });
+// `status` is ok, degraded or down (answered with 503). `services` keeps the summary the iOS app
+// reads; `checks` has the details of each check.
+router.get('/', async (req, res) => {
+    try {
+        const health = await runHealthChecks();
+        const { database, bluetooth, sync } = health.checks;
+
+        res.status(health.status === 'down' ? 503 : 200).json({
+            status: health.status,
+            version: require('../../package.json').version,
+            timestamp: new Date().toISOString(),
+            services: {
+                database: database.status === 'down' ? "disconnected" : "connected",
+                bluetooth: bluetooth.state || "unknown",
+                sync: sync.status === 'down' ? "unavailable" : "active"
+            },
+            checks: health.checks
+        });
+
+    } catch (error) {
+        logger.error('Error running health checks:', error);
+        res.status(503).json({
+            status: "down",
+            timestamp: new Date().toISOString()
+        });
+    }
 });
 
 module.exports = router;
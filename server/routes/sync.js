@@ -1,19 +1,50 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { runQuery, getRow, getRows } = require('../database/init');
+const { getCurrentChangeSeq } = require('../database/init');
 const { logger, logSyncOperation } = require('../utils/logger');
-const { validateDeviceRegistration, validateSyncParams } = require('../utils/validation');
+const { validateDeviceRegistration, validateSourcePriorityRule, validateSyncParams } = require('../utils/validation');
+const {
+    advanceUploadCheckpoint,
+    advanceDownloadCheckpoints,
+    getCheckpoints,
+    getLowestDownloadPosition
+} = require('../database/checkpoints');
+const {
+    createDevice,
+    updateDeviceRegistration,
+    deviceExists,
+    getDevice,
+    listDevicesWithStats,
+    touchDevice,
+    deactivateDevice
+} = require('../database/devices');
+const { getDeviceDataSummary, withParsedMetadata } = require('../database/healthRecords');
+const { getDeviceFeedPage } = require('../database/changeFeed');
+const { getCompactedTombstoneSeq, deleteHealthRecords } = require('../database/tombstones');
+const { deleteAggregates } = require('../database/retention');
+const {
+    startSession,
+    getSession,
+    finishSession,
+    isUploadSession,
+    getRecentSessions,
+    getLatestSession
+} = require('../database/syncSessions');
+const { getPriorityRules, setPriorityRule, deletePriorityRule, filterMergedFeed } = require('../database/sourcePriority');
+const { encodeCursor, decodeCursor, encodeAckToken, decodeAckToken } = require('../utils/syncCursor');
 const config = require('../config/config');
 
 const router = express.Router();
 
 // POST /api/v1/sync/register - Register a device for sync
+// Devices registered with the same userId belong to one person; their overlapping data is
+// resolved by that user's source priority rules in merged views.
 router.post('/register', async (req, res) => {
     try {
-        const { deviceId, deviceName, deviceType, metadata } = req.body;
+        const { deviceId, deviceName, deviceType, userId, metadata } = req.body;
 
         // Validate device data
-        const validation = validateDeviceRegistration({ deviceId, deviceName, deviceType });
+        const validation = validateDeviceRegistration({ deviceId, deviceName, deviceType, userId });
         if (!validation.isValid) {
             return res.status(400).json({
                 error: validation.error
@@ -21,22 +52,11 @@ router.post('/register', async (req, res) => {
         }
 
         // Check if device already exists
-        const existingDevice = await getRow('SELECT * FROM devices WHERE id = ?', [deviceId]);
+        const existingDevice = await getDevice(deviceId);
 
         if (existingDevice) {
             // Update existing device
-            await runQuery(`
-                UPDATE devices 
-                SET name = ?, type = ?, last_seen = CURRENT_TIMESTAMP, 
-                    is_active = 1, metadata = ?
-                WHERE id = ?
-            `, [deviceName, deviceType, JSON.stringify(metadata || {}), deviceId]);
-
-            logSyncOperation('device_updated', deviceId, 'success', {
-                deviceName,
-                deviceType,
-                previouslyRegistered: true
-            });
+            await updateDeviceRegistration({ deviceId, deviceName, deviceType, userId, metadata });
 
             res.json({
                 success: true,
@@ -45,6 +65,7 @@ router.post('/register', async (req, res) => {
                     id: deviceId,
                     name: deviceName,
                     type: deviceType,
+                    userId: userId || existingDevice.user_id,
                     lastSyncTimestamp: existingDevice.last_sync_timestamp
                 },
                 timestamp: new Date().toISOString()
@@ -52,26 +73,12 @@ router.post('/register', async (req, res) => {
 
         } else {
             // Create new device
-            await runQuery(`
-                INSERT INTO devices (id, name, type, last_seen, metadata)
-                VALUES (?, ?, ?, CURRENT_TIMESTAMP, ?)
-            `, [deviceId, deviceName, deviceType, JSON.stringify(metadata || {})]);
-
-            logSyncOperation('device_registered', deviceId, 'success', {
-                deviceName,
-                deviceType,
-                newRegistration: true
-            });
+            const device = await createDevice({ deviceId, deviceName, deviceType, userId, metadata });
 
             res.status(201).json({
                 success: true,
                 message: 'Device registered successfully',
-                device: {
-                    id: deviceId,
-                    name: deviceName,
-                    type: deviceType,
-                    lastSyncTimestamp: 0
-                },
+                device,
                 timestamp: new Date().toISOString()
             });
         }
@@ -86,16 +93,14 @@ router.post('/register', async (req, res) => {
 });
 
 // GET /api/v1/sync/status/:deviceId - Get sync status for a device
+// Includes the device's most recent sync sessions (sessionLimit, default 20) with their records
 router.get('/status/:deviceId', async (req, res) => {
     try {
         const { deviceId } = req.params;
+        const sessionLimit = Math.min(Math.max(parseInt(req.query.sessionLimit) || 20, 1), 100);
 
         // Get device info
-        const device = await getRow(`
-            SELECT id, name, type, last_sync_timestamp, last_seen, is_active
-            FROM devices 
-            WHERE id = ?
-        `, [deviceId]);
+        const device = await getDevice(deviceId);
 
         if (!device) {
             return res.status(404).json({
@@ -103,22 +108,10 @@ router.get('/status/:deviceId', async (req, res) => {
             });
         }
 
-        // Get latest sync session
-        const latestSync = await getRow(`
-            SELECT sync_type, status, records_synced, start_time, end_time, error_message
-            FROM sync_sessions 
-            WHERE device_id = ?
-            ORDER BY start_time DESC
-            LIMIT 1
-        `, [deviceId]);
-
-        // Get health data stats for this device
-        const healthStats = await getRows(`
-            SELECT data_type, COUNT(*) as count, MAX(timestamp) as latest_timestamp
-            FROM health_data 
-            WHERE device_id = ?
-            GROUP BY data_type
-        `, [deviceId]);
+        const latestSync = await getLatestSession(deviceId);
+        const healthStats = await getDeviceDataSummary(deviceId);
+        const checkpoints = await getCheckpoints(deviceId);
+        const sessions = await getRecentSessions(deviceId, sessionLimit);
 
         res.json({
             success: true,
@@ -126,11 +119,14 @@ router.get('/status/:deviceId', async (req, res) => {
                 id: device.id,
                 name: device.name,
                 type: device.type,
+                userId: device.user_id,
                 lastSyncTimestamp: device.last_sync_timestamp,
                 lastSeen: device.last_seen,
                 isActive: device.is_active === 1
             },
             latestSync: latestSync || null,
+            sessions,
+            checkpoints,
             healthDataStats: healthStats,
             timestamp: new Date().toISOString()
         });
@@ -162,8 +158,7 @@ router.post('/start', async (req, res) => {
         }
 
         // Verify device exists
-        const device = await getRow('SELECT id FROM devices WHERE id = ?', [deviceId]);
-        if (!device) {
+        if (!(await deviceExists(deviceId))) {
             return res.status(404).json({
                 error: 'Device not found. Please register the device first.'
             });
@@ -171,10 +166,7 @@ router.post('/start', async (req, res) => {
 
         // Create sync session
         const sessionId = uuidv4();
-        await runQuery(`
-            INSERT INTO sync_sessions (id, device_id, sync_type, status, start_time)
-            VALUES (?, ?, ?, 'started', CURRENT_TIMESTAMP)
-        `, [sessionId, deviceId, syncType]);
+        await startSession(sessionId, deviceId, syncType);
 
         logSyncOperation('sync_started', deviceId, 'started', {
             sessionId,
@@ -185,6 +177,8 @@ router.post('/start', async (req, res) => {
             success: true,
             sessionId,
             syncType,
+            // Sessions idle for longer than this are marked failed
+            timeoutMs: config.sync.syncTimeoutMs,
             timestamp: new Date().toISOString()
         });
 
@@ -198,9 +192,11 @@ router.post('/start', async (req, res) => {
 });
 
 // POST /api/v1/sync/complete - Complete a sync session
+// recordsSynced is counted by the server from the records uploaded with the session's ID; a
+// count sent by the client is only logged for comparison.
 router.post('/complete', async (req, res) => {
     try {
-        const { sessionId, recordsSynced = 0, errorMessage } = req.body;
+        const { sessionId, recordsSynced: claimedRecords, errorMessage } = req.body;
 
         if (!sessionId) {
             return res.status(400).json({
@@ -209,11 +205,7 @@ router.post('/complete', async (req, res) => {
         }
 
         // Get session info
-        const session = await getRow(`
-            SELECT id, device_id, sync_type, status
-            FROM sync_sessions 
-            WHERE id = ?
-        `, [sessionId]);
+        const session = await getSession(sessionId);
 
         if (!session) {
             return res.status(404).json({
@@ -227,18 +219,30 @@ router.post('/complete', async (req, res) => {
             });
         }
 
+        if (isUploadSession(session)) {
+            return res.status(400).json({
+                error: 'Upload sessions are finished by committing or deleting them; see /api/v1/sync/uploads'
+            });
+        }
+
         // Update session
         const status = errorMessage ? 'failed' : 'completed';
-        await runQuery(`
-            UPDATE sync_sessions 
-            SET status = ?, records_synced = ?, end_time = CURRENT_TIMESTAMP, error_message = ?
-            WHERE id = ?
-        `, [status, recordsSynced, errorMessage || null, sessionId]);
+        const recordsSynced = await finishSession(sessionId, status, errorMessage || null);
+        if (recordsSynced === null) {
+            return res.status(400).json({
+                error: 'Cannot complete session: it was closed in the meantime'
+            });
+        }
+
+        if (claimedRecords !== undefined && claimedRecords !== recordsSynced) {
+            logger.warn(`Sync session ${sessionId} claimed ${claimedRecords} records; server counted ${recordsSynced}`);
+        }
 
         logSyncOperation('sync_completed', session.device_id, status, {
             sessionId,
             syncType: session.sync_type,
             recordsSynced,
+            claimedRecords,
             errorMessage
         });
 
@@ -259,105 +263,161 @@ router.post('/complete', async (req, res) => {
 });
 
 // GET /api/v1/sync/data/:deviceId - Get data for sync (iOS app endpoint)
+// Pages are ordered by the server's change sequence. Pass the returned nextCursor back as
+// `cursor` to get the next page, and keep the last one to pull only what changed since -
+// including data uploaded late with old timestamps. Without a cursor the pull starts from the
+// device's acknowledged download checkpoints; once a page has been stored, POST its ackToken
+// to /ack/:deviceId to move those checkpoints forward. With view=merged, records that the
+// user's source priority rules resolve in favour of another of their devices come as
+// 'superseded' removals instead, and each bucket the page touches is sent as it now stands (see
+// filterMergedFeed) - so records delivered earlier can be removed or delivered again.
 router.get('/data/:deviceId', async (req, res) => {
     try {
         const { deviceId } = req.params;
-        const { since, until, dataType, limit = 1000, offset = 0 } = req.query;
+        const { cursor, limit = 1000, offset = 0, view = 'raw' } = req.query;
+
+        if (!['raw', 'merged'].includes(view)) {
+            return res.status(400).json({
+                error: 'View must be either "raw" or "merged"'
+            });
+        }
 
         // Validate parameters
-        const paramValidation = validateSyncParams({ since, until, limit, offset });
+        const paramValidation = validateSyncParams(req.query);
         if (!paramValidation.isValid) {
             return res.status(400).json({
                 error: paramValidation.error
             });
         }
 
+        // Filters come from the cursor once paging has started
+        let position = { seq: 0, filters: {} };
+        if (cursor) {
+            position = decodeCursor(cursor);
+            if (!position) {
+                return res.status(400).json({
+                    error: 'Invalid cursor'
+                });
+            }
+            if (req.query.since || req.query.until || req.query.dataType) {
+                return res.status(400).json({
+                    error: 'since, until and dataType cannot be combined with a cursor'
+                });
+            }
+        } else {
+            const { since, until, dataType } = req.query;
+            if (since) position.filters.since = parseInt(since);
+            if (until) position.filters.until = parseInt(until);
+            if (dataType) position.filters.dataType = dataType;
+        }
+
+        const { since: sinceTimestamp, until: untilTimestamp, dataType } = position.filters;
+
         // Verify device exists
-        const device = await getRow('SELECT id, last_sync_timestamp FROM devices WHERE id = ?', [deviceId]);
-        if (!device) {
+        if (!(await deviceExists(deviceId))) {
             return res.status(404).json({
                 error: 'Device not found'
             });
         }
 
-        // Use device's last sync timestamp if no 'since' parameter provided
-        const sinceTimestamp = since ? parseInt(since) : device.last_sync_timestamp;
+        // Everything up to this sequence number is committed; bounding the page by it means
+        // an empty page can safely move the cursor forward
+        const snapshotSeq = await getCurrentChangeSeq();
 
-        // Build query conditions
-        const conditions = ['device_id != ?']; // Exclude data from the requesting device
-        const params = [deviceId];
-
-        if (sinceTimestamp > 0) {
-            conditions.push('timestamp > ?');
-            params.push(sinceTimestamp);
+        if (dataType && !config.healthData.supportedTypes.includes(dataType)) {
+            return res.status(400).json({
+                error: `Unsupported data type: ${dataType}`
+            });
         }
 
-        if (until) {
-            conditions.push('timestamp <= ?');
-            params.push(parseInt(until));
+        const limitNum = Math.min(parseInt(limit), config.sync.maxBatchSize);
+        // Offsets are only honoured for legacy clients that do not use cursors
+        const offsetNum = cursor ? 0 : parseInt(offset);
+
+        // Each source device starts after whichever is further on, the cursor or this
+        // consumer's acknowledged checkpoint for that source
+        const { records, hasMore, total } = await getDeviceFeedPage(deviceId, {
+            afterSeq: position.seq,
+            snapshotSeq,
+            since: sinceTimestamp,
+            until: untilTimestamp,
+            dataType
+        }, { limit: limitNum, offset: offsetNum });
+
+        const nextSeq = hasMore ? records[records.length - 1].change_seq : snapshotSeq;
+        const nextCursor = encodeCursor({ seq: nextSeq, filters: position.filters });
+
+        // Only complete, unfiltered pages can be acknowledged - a filtered page says nothing
+        // about the records it left out
+        const acknowledgeable = Object.keys(position.filters).length === 0 && offsetNum === 0;
+        const delivered = {};
+        for (const record of records) {
+            delivered[record.device_id] = Math.max(delivered[record.device_id] || 0, record.change_seq);
         }
-
-        if (dataType) {
-            if (!config.healthData.supportedTypes.includes(dataType)) {
-                return res.status(400).json({
-                    error: `Unsupported data type: ${dataType}`
-                });
-            }
-            conditions.push('data_type = ?');
-            params.push(dataType);
+        const ackToken = acknowledgeable && records.length > 0 ? encodeAckToken(deviceId, delivered) : null;
+
+        // A position older than the last tombstone compaction may have missed deletions
+        const compactedSeq = await getCompactedTombstoneSeq();
+        const startSeq = Math.max(position.seq, await getLowestDownloadPosition(deviceId));
+        const resyncRequired = startSeq > 0 && startSeq < compactedSeq;
+
+        let delivery = { records, suppressed: 0, retracted: 0, redelivered: 0 };
+        if (view === 'merged') {
+            delivery = await filterMergedFeed(deviceId, records, {
+                fromSeq: startSeq,
+                toSeq: nextSeq,
+                since: sinceTimestamp,
+                until: untilTimestamp,
+                dataType
+            });
         }
 
-        const limitNum = Math.min(parseInt(limit), config.sync.maxBatchSize);
-        const offsetNum = parseInt(offset);
-
-        // Execute query
-        const query = `
-            SELECT 
-                device_id,
-                data_type,
-                timestamp,
-                value,
-                unit,
-                metadata,
-                source_app
-            FROM health_data 
-            WHERE ${conditions.join(' AND ')}
-            ORDER BY timestamp DESC
-            LIMIT ? OFFSET ?
-        `;
-
-        params.push(limitNum, offsetNum);
-        const records = await getRows(query, params);
-
-        // Get total count
-        const countQuery = `
-            SELECT COUNT(*) as total 
-            FROM health_data 
-            WHERE ${conditions.join(' AND ')}
-        `;
-        const countParams = params.slice(0, -2); // Remove limit and offset
-        const countResult = await getRow(countQuery, countParams);
+        const live = delivery.records.filter(record => record.kind === 'record');
+        const deleted = delivery.records.filter(record => record.kind === 'tombstone');
 
         logSyncOperation('data_retrieved', deviceId, 'success', {
-            recordsReturned: records.length,
-            sinceTimestamp,
+            recordsReturned: live.length,
+            tombstonesReturned: deleted.length,
+            recordsSuppressed: delivery.suppressed,
+            recordsRetracted: delivery.retracted,
+            recordsRedelivered: delivery.redelivered,
+            fromSeq: position.seq,
+            toSeq: nextSeq,
             dataType: dataType || 'all',
-            totalAvailable: countResult.total
+            totalAvailable: total
         });
 
         res.json({
             success: true,
-            data: records.map(record => ({
-                ...record,
-                metadata: record.metadata ? JSON.parse(record.metadata) : null
+            data: live.map(({ kind, change_seq, reason, replaced_by, deleted_at, ...record }) => withParsedMetadata(record)),
+            // Records to remove: deleted outright, replaced by a correction delivered in data, or
+            // (merged view) superseded by another device's data. A correction keeps the
+            // record_uuid, so the removal only covers versions up to `version`; a superseded
+            // record may be delivered again if it wins its bucket back.
+            deleted: deleted.map(({ id, device_id, data_type, timestamp, source_app, client_record_id, record_uuid, version, reason, replaced_by }) => ({
+                id,
+                device_id,
+                data_type,
+                timestamp,
+                source_app,
+                client_record_id,
+                record_uuid,
+                version,
+                reason,
+                replaced_by
             })),
             pagination: {
-                total: countResult.total,
+                total,
                 limit: limitNum,
                 offset: offsetNum,
-                hasMore: (offsetNum + records.length) < countResult.total
+                hasMore,
+                nextCursor
             },
-            lastSyncTimestamp: sinceTimestamp,
+            view,
+            suppressed: delivery.suppressed,
+            ackToken,
+            resyncRequired,
+            lastSyncTimestamp: sinceTimestamp || 0,
             timestamp: new Date().toISOString()
         });
 
@@ -370,7 +430,84 @@ router.get('/data/:deviceId', async (req, res) => {
     }
 });
 
+// POST /api/v1/sync/ack/:deviceId - Acknowledge a delivered page of sync data
+// The consumer sends the page's ackToken once the records are safely stored (e.g. saved to
+// HealthKit); only then do its download checkpoints move forward.
+router.post('/ack/:deviceId', async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const ack = decodeAckToken(req.body.ackToken);
+
+        if (!ack) {
+            return res.status(400).json({
+                error: 'Valid ackToken is required'
+            });
+        }
+
+        if (ack.consumerDeviceId !== deviceId) {
+            return res.status(400).json({
+                error: 'ackToken was issued to a different device'
+            });
+        }
+
+        // Verify device exists
+        if (!(await deviceExists(deviceId))) {
+            return res.status(404).json({
+                error: 'Device not found'
+            });
+        }
+
+        await advanceDownloadCheckpoints(deviceId, ack.positions);
+
+        logSyncOperation('page_acknowledged', deviceId, 'success', {
+            positions: ack.positions
+        });
+
+        res.json({
+            success: true,
+            checkpoints: await getCheckpoints(deviceId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error acknowledging sync data:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/sync/checkpoints/:deviceId - Get upload and download checkpoints for a device
+router.get('/checkpoints/:deviceId', async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+
+        if (!(await deviceExists(deviceId))) {
+            return res.status(404).json({
+                error: 'Device not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            deviceId,
+            checkpoints: await getCheckpoints(deviceId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error getting sync checkpoints:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 // PUT /api/v1/sync/timestamp/:deviceId - Update device last sync timestamp
+// Legacy endpoint: it can only move the device's upload checkpoint forward. Download progress
+// is tracked through acknowledgements (POST /ack/:deviceId).
 router.put('/timestamp/:deviceId', async (req, res) => {
     try {
         const { deviceId } = req.params;
@@ -385,27 +522,25 @@ router.put('/timestamp/:deviceId', async (req, res) => {
         const timestampNum = parseInt(timestamp);
 
         // Verify device exists
-        const device = await getRow('SELECT id FROM devices WHERE id = ?', [deviceId]);
-        if (!device) {
+        if (!(await deviceExists(deviceId))) {
             return res.status(404).json({
                 error: 'Device not found'
             });
         }
 
-        // Update timestamp
-        await runQuery(`
-            UPDATE devices 
-            SET last_sync_timestamp = ?, last_seen = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `, [timestampNum, deviceId]);
+        await advanceUploadCheckpoint(deviceId, timestampNum);
+        await touchDevice(deviceId);
+
+        const checkpoints = await getCheckpoints(deviceId);
 
         logSyncOperation('timestamp_updated', deviceId, 'success', {
-            newTimestamp: timestampNum
+            requestedTimestamp: timestampNum,
+            uploadCheckpoint: checkpoints.upload.timestamp
         });
 
         res.json({
             success: true,
-            lastSyncTimestamp: timestampNum,
+            lastSyncTimestamp: checkpoints.upload.timestamp,
             timestamp: new Date().toISOString()
         });
 
@@ -418,56 +553,102 @@ router.put('/timestamp/:deviceId', async (req, res) => {
     }
 });
 
+// GET /api/v1/sync/users/:userId/source-priority - Get a user's effective source priority rules
+router.get('/users/:userId/source-priority', async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        res.json({
+            success: true,
+            userId,
+            rules: await getPriorityRules(userId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error getting source priority rules:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// PUT /api/v1/sync/users/:userId/source-priority/:dataType - Set a user's rule for a data type
+// Body: { priority: [deviceId or deviceType, ...best first], bucketMs }
+router.put('/users/:userId/source-priority/:dataType', async (req, res) => {
+    try {
+        const { userId, dataType } = req.params;
+        const { priority, bucketMs } = req.body;
+
+        const validation = validateSourcePriorityRule({ dataType, priority, bucketMs });
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: validation.error
+            });
+        }
+
+        await setPriorityRule(userId, dataType, priority, bucketMs);
+        const rules = await getPriorityRules(userId);
+
+        logger.info(`Source priority for ${dataType} set for user ${userId}: ${priority.join(' > ')}`);
+
+        res.json({
+            success: true,
+            userId,
+            dataType,
+            rule: rules[dataType],
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error setting source priority rule:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// DELETE /api/v1/sync/users/:userId/source-priority/:dataType - Revert a data type to the default rule
+router.delete('/users/:userId/source-priority/:dataType', async (req, res) => {
+    try {
+        const { userId, dataType } = req.params;
+
+        const removed = await deletePriorityRule(userId, dataType);
+        if (!removed) {
+            return res.status(404).json({
+                error: 'No rule set for this data type'
+            });
+        }
+
+        const rules = await getPriorityRules(userId);
+
+        res.json({
+            success: true,
+            userId,
+            dataType,
+            rule: rules[dataType] || null,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error deleting source priority rule:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 // GET /api/v1/sync/devices - List all registered devices
 router.get('/devices', async (req, res) => {
     try {
-        const devices = await getRows(`
-            SELECT 
-                id,
-                name,
-                type,
-                last_sync_timestamp,
-                last_seen,
-                is_active,
-                created_at
-            FROM devices 
-            ORDER BY last_seen DESC
-        `);
-
-        // Get sync stats for each device
-        const devicesWithStats = await Promise.all(devices.map(async (device) => {
-            const syncStats = await getRow(`
-                SELECT 
-                    COUNT(*) as total_sessions,
-                    COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_sessions,
-                    COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_sessions,
-                    MAX(start_time) as last_sync_attempt
-                FROM sync_sessions 
-                WHERE device_id = ?
-            `, [device.id]);
-
-            const healthDataCount = await getRow(`
-                SELECT COUNT(*) as total_records
-                FROM health_data 
-                WHERE device_id = ?
-            `, [device.id]);
-
-            return {
-                ...device,
-                isActive: device.is_active === 1,
-                syncStats: {
-                    totalSessions: syncStats.total_sessions || 0,
-                    completedSessions: syncStats.completed_sessions || 0,
-                    failedSessions: syncStats.failed_sessions || 0,
-                    lastSyncAttempt: syncStats.last_sync_attempt
-                },
-                healthDataRecords: healthDataCount.total_records || 0
-            };
-        }));
+        const devices = await listDevicesWithStats();
 
         res.json({
             success: true,
-            devices: devicesWithStats,
+            devices,
             timestamp: new Date().toISOString()
         });
 
@@ -486,7 +667,7 @@ router.delete('/device/:deviceId', async (req, res) => {
         const { deviceId } = req.params;
 
         // Check if device exists
-        const device = await getRow('SELECT id, name FROM devices WHERE id = ?', [deviceId]);
+        const device = await getDevice(deviceId);
         if (!device) {
             return res.status(404).json({
                 error: 'Device not found'
@@ -494,19 +675,24 @@ router.delete('/device/:deviceId', async (req, res) => {
         }
 
         // Soft delete - mark as inactive
-        await runQuery(`
-            UPDATE devices 
-            SET is_active = 0, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `, [deviceId]);
+        await deactivateDevice(deviceId);
+
+        // Optionally remove the device's data everywhere it was synced to
+        let purgedRecords = 0;
+        if (req.query.purgeData === 'true') {
+            purgedRecords = await deleteHealthRecords({ deviceId });
+            await deleteAggregates({ deviceId });
+        }
 
         logSyncOperation('device_unregistered', deviceId, 'success', {
-            deviceName: device.name
+            deviceName: device.name,
+            purgedRecords
         });
 
         res.json({
             success: true,
             message: 'Device unregistered successfully',
+            purgedRecords,
             timestamp: new Date().toISOString()
         });
 
@@ -0,0 +1,426 @@
+const express = require('express');
+const { deviceExists } = require('../database/devices');
+const {
+    openUploadSession,
+    getUploadSession,
+    setTotalChunks,
+    storeChunk,
+    getReceivedChunks,
+    beginCommit,
+    abandonCommit,
+    commitUploadSession
+} = require('../database/uploadSessions');
+const { finishSession } = require('../database/syncSessions');
+const { logger, logSyncOperation } = require('../utils/logger');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// POST /api/v1/sync/uploads - Open a chunked upload session
+// For uploads too large to send reliably in one request (e.g. a long run with per-second GPS
+// and heart rate). Send the records as numbered chunks, then commit the session to ingest them
+// all at once.
+router.post('/', async (req, res) => {
+    try {
+        const { deviceId, totalChunks, dataType } = req.body;
+
+        if (!deviceId) {
+            return res.status(400).json({
+                error: 'Device ID is required'
+            });
+        }
+
+        if (totalChunks !== undefined && !isValidChunkCount(totalChunks)) {
+            return res.status(400).json({
+                error: `totalChunks must be between 1 and ${config.sync.uploadSessions.maxChunks}`
+            });
+        }
+
+        if (dataType && !config.healthData.supportedTypes.includes(dataType)) {
+            return res.status(400).json({
+                error: `Unsupported data type: ${dataType}`,
+                supportedTypes: config.healthData.supportedTypes
+            });
+        }
+
+        // Verify device exists
+        if (!(await deviceExists(deviceId))) {
+            return res.status(404).json({
+                error: 'Device not found. Please register the device first.'
+            });
+        }
+
+        const sessionId = await openUploadSession(deviceId, { totalChunks, dataType });
+
+        logSyncOperation('upload_session_opened', deviceId, 'started', {
+            sessionId,
+            totalChunks,
+            dataType
+        });
+
+        res.status(201).json({
+            success: true,
+            sessionId,
+            totalChunks: totalChunks || null,
+            maxChunkRecords: config.sync.maxBatchSize,
+            maxChunks: config.sync.uploadSessions.maxChunks,
+            maxRecords: config.sync.uploadSessions.maxRecords,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error opening upload session:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// PUT /api/v1/sync/uploads/:sessionId/chunks/:index - Upload one chunk (indexes start at 0)
+// Body: { records: [...] } in the same shape as POST /api/v1/health-data. Sending an index again
+// replaces that chunk, so resending after a dropped connection is safe.
+router.put('/:sessionId/chunks/:index', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const chunkIndex = Number(req.params.index);
+        const { records } = req.body;
+
+        const session = await getUploadSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                error: 'Upload session not found'
+            });
+        }
+
+        if (session.status !== 'started') {
+            return res.status(409).json({
+                error: `Cannot add chunks to session with status: ${session.status}`
+            });
+        }
+
+        const chunkLimit = session.totalChunks || config.sync.uploadSessions.maxChunks;
+        if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= chunkLimit) {
+            return res.status(400).json({
+                error: `Chunk index must be between 0 and ${chunkLimit - 1}`
+            });
+        }
+
+        if (!Array.isArray(records) || records.length === 0) {
+            return res.status(400).json({
+                error: 'Missing required field: records (non-empty array)'
+            });
+        }
+
+        if (records.length > config.sync.maxBatchSize) {
+            return res.status(400).json({
+                error: `Chunk size exceeds maximum allowed (${config.sync.maxBatchSize})`
+            });
+        }
+
+        const isNew = await storeChunk(sessionId, chunkIndex, records);
+        if (isNew === null) {
+            // Committed, aborted or reaped since the status check above
+            const current = await getUploadSession(sessionId);
+            return res.status(409).json({
+                error: `Cannot add chunks to session with status: ${current.status}`
+            });
+        }
+
+        const received = await getReceivedChunks(sessionId);
+
+        res.status(isNew ? 201 : 200).json({
+            success: true,
+            sessionId,
+            chunkIndex,
+            records: records.length,
+            replaced: !isNew,
+            chunksReceived: received.length,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error storing upload chunk:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/sync/uploads/:sessionId - Which chunks the server already has
+router.get('/:sessionId', async (req, res) => {
+    try {
+        const session = await getUploadSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({
+                error: 'Upload session not found'
+            });
+        }
+
+        const received = await getReceivedChunks(session.id);
+
+        res.json({
+            success: true,
+            session: describeSession(session),
+            receivedChunks: received.map(chunk => chunk.chunk_index),
+            missingChunks: session.totalChunks ? findMissingChunks(received, session.totalChunks) : null,
+            receivedRecords: received.reduce((sum, chunk) => sum + chunk.record_count, 0),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error getting upload session:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// POST /api/v1/sync/uploads/:sessionId/commit - Reassemble the chunks and ingest them
+// All chunks 0..totalChunks-1 must be present. The records are validated and stored in a
+// single all-or-nothing transaction that also closes the session; if any record is invalid
+// nothing is stored and the session stays open so the offending chunks can be resent. While
+// the commit runs the session is 'committing', and chunks, aborts and other commits are refused.
+router.post('/:sessionId/commit', async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const session = await getUploadSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                error: 'Upload session not found'
+            });
+        }
+
+        // A retried commit whose first response was lost
+        if (session.status === 'completed') {
+            return res.json({
+                success: true,
+                alreadyCommitted: true,
+                session: describeSession(session),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (session.status === 'committing') {
+            return res.status(409).json({
+                error: 'Session is already being committed'
+            });
+        }
+
+        if (session.status !== 'started') {
+            return res.status(409).json({
+                error: `Cannot commit session with status: ${session.status}`
+            });
+        }
+
+        if (!(await beginCommit(sessionId))) {
+            return res.status(409).json({
+                error: 'Session was committed or closed in the meantime'
+            });
+        }
+
+        // Reopened for the client to fix and retry unless the records end up stored
+        let committed = false;
+        try {
+            const received = await getReceivedChunks(sessionId);
+            let totalChunks = req.body.totalChunks !== undefined ? req.body.totalChunks : session.totalChunks;
+            if (totalChunks === null || totalChunks === undefined) {
+                totalChunks = received.length > 0 ? received[received.length - 1].chunk_index + 1 : 0;
+            }
+
+            if (totalChunks === 0 || !isValidChunkCount(totalChunks)) {
+                return res.status(400).json({
+                    error: received.length === 0
+                        ? 'No chunks have been uploaded'
+                        : `totalChunks must be between 1 and ${config.sync.uploadSessions.maxChunks}`
+                });
+            }
+
+            const missingChunks = findMissingChunks(received, totalChunks);
+            if (missingChunks.length > 0) {
+                return res.status(409).json({
+                    error: 'Upload is incomplete',
+                    missingChunks,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (received.some(chunk => chunk.chunk_index >= totalChunks)) {
+                return res.status(400).json({
+                    error: `Chunks beyond totalChunks (${totalChunks}) were uploaded`
+                });
+            }
+
+            const totalRecords = received.reduce((sum, chunk) => sum + chunk.record_count, 0);
+            if (totalRecords > config.sync.uploadSessions.maxRecords) {
+                return res.status(400).json({
+                    error: `Upload exceeds maximum allowed records (${config.sync.uploadSessions.maxRecords})`
+                });
+            }
+
+            if (totalChunks !== session.totalChunks) {
+                await setTotalChunks(session, totalChunks);
+            }
+
+            const locate = chunkLocator(received);
+
+            let outcome;
+            try {
+                outcome = await commitUploadSession(session);
+            } catch (error) {
+                logger.error(`Upload session ${sessionId} commit rolled back:`, error);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to store upload; no records were saved',
+                    ...(error.recordIndex !== undefined && locate(error.recordIndex)),
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (outcome.rejected) {
+                logSyncOperation('upload_session_rejected', session.deviceId, 'failed', {
+                    sessionId,
+                    totalRecords,
+                    errors: outcome.errors.length
+                });
+
+                return res.status(422).json({
+                    success: false,
+                    error: 'Upload rejected: every record must be valid',
+                    processed: outcome.processed,
+                    errors: outcome.errors.map(error => ({ ...error, ...locate(error.index) })),
+                    timestamp: new Date().toISOString()
+                });
+            }
+            committed = true;
+
+            logSyncOperation('upload_session_committed', session.deviceId, 'completed', {
+                sessionId,
+                chunks: totalChunks,
+                recordsSynced: outcome.recordsSynced,
+                inserted: outcome.processed.inserted,
+                duplicates: outcome.processed.duplicates
+            });
+
+            res.json({
+                success: true,
+                sessionId,
+                chunks: totalChunks,
+                recordsSynced: outcome.recordsSynced,
+                processed: outcome.processed,
+                byType: outcome.byType,
+                duplicates: outcome.duplicates.length > 0
+                    ? outcome.duplicates.map(duplicate => ({ ...duplicate, ...locate(duplicate.index) }))
+                    : undefined,
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            if (!committed) {
+                await abandonCommit(sessionId);
+            }
+        }
+
+    } catch (error) {
+        logger.error('Error committing upload session:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// DELETE /api/v1/sync/uploads/:sessionId - Abandon an upload session and discard its chunks
+router.delete('/:sessionId', async (req, res) => {
+    try {
+        const session = await getUploadSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({
+                error: 'Upload session not found'
+            });
+        }
+
+        if (session.status !== 'started') {
+            return res.status(409).json({
+                error: `Cannot abort session with status: ${session.status}`
+            });
+        }
+
+        if (await finishSession(session.id, 'failed', 'Aborted by client') === null) {
+            // A commit claimed it, or the reaper closed it, since the status check above
+            const current = await getUploadSession(session.id);
+            return res.status(409).json({
+                error: `Cannot abort session with status: ${current.status}`
+            });
+        }
+
+        logSyncOperation('upload_session_aborted', session.deviceId, 'failed', {
+            sessionId: session.id
+        });
+
+        res.json({
+            success: true,
+            sessionId: session.id,
+            status: 'failed',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error aborting upload session:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Helper functions
+function isValidChunkCount(count) {
+    return Number.isInteger(count) && count >= 1 && count <= config.sync.uploadSessions.maxChunks;
+}
+
+function findMissingChunks(received, totalChunks) {
+    const have = new Set(received.map(chunk => chunk.chunk_index));
+    const missing = [];
+    for (let i = 0; i < totalChunks; i++) {
+        if (!have.has(i)) missing.push(i);
+    }
+    return missing;
+}
+
+// Maps a position in the reassembled upload back to { chunkIndex, chunkOffset }
+function chunkLocator(received) {
+    const starts = [];
+    let position = 0;
+    for (const chunk of received) {
+        starts.push({ chunkIndex: chunk.chunk_index, start: position });
+        position += chunk.record_count;
+    }
+
+    return (index) => {
+        let found = starts[0];
+        for (const entry of starts) {
+            if (entry.start > index) break;
+            found = entry;
+        }
+        return { chunkIndex: found.chunkIndex, chunkOffset: index - found.start };
+    };
+}
+
+function describeSession(session) {
+    return {
+        id: session.id,
+        deviceId: session.deviceId,
+        status: session.status,
+        totalChunks: session.totalChunks,
+        dataType: session.dataType,
+        recordsSynced: session.recordsSynced,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        errorMessage: session.errorMessage
+    };
+}
+
+module.exports = router;
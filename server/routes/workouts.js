@@ -0,0 +1,281 @@
+const express = require('express');
+const { ensureDeviceRegistered } = require('../database/devices');
+const {
+    LINKED_SAMPLE_TYPES,
+    createWorkout,
+    listWorkouts,
+    getWorkout,
+    getWorkoutRoute,
+    getWorkoutSamples,
+    deleteWorkout
+} = require('../database/workouts');
+const { logger, logHealthData } = require('../utils/logger');
+const { validateWorkout, sanitizeWorkout, validateSyncParams } = require('../utils/validation');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// Shortest and longest split a client may ask for, in meters
+const MIN_SPLIT_METERS = 100;
+const MAX_SPLIT_METERS = 100000;
+
+// POST /api/v1/workouts - Store a workout with its laps and route
+// Times may be epoch milliseconds or ISO strings; distances are meters. Each route point is
+// { timestamp, latitude, longitude, altitude? } and each lap { startTime, endTime, distance?,
+// totalCalories? }, all within the workout. Posting a clientWorkoutId the device already sent
+// returns the stored workout with duplicate set.
+router.post('/', async (req, res) => {
+    try {
+        const { deviceId } = req.body;
+
+        if (!deviceId) {
+            return res.status(400).json({
+                error: 'Missing required field: deviceId'
+            });
+        }
+
+        const validation = validateWorkout(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: validation.error
+            });
+        }
+
+        const registration = await ensureDeviceRegistered({
+            deviceId,
+            deviceType: req.body.deviceType || 'wearos',
+            deviceName: req.body.deviceName
+        });
+        if (registration.error) {
+            return res.status(400).json({
+                error: registration.error
+            });
+        }
+
+        const workout = sanitizeWorkout(req.body);
+        const { id, duplicate } = await createWorkout(deviceId, workout);
+
+        logHealthData(duplicate ? 'workout_duplicate' : 'workout_received', deviceId, 'workout', duplicate ? 0 : 1, {
+            workoutId: id,
+            activityType: workout.activityType,
+            laps: workout.laps.length,
+            routePoints: workout.route.length
+        });
+
+        res.status(duplicate ? 200 : 201).json({
+            success: true,
+            duplicate,
+            workout: await getWorkout(id),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error storing workout:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/workouts - List workouts, newest first
+// Filter by deviceId, activityType and since/until (epoch milliseconds, on the start time).
+// Each comes with its distance, pace and elevation gain; laps, splits and samples are on
+// GET /api/v1/workouts/:id.
+router.get('/', async (req, res) => {
+    try {
+        const { deviceId, activityType, since, until, limit = 100, offset = 0 } = req.query;
+
+        const sinceTimestamp = since ? parseInt(since) : undefined;
+        if (Number.isNaN(sinceTimestamp)) {
+            return res.status(400).json({
+                error: 'Invalid since timestamp'
+            });
+        }
+
+        const untilTimestamp = until ? parseInt(until) : undefined;
+        if (Number.isNaN(untilTimestamp)) {
+            return res.status(400).json({
+                error: 'Invalid until timestamp'
+            });
+        }
+
+        const pageValidation = validateSyncParams({ limit, offset });
+        if (!pageValidation.isValid) {
+            return res.status(400).json({
+                error: pageValidation.error
+            });
+        }
+
+        const limitNum = parseInt(limit);
+        const offsetNum = parseInt(offset);
+
+        const { workouts, total } = await listWorkouts(
+            { deviceId, activityType, since: sinceTimestamp, until: untilTimestamp },
+            { limit: limitNum, offset: offsetNum }
+        );
+
+        res.json({
+            success: true,
+            data: workouts,
+            pagination: {
+                total,
+                limit: limitNum,
+                offset: offsetNum,
+                hasMore: (offsetNum + workouts.length) < total
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error listing workouts:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/workouts/:id - A workout with its laps, splits and linked samples
+// Splits are splitMeters long (config.workouts.splitDistanceMeters by default). The linked
+// samples are summarized here and listed by GET /api/v1/workouts/:id/samples.
+router.get('/:id', async (req, res) => {
+    try {
+        let splitMeters = config.workouts.splitDistanceMeters;
+        if (req.query.splitMeters !== undefined) {
+            splitMeters = parseFloat(req.query.splitMeters);
+            if (isNaN(splitMeters) || splitMeters < MIN_SPLIT_METERS || splitMeters > MAX_SPLIT_METERS) {
+                return res.status(400).json({
+                    error: `splitMeters must be between ${MIN_SPLIT_METERS} and ${MAX_SPLIT_METERS}`
+                });
+            }
+        }
+
+        const workout = await getWorkout(req.params.id, { splitMeters });
+        if (!workout) {
+            return res.status(404).json({
+                error: 'Workout not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            workout,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error getting workout:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/workouts/:id/route - Every route point of a workout, in time order
+router.get('/:id/route', async (req, res) => {
+    try {
+        const route = await getWorkoutRoute(req.params.id);
+        if (!route) {
+            return res.status(404).json({
+                error: 'Workout not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            workoutId: req.params.id,
+            route,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error getting workout route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// GET /api/v1/workouts/:id/samples - The heart rate and GPS records the workout's device
+// recorded during it, oldest first. Pass dataType for one of them.
+router.get('/:id/samples', async (req, res) => {
+    try {
+        const { dataType, limit = 1000, offset = 0 } = req.query;
+
+        if (dataType && !LINKED_SAMPLE_TYPES.includes(dataType)) {
+            return res.status(400).json({
+                error: `dataType must be one of: ${LINKED_SAMPLE_TYPES.join(', ')}`
+            });
+        }
+
+        const pageValidation = validateSyncParams({ limit, offset });
+        if (!pageValidation.isValid) {
+            return res.status(400).json({
+                error: pageValidation.error
+            });
+        }
+
+        const limitNum = parseInt(limit);
+        const offsetNum = parseInt(offset);
+
+        const samples = await getWorkoutSamples(req.params.id, { dataType }, { limit: limitNum, offset: offsetNum });
+        if (!samples) {
+            return res.status(404).json({
+                error: 'Workout not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            workoutId: req.params.id,
+            data: samples.records,
+            pagination: {
+                total: samples.total,
+                limit: limitNum,
+                offset: offsetNum,
+                hasMore: (offsetNum + samples.records.length) < samples.total
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error getting workout samples:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// DELETE /api/v1/workouts/:id - Delete a workout with its laps and route
+// The linked samples are kept; they are health records in their own right.
+router.delete('/:id', async (req, res) => {
+    try {
+        const deleted = await deleteWorkout(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Workout not found'
+            });
+        }
+
+        logger.info(`Deleted workout ${req.params.id}`);
+
+        res.json({
+            success: true,
+            workoutId: req.params.id,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error deleting workout:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
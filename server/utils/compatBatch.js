@@ -0,0 +1,282 @@
+// The batch format of the iOS compatibility API (/api/v1/data). A batch holds one array of
+// items per data type; each type below names the value used for it in `types`, the batch field
+// holding its items, and how an item maps to a stored record (fromItem) and back (toItem).
+// Item timestamps are ISO strings; startTime/endTime and route point times are passed through
+// as the client sent them. Durations are stored in the units validateHealthData expects
+// (minutes), whatever unit the batch format uses for them.
+
+const { decryptJsonField } = require('./encryption');
+
+const COMPAT_TYPES = {
+    heart_rate: {
+        name: 'heartRate',
+        field: 'heartRateData',
+        fromItem: (item) => ({
+            value: item.value,
+            unit: 'bpm',
+            metadata: { confidence: item.confidence }
+        }),
+        toItem: (record, metadata) => ({
+            value: record.value,
+            confidence: metadata.confidence !== undefined ? metadata.confidence : null
+        })
+    },
+    steps: {
+        name: 'stepCount',
+        field: 'stepCountData',
+        fromItem: (item) => ({
+            value: item.count,
+            unit: 'steps',
+            metadata: { duration: item.duration }
+        }),
+        toItem: (record, metadata) => ({
+            count: record.value,
+            duration: metadata.duration !== undefined ? metadata.duration : null
+        })
+    },
+    sleep: {
+        name: 'sleep',
+        field: 'sleepData',
+        fromItem: (item) => ({
+            value: minutesBetween(item.startTime, item.endTime),
+            unit: 'minutes',
+            metadata: {
+                startTime: item.startTime,
+                endTime: item.endTime,
+                stages: item.stages
+            }
+        }),
+        toItem: (record, metadata) => ({
+            startTime: metadata.startTime,
+            endTime: metadata.endTime,
+            stages: metadata.stages || []
+        })
+    },
+    activity: {
+        name: 'activity',
+        field: 'activityData',
+        fromItem: (item) => ({
+            value: item.duration,
+            unit: 'minutes',
+            metadata: {
+                type: item.type,
+                startTime: item.startTime,
+                endTime: item.endTime,
+                totalDistance: item.totalDistance,
+                totalCalories: item.totalCalories
+            }
+        }),
+        toItem: (record, metadata) => ({
+            type: metadata.type,
+            startTime: metadata.startTime,
+            endTime: metadata.endTime,
+            duration: record.value,
+            totalDistance: metadata.totalDistance,
+            totalCalories: metadata.totalCalories
+        })
+    },
+    workout: {
+        name: 'workout',
+        field: 'workoutData',
+        // Durations are seconds in the batch
+        fromItem: (item) => ({
+            value: item.duration / 60,
+            unit: 'minutes',
+            metadata: {
+                type: item.type,
+                startTime: item.startTime,
+                endTime: item.endTime,
+                totalDistance: item.totalDistance,
+                totalCalories: item.totalCalories,
+                averageHeartRate: item.averageHeartRate,
+                maxHeartRate: item.maxHeartRate,
+                route: item.route
+            }
+        }),
+        toItem: (record, metadata) => ({
+            type: metadata.type,
+            startTime: metadata.startTime,
+            endTime: metadata.endTime,
+            duration: record.unit === 'seconds' ? record.value : Math.round(record.value * 60),
+            totalDistance: metadata.totalDistance,
+            totalCalories: metadata.totalCalories,
+            averageHeartRate: metadata.averageHeartRate,
+            maxHeartRate: metadata.maxHeartRate,
+            route: metadata.route || []
+        })
+    },
+    // The systolic reading is the record's value; both readings are kept in metadata
+    blood_pressure: {
+        name: 'bloodPressure',
+        field: 'bloodPressureData',
+        fromItem: (item) => ({
+            value: item.systolic,
+            unit: 'mmHg',
+            metadata: { systolic: item.systolic, diastolic: item.diastolic }
+        }),
+        toItem: (record, metadata) => ({
+            systolic: metadata.systolic !== undefined ? metadata.systolic : record.value,
+            diastolic: metadata.diastolic !== undefined ? metadata.diastolic : null
+        })
+    },
+    blood_oxygen: {
+        name: 'bloodOxygen',
+        field: 'bloodOxygenData',
+        fromItem: (item) => ({
+            value: item.value,
+            unit: '%'
+        }),
+        toItem: (record) => ({
+            value: record.value
+        })
+    },
+    body_temperature: {
+        name: 'bodyTemperature',
+        field: 'bodyTemperatureData',
+        fromItem: (item) => ({
+            value: item.value,
+            unit: 'celsius'
+        }),
+        toItem: (record) => ({
+            value: record.value
+        })
+    },
+    calories_burned: {
+        name: 'caloriesBurned',
+        field: 'caloriesBurnedData',
+        fromItem: (item) => ({
+            value: item.value,
+            unit: 'kcal',
+            metadata: { duration: item.duration }
+        }),
+        toItem: (record, metadata) => ({
+            value: record.value,
+            duration: metadata.duration !== undefined ? metadata.duration : null
+        })
+    },
+    distance: {
+        name: 'distance',
+        field: 'distanceData',
+        fromItem: (item) => ({
+            value: item.value,
+            unit: 'meters',
+            metadata: { duration: item.duration }
+        }),
+        toItem: (record, metadata) => ({
+            value: record.value,
+            duration: metadata.duration !== undefined ? metadata.duration : null
+        })
+    },
+    floors_climbed: {
+        name: 'floorsClimbed',
+        field: 'floorsClimbedData',
+        fromItem: (item) => ({
+            value: item.count,
+            unit: 'floors'
+        }),
+        toItem: (record) => ({
+            count: record.value
+        })
+    },
+    // A route recorded on its own rather than as part of a workout; the value is the number of
+    // points
+    gps_route: {
+        name: 'gpsRoute',
+        field: 'gpsRouteData',
+        fromItem: (item) => {
+            const coordinates = Array.isArray(item.coordinates) ? item.coordinates : [];
+            return {
+                value: coordinates.length,
+                unit: 'points',
+                metadata: {
+                    startTime: item.startTime,
+                    endTime: item.endTime,
+                    coordinates
+                }
+            };
+        },
+        toItem: (record, metadata) => ({
+            startTime: metadata.startTime,
+            endTime: metadata.endTime,
+            coordinates: metadata.coordinates || []
+        })
+    }
+};
+
+// Flatten a batch into records (without device), in the order of COMPAT_TYPES and then of each
+// type's items. `locations` gives the batch field and item index each record came from.
+function batchToRecords(batch) {
+    const records = [];
+    const locations = [];
+
+    for (const [dataType, compatType] of Object.entries(COMPAT_TYPES)) {
+        const items = batch[compatType.field];
+        if (!Array.isArray(items)) continue;
+
+        items.forEach((item, index) => {
+            locations.push({ field: compatType.field, index });
+            if (!item || typeof item !== 'object') {
+                // Left for validation to reject
+                records.push({ dataType });
+                return;
+            }
+
+            records.push({
+                dataType,
+                timestamp: item.timestamp ? new Date(item.timestamp).getTime() : Date.now(),
+                clientRecordId: item.id,
+                ...compatType.fromItem(item)
+            });
+        });
+    }
+
+    return { records, locations };
+}
+
+// A stored record (health_data row, or a row of the change feed, with its value decrypted) as a
+// batch item. A record whose metadata or value cannot be decrypted is still delivered, without
+// them and flagged undecryptable.
+function recordToItem(record) {
+    const metadata = decryptJsonField(record.metadata);
+    return {
+        id: record.record_uuid,
+        version: record.version,
+        timestamp: new Date(record.timestamp).toISOString(),
+        ...COMPAT_TYPES[record.data_type].toItem(record, metadata.value || {}),
+        ...((metadata.undecryptable || record.valueUndecryptable) && { undecryptable: true })
+    };
+}
+
+// A workoutData item as a workout for /api/v1/workouts' storage (see validateWorkout), which
+// keeps its whole route
+function itemToWorkout(item) {
+    return {
+        clientWorkoutId: item.id,
+        activityType: item.type,
+        startTime: item.startTime,
+        endTime: item.endTime,
+        totalDistance: item.totalDistance,
+        totalCalories: item.totalCalories,
+        route: item.route,
+        metadata: {
+            averageHeartRate: item.averageHeartRate,
+            maxHeartRate: item.maxHeartRate
+        }
+    };
+}
+
+// startTime/endTime may be epoch milliseconds or ISO strings
+function minutesBetween(startTime, endTime) {
+    return (new Date(endTime).getTime() - new Date(startTime).getTime()) / 60000;
+}
+
+// All type names, the default for `types`
+const COMPAT_TYPE_NAMES = Object.values(COMPAT_TYPES).map(compatType => compatType.name);
+
+module.exports = {
+    COMPAT_TYPES,
+    COMPAT_TYPE_NAMES,
+    batchToRecords,
+    recordToItem,
+    itemToWorkout
+};
@@ -0,0 +1,160 @@
+const zlib = require('zlib');
+const { logger } = require('./logger');
+const config = require('../config/config');
+
+// HTTP compression in both directions. Watches upload large JSON batches, so request bodies may
+// be sent gzip, deflate or brotli encoded; the size limit applies to the decompressed body so a
+// small compressed upload cannot expand into an arbitrarily large payload.
+
+const DECOMPRESSORS = {
+    gzip: () => zlib.createGunzip(),
+    'x-gzip': () => zlib.createGunzip(),
+    deflate: () => zlib.createInflate(),
+    br: () => zlib.createBrotliDecompress()
+};
+
+// Response encodings in order of preference
+const COMPRESSORS = {
+    br: (body, callback) => zlib.brotliCompress(body, {
+        params: {
+            [zlib.constants.BROTLI_PARAM_QUALITY]: config.compression.brotliQuality,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: body.length
+        }
+    }, callback),
+    gzip: (body, callback) => zlib.gzip(body, callback),
+    deflate: (body, callback) => zlib.deflate(body, callback)
+};
+
+function httpError(status, type, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.type = type;
+    return error;
+}
+
+// Decode compressed JSON request bodies, leaving everything else to the regular body parsers.
+// Must be mounted before express.json().
+function decompressRequest({ limit = config.server.bodyLimitBytes } = {}) {
+    return (req, res, next) => {
+        const encoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+        if (encoding === 'identity') return next();
+
+        const createDecompressor = DECOMPRESSORS[encoding];
+        if (!createDecompressor) {
+            return next(httpError(415, 'encoding.unsupported', `Unsupported content encoding "${encoding}"`));
+        }
+
+        if (!req.is('application/json')) {
+            return next(httpError(415, 'encoding.unsupported', 'Compressed request bodies must be JSON'));
+        }
+
+        const decompressor = createDecompressor();
+        const chunks = [];
+        let received = 0;
+        let finished = false;
+
+        const finish = (error) => {
+            if (finished) return;
+            finished = true;
+            if (error) {
+                req.unpipe(decompressor);
+                decompressor.destroy();
+                // Drain the rest of the upload so the error response can be delivered
+                req.resume();
+                return next(error);
+            }
+
+            try {
+                const text = Buffer.concat(chunks, received).toString('utf8');
+                req.body = text.length > 0 ? JSON.parse(text) : {};
+            } catch (parseError) {
+                return next(httpError(400, 'entity.parse.failed', 'Request body is not valid JSON'));
+            }
+
+            // Tell the body parsers further down that the body has been read
+            req._body = true;
+            logger.debug(`Decompressed ${encoding} request body: ${req.headers['content-length'] || '?'} -> ${received} bytes`);
+            next();
+        };
+
+        decompressor.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > limit) {
+                return finish(httpError(413, 'entity.too.large', `Decompressed request body exceeds ${limit} bytes`));
+            }
+            chunks.push(chunk);
+        });
+        decompressor.on('end', () => finish());
+        decompressor.on('error', () => finish(httpError(400, 'encoding.corrupt', `Request body is not valid ${encoding} data`)));
+        req.on('error', finish);
+
+        req.pipe(decompressor);
+    };
+}
+
+// Pick the response encoding from an Accept-Encoding header, honouring q-values
+function negotiateEncoding(acceptEncoding) {
+    if (!acceptEncoding) return null;
+
+    const accepted = {};
+    for (const part of acceptEncoding.split(',')) {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        accepted[name] = qParam ? parseFloat(qParam.slice(2)) : 1;
+    }
+
+    let best = null;
+    for (const encoding of Object.keys(COMPRESSORS)) {
+        const quality = encoding in accepted ? accepted[encoding] : (accepted['*'] || 0);
+        if (quality > 0 && (!best || quality > best.quality)) {
+            best = { encoding, quality };
+        }
+    }
+    return best ? best.encoding : null;
+}
+
+// Compress response bodies sent with res.send/res.json when the client accepts it and the body
+// is worth compressing
+function compressResponse({ threshold = config.compression.thresholdBytes } = {}) {
+    return (req, res, next) => {
+        const send = res.send;
+
+        res.send = function (body) {
+            if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+                // Objects come back through here as a JSON string via res.json
+                return send.call(this, body);
+            }
+
+            res.vary('Accept-Encoding');
+            const encoding = negotiateEncoding(req.headers['accept-encoding']);
+            const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8');
+
+            if (!encoding || buffer.length < threshold || req.method === 'HEAD' ||
+                res.get('Content-Encoding') || res.statusCode === 204 || res.statusCode === 304) {
+                return send.call(this, body);
+            }
+
+            if (typeof body === 'string' && !res.get('Content-Type')) {
+                res.type('html');
+            }
+
+            COMPRESSORS[encoding](buffer, (error, compressed) => {
+                if (error) {
+                    logger.warn(`Response compression failed, sending uncompressed: ${error.message}`);
+                    return send.call(this, body);
+                }
+                res.set('Content-Encoding', encoding);
+                send.call(this, compressed);
+            });
+            return this;
+        };
+
+        next();
+    };
+}
+
+module.exports = {
+    decompressRequest,
+    compressResponse,
+    negotiateEncoding
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const config = require('../config/config');
+
+// At-rest encryption (config.encryption), AES-256-GCM throughout. A secret is either a raw
+// 256-bit key ("base64:..." or "hex:...") or a passphrase, which is stretched with scrypt.
+//
+// Stored fields are encrypted one value at a time as enc:v1:<key id>:<iv, tag and ciphertext>,
+// numbers as their decimal text. Values without that prefix are plaintext and read as they are,
+// so a database can hold both while it is being encrypted, re-encrypted under a new key or
+// decrypted. The field keys are loaded by database/encryption.js, which keeps the scrypt salts
+// in the database.
+//
+// Backup files are encrypted whole: a JSON header line (key id, salt and IV), the ciphertext
+// and the 16-byte authentication tag. The header carries everything but the secret, so a
+// backup can be decrypted without the database it came from.
+
+const FIELD_PREFIX = 'enc:v1:';
+const KEY_ID_LENGTH = 16;
+const FILE_FORMAT = 'health-sync-encrypted-file';
+const TAG_BYTES = 16;
+const SCRYPT_OPTIONS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+const scrypt = promisify(crypto.scrypt);
+
+// Field keys by id, and the id new values are encrypted with (null stores plaintext)
+const fieldKeys = { currentId: null, keys: new Map() };
+
+// Parse a configured secret into { key } for a raw key or { passphrase }
+function parseSecret(secret) {
+    const match = /^(base64|hex):(.*)$/.exec(secret);
+    if (!match) {
+        return { passphrase: secret };
+    }
+
+    const key = Buffer.from(match[2], match[1]);
+    if (key.length !== 32) {
+        throw new Error(`Encryption keys must be 32 bytes; a ${match[1]} key decoded to ${key.length}`);
+    }
+    return { key };
+}
+
+// The current secret followed by the previous ones, parsed
+function configuredSecrets() {
+    const current = config.encryption.key ? parseSecret(config.encryption.key) : null;
+    return { current, previous: config.encryption.previousKeys.map(parseSecret) };
+}
+
+function deriveKey(passphrase, salt, options = SCRYPT_OPTIONS) {
+    return scrypt(passphrase, salt, 32, options);
+}
+
+// Short public identifier of a key, stored with everything encrypted under it
+function keyIdOf(key) {
+    return crypto.createHmac('sha256', key).update('health-sync key id').digest('hex').slice(0, KEY_ID_LENGTH);
+}
+
+function isEncryptionEnabled() {
+    return Boolean(config.encryption.key);
+}
+
+function setFieldKeys(keys, currentId) {
+    fieldKeys.keys = keys;
+    fieldKeys.currentId = currentId;
+}
+
+function currentFieldKeyId() {
+    return fieldKeys.currentId;
+}
+
+function hasFieldKey(keyId) {
+    return fieldKeys.keys.has(keyId);
+}
+
+// Encrypt a value for storage under the current key; without one (or for null) it is returned
+// as it is
+function encryptField(text) {
+    if (text === null || text === undefined || !fieldKeys.currentId) {
+        return text;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', fieldKeys.keys.get(fieldKeys.currentId), iv);
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return `${FIELD_PREFIX}${fieldKeys.currentId}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+}
+
+// Decrypt a stored value. Plaintext comes back unchanged; a value encrypted under a key that is
+// not configured throws.
+function decryptField(value) {
+    if (typeof value !== 'string' || !value.startsWith(FIELD_PREFIX)) {
+        return value;
+    }
+
+    const keyId = value.slice(FIELD_PREFIX.length, FIELD_PREFIX.length + KEY_ID_LENGTH);
+    const key = fieldKeys.keys.get(keyId);
+    if (!key) {
+        throw new Error(`Stored data is encrypted with key ${keyId}, which is not configured`);
+    }
+
+    const data = Buffer.from(value.slice(FIELD_PREFIX.length + KEY_ID_LENGTH + 1), 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 12 + TAG_BYTES));
+    return Buffer.concat([decipher.update(data.subarray(12 + TAG_BYTES)), decipher.final()]).toString('utf8');
+}
+
+// Decrypt and parse a stored JSON field, for reads that return many rows at once. A value that
+// cannot be read (its key is no longer configured, or it is damaged) gives undecryptable rather
+// than throwing, so one such row does not fail the rest of a page.
+function decryptJsonField(value) {
+    if (!value) {
+        return { value: null, undecryptable: false };
+    }
+
+    try {
+        return { value: JSON.parse(decryptField(value)), undecryptable: false };
+    } catch (error) {
+        return { value: null, undecryptable: true };
+    }
+}
+
+// Encrypt a number (a measurement or a statistic of measurements) for storage under the current
+// key; without one (or for null) it is returned as it is
+function encryptNumberField(number) {
+    if (number === null || number === undefined || !fieldKeys.currentId) {
+        return number === undefined ? null : number;
+    }
+    return encryptField(String(number));
+}
+
+// Read a stored number, whether plaintext or encrypted. A value encrypted under a key that is not
+// configured throws, so that nothing is computed from a partial series.
+function decryptNumberField(value) {
+    if (value === null || value === undefined || typeof value === 'number') {
+        return value === undefined ? null : value;
+    }
+    return Number(decryptField(value));
+}
+
+// Encrypt a file under the current secret. A passphrase gets a fresh salt per file.
+async function encryptFile(source, target) {
+    const secret = parseSecret(config.encryption.key);
+    const salt = secret.passphrase !== undefined ? crypto.randomBytes(16) : null;
+    const key = salt ? await deriveKey(secret.passphrase, salt) : secret.key;
+    const iv = crypto.randomBytes(12);
+
+    const header = {
+        format: FILE_FORMAT,
+        version: 1,
+        keyId: keyIdOf(key),
+        kdf: salt ? { name: 'scrypt', salt: salt.toString('base64'), N: SCRYPT_OPTIONS.N, r: SCRYPT_OPTIONS.r, p: SCRYPT_OPTIONS.p } : null,
+        iv: iv.toString('base64')
+    };
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    try {
+        await fs.promises.writeFile(target, `${JSON.stringify(header)}\n`);
+        await pipeline(fs.createReadStream(source), cipher, fs.createWriteStream(target, { flags: 'a' }));
+        await fs.promises.appendFile(target, cipher.getAuthTag());
+    } catch (error) {
+        await fs.promises.rm(target, { force: true });
+        throw error;
+    }
+}
+
+// Header of an encrypted file, or null for any other file
+async function readFileHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(4096);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        const end = buffer.subarray(0, bytesRead).indexOf('\n');
+        if (end < 0) return null;
+
+        const header = JSON.parse(buffer.subarray(0, end).toString('utf8'));
+        return header && header.format === FILE_FORMAT ? { ...header, length: end + 1 } : null;
+    } catch (error) {
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+async function isEncryptedFile(filePath) {
+    return (await readFileHeader(filePath)) !== null;
+}
+
+// Decrypt a file written by encryptFile, with whichever configured secret (current or
+// previous) it was encrypted under. A file that fails authentication leaves no output.
+async function decryptFile(source, target) {
+    const header = await readFileHeader(source);
+    if (!header) {
+        throw new Error(`${source} is not an encrypted file`);
+    }
+
+    const { current, previous } = configuredSecrets();
+    let key = null;
+    for (const secret of [current, ...previous].filter(Boolean)) {
+        const candidate = secret.passphrase === undefined
+            ? secret.key
+            : header.kdf && await deriveKey(secret.passphrase, Buffer.from(header.kdf.salt, 'base64'), {
+                ...SCRYPT_OPTIONS, N: header.kdf.N, r: header.kdf.r, p: header.kdf.p
+            });
+        if (candidate && keyIdOf(candidate) === header.keyId) {
+            key = candidate;
+            break;
+        }
+    }
+    if (!key) {
+        throw new Error(`${source} is encrypted with key ${header.keyId}, which is not configured`);
+    }
+
+    const { size } = await fs.promises.stat(source);
+    const handle = await fs.promises.open(source, 'r');
+    const tag = Buffer.alloc(TAG_BYTES);
+    try {
+        await handle.read(tag, 0, TAG_BYTES, size - TAG_BYTES);
+    } finally {
+        await handle.close();
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(header.iv, 'base64'));
+    decipher.setAuthTag(tag);
+    try {
+        await pipeline(
+            fs.createReadStream(source, { start: header.length, end: size - TAG_BYTES - 1 }),
+            decipher,
+            fs.createWriteStream(target)
+        );
+    } catch (error) {
+        await fs.promises.rm(target, { force: true });
+        throw new Error(`Could not decrypt ${source}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    FIELD_PREFIX,
+    KEY_ID_LENGTH,
+    configuredSecrets,
+    deriveKey,
+    keyIdOf,
+    isEncryptionEnabled,
+    setFieldKeys,
+    currentFieldKeyId,
+    hasFieldKey,
+    encryptField,
+    decryptField,
+    decryptJsonField,
+    encryptNumberField,
+    decryptNumberField,
+    encryptFile,
+    decryptFile,
+    isEncryptedFile
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { getDatabase, getRow, isInMemory } = require('../database/init');
+const { countOpenSessions } = require('../database/syncSessions');
+const { getCachedDownloadBacklog } = require('../database/checkpoints');
+const { getMaintenanceStatus } = require('../database/maintenance');
+const { getSchemaVersion } = require('../database/migrations');
+const { listSnapshots } = require('../database/backups');
+const { getBluetoothStatus } = require('../routes/bluetooth');
+const config = require('../config/config');
+
+// Service health checks behind GET /health and GET /api/v1/health. Each check reports a status
+// of 'ok', 'degraded' or 'down' along with what it measured; the server as a whole is as bad as
+// its worst check.
+
+const STATUS_RANK = { ok: 0, degraded: 1, down: 2 };
+
+// How long the database ping may take before the database counts as down
+const DB_PING_TIMEOUT_MS = 5000;
+
+async function checkDatabase() {
+    const started = process.hrtime.bigint();
+    let timer;
+
+    try {
+        getDatabase(); // Throws when the connection is not open
+        await Promise.race([
+            getRow('SELECT 1 as ok'),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`No response within ${DB_PING_TIMEOUT_MS}ms`)), DB_PING_TIMEOUT_MS);
+            })
+        ]);
+
+        const latencyMs = Number(process.hrtime.bigint() - started) / 1e6;
+        const schema = await getSchemaVersion();
+        return {
+            status: latencyMs > config.healthChecks.dbLatencyWarnMs ? 'degraded' : 'ok',
+            latencyMs: Math.round(latencyMs * 100) / 100,
+            schemaVersion: schema.current,
+            latestSchemaVersion: schema.latest
+        };
+    } catch (error) {
+        return { status: 'down', error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Bluetooth is only a fallback transport, so a failure there degrades the server but does not
+// take it down. Being switched off in config is not a problem.
+function checkBluetooth() {
+    const bluetooth = getBluetoothStatus();
+    return {
+        status: bluetooth.state === 'error' ? 'degraded' : 'ok',
+        ...bluetooth
+    };
+}
+
+async function checkSyncSessions() {
+    return { status: 'ok', openSessions: await countOpenSessions() };
+}
+
+// Records each active device has not yet acknowledged from the other devices it syncs with, as
+// last counted by the background job (null counts until it has run once)
+function checkBacklog() {
+    const backlog = getCachedDownloadBacklog();
+    if (!backlog) {
+        return { status: 'ok', countedAt: null, totalPending: null, devices: [] };
+    }
+
+    return {
+        status: 'ok',
+        countedAt: backlog.countedAt,
+        totalPending: backlog.devices.reduce((sum, row) => sum + row.pending, 0),
+        devices: backlog.devices.map(row => ({ deviceId: row.device_id, pending: row.pending }))
+    };
+}
+
+// Free space on the disk holding the database file
+async function checkDisk() {
+    if (isInMemory()) {
+        return { status: 'ok', inMemory: true };
+    }
+
+    const databasePath = config.database.path;
+    const databaseBytes = await fileSize(databasePath);
+
+    // fs.statfs arrived in Node 18.15
+    if (typeof fs.promises.statfs !== 'function') {
+        return { status: 'ok', path: databasePath, databaseBytes, freeBytes: null };
+    }
+
+    const stats = await fs.promises.statfs(path.dirname(databasePath));
+    const freeBytes = stats.bavail * stats.bsize;
+    return {
+        status: freeBytes < config.healthChecks.minFreeDiskBytes ? 'degraded' : 'ok',
+        path: databasePath,
+        databaseBytes,
+        freeBytes,
+        totalBytes: stats.blocks * stats.bsize
+    };
+}
+
+// Scheduled snapshots that have stopped being taken - the newest is more than two intervals old
+async function checkBackups() {
+    if (isInMemory()) {
+        return { status: 'ok', enabled: false, inMemory: true };
+    }
+
+    const { enabled, intervalMs } = config.database.backups;
+    const [newest] = await listSnapshots();
+    const ageMs = newest ? Date.now() - new Date(newest.createdAt).getTime() : null;
+
+    return {
+        status: enabled && (ageMs === null || ageMs > 2 * intervalMs) ? 'degraded' : 'ok',
+        enabled,
+        newestSnapshot: newest ? newest.name : null,
+        newestSnapshotAgeMs: ageMs
+    };
+}
+
+// The latest scheduled integrity check - degraded when it found problems or could not run
+async function checkIntegrity() {
+    const { tasks, lastHealthyCheckAt } = await getMaintenanceStatus();
+    const lastRun = tasks.integrity_check.lastRun;
+
+    return {
+        status: lastRun && lastRun.status !== 'ok' ? 'degraded' : 'ok',
+        lastCheckedAt: lastRun ? lastRun.startedAt : null,
+        lastHealthyCheckAt,
+        problems: lastRun && lastRun.details.problems ? lastRun.details.problems.length : 0
+    };
+}
+
+// Run every check. A check that fails to run reports degraded; the checks that query the
+// database report down along with it.
+async function runHealthChecks() {
+    const database = await checkDatabase();
+    const databaseUp = database.status !== 'down';
+
+    const run = async (check, needsDatabase) => {
+        if (needsDatabase && !databaseUp) {
+            return { status: 'down', error: 'Database unavailable' };
+        }
+        try {
+            return await check();
+        } catch (error) {
+            return { status: 'degraded', error: error.message };
+        }
+    };
+
+    const checks = {
+        database,
+        bluetooth: await run(checkBluetooth, false),
+        sync: await run(checkSyncSessions, true),
+        backlog: await run(checkBacklog, false),
+        integrity: await run(checkIntegrity, true),
+        disk: await run(checkDisk, false),
+        backups: await run(checkBackups, false)
+    };
+
+    const status = Object.values(checks)
+        .map(check => check.status)
+        .reduce((worst, current) => (STATUS_RANK[current] > STATUS_RANK[worst] ? current : worst), 'ok');
+
+    return { status, checks };
+}
+
+async function fileSize(filePath) {
+    try {
+        return (await fs.promises.stat(filePath)).size;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    runHealthChecks
+};
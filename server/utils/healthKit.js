@@ -0,0 +1,162 @@
+// Mapping of HealthKit samples onto our data types. The iPhone uploads samples as HealthKit
+// gives them - type identifier, start/end dates, value and HKUnit string - and each mapped type
+// names the internal data type, its canonical unit and the HKUnit strings it converts from.
+// Identifiers without a mapping are not errors; the caller keeps those samples as they came.
+
+// HKUnit strings accepted per canonical unit, as factors (or functions) converting to it
+const UNIT_CONVERSIONS = {
+    bpm: { 'count/min': 1, 'count/s': 60 },
+    steps: { count: 1 },
+    floors: { count: 1 },
+    kcal: { kcal: 1, Cal: 1, cal: 0.001, kJ: 1 / 4.184, J: 1 / 4184 },
+    meters: { m: 1, km: 1000, cm: 0.01, mi: 1609.344, ft: 0.3048, yd: 0.9144 },
+    // HealthKit percentages are fractions (0.97 for 97%)
+    '%': { '%': 100 },
+    celsius: { degC: 1, degF: (value) => (value - 32) * 5 / 9, K: (value) => value - 273.15 },
+    mmHg: { mmHg: 1, kPa: 7.50062 },
+    minutes: { min: 1, s: 1 / 60, hr: 60 }
+};
+
+const QUANTITY_TYPES = {
+    HKQuantityTypeIdentifierHeartRate: { dataType: 'heart_rate', unit: 'bpm' },
+    HKQuantityTypeIdentifierStepCount: { dataType: 'steps', unit: 'steps' },
+    HKQuantityTypeIdentifierFlightsClimbed: { dataType: 'floors_climbed', unit: 'floors' },
+    HKQuantityTypeIdentifierActiveEnergyBurned: { dataType: 'calories_burned', unit: 'kcal' },
+    HKQuantityTypeIdentifierDistanceWalkingRunning: { dataType: 'distance', unit: 'meters' },
+    HKQuantityTypeIdentifierDistanceCycling: { dataType: 'distance', unit: 'meters' },
+    HKQuantityTypeIdentifierDistanceSwimming: { dataType: 'distance', unit: 'meters' },
+    HKQuantityTypeIdentifierOxygenSaturation: { dataType: 'blood_oxygen', unit: '%' },
+    HKQuantityTypeIdentifierBodyTemperature: { dataType: 'body_temperature', unit: 'celsius' }
+};
+
+// Sleep analysis values, by HKCategoryValueSleepAnalysis raw value
+const SLEEP_STAGES = {
+    0: 'inBed',
+    1: 'asleep',
+    2: 'awake',
+    3: 'core',
+    4: 'deep',
+    5: 'rem'
+};
+
+const BLOOD_PRESSURE = 'HKCorrelationTypeIdentifierBloodPressure';
+const SYSTOLIC = 'HKQuantityTypeIdentifierBloodPressureSystolic';
+const DIASTOLIC = 'HKQuantityTypeIdentifierBloodPressureDiastolic';
+const SLEEP_ANALYSIS = 'HKCategoryTypeIdentifierSleepAnalysis';
+const WORKOUT = 'HKWorkoutTypeIdentifier';
+
+// Identifiers with a mapping, for clients to discover what is understood
+const MAPPED_TYPES = {
+    ...Object.fromEntries(Object.entries(QUANTITY_TYPES).map(([identifier, mapping]) => [
+        identifier,
+        { dataType: mapping.dataType, unit: mapping.unit, acceptedUnits: Object.keys(UNIT_CONVERSIONS[mapping.unit]) }
+    ])),
+    [BLOOD_PRESSURE]: { dataType: 'blood_pressure', unit: 'mmHg', acceptedUnits: Object.keys(UNIT_CONVERSIONS.mmHg) },
+    [SLEEP_ANALYSIS]: { dataType: 'sleep', unit: 'minutes', acceptedUnits: [] },
+    [WORKOUT]: { dataType: 'workout', unit: 'minutes', acceptedUnits: Object.keys(UNIT_CONVERSIONS.minutes) }
+};
+
+function convertUnit(value, fromUnit, canonicalUnit) {
+    const conversion = UNIT_CONVERSIONS[canonicalUnit][fromUnit];
+    if (conversion === undefined) {
+        throw new Error(`Unsupported unit ${fromUnit} (accepted: ${Object.keys(UNIT_CONVERSIONS[canonicalUnit]).join(', ')})`);
+    }
+    const number = Number(value);
+    return typeof conversion === 'function' ? conversion(number) : number * conversion;
+}
+
+// Dates may be ISO 8601 strings or epoch milliseconds
+function toMillis(date) {
+    return new Date(date).getTime();
+}
+
+// Where the sample came from, kept in the record's metadata
+function describeSource(sample) {
+    const revision = sample.sourceRevision || {};
+    const source = revision.source || {};
+    const device = sample.device || {};
+
+    return {
+        hkType: sample.type,
+        startTime: toMillis(sample.startDate),
+        endTime: toMillis(sample.endDate),
+        source: {
+            name: source.name,
+            bundleIdentifier: source.bundleIdentifier,
+            version: revision.version,
+            productType: revision.productType,
+            operatingSystemVersion: revision.operatingSystemVersion
+        },
+        device: {
+            name: device.name,
+            manufacturer: device.manufacturer,
+            model: device.model,
+            hardwareVersion: device.hardwareVersion,
+            softwareVersion: device.softwareVersion
+        },
+        hkMetadata: sample.metadata && typeof sample.metadata === 'object' ? sample.metadata : undefined
+    };
+}
+
+// Map one HealthKit sample. Returns { record } ready for ingestion, { unmapped: true } for an
+// identifier we have no data type for, or { error } when a mapped sample cannot be converted.
+function mapSample(sample) {
+    if (!sample || typeof sample !== 'object' || typeof sample.type !== 'string') {
+        return { error: 'Sample must be an object with a type identifier' };
+    }
+
+    if (!MAPPED_TYPES[sample.type]) {
+        return { unmapped: true };
+    }
+
+    const metadata = describeSource(sample);
+    const record = {
+        dataType: MAPPED_TYPES[sample.type].dataType,
+        timestamp: metadata.startTime,
+        unit: MAPPED_TYPES[sample.type].unit,
+        sourceApp: metadata.source.bundleIdentifier,
+        clientRecordId: sample.uuid,
+        metadata
+    };
+
+    try {
+        if (QUANTITY_TYPES[sample.type]) {
+            record.value = convertUnit(sample.value, sample.unit, record.unit);
+        } else if (sample.type === BLOOD_PRESSURE) {
+            // A correlation holding one systolic and one diastolic sample
+            const objects = Array.isArray(sample.objects) ? sample.objects : [];
+            const systolic = objects.find(object => object && object.type === SYSTOLIC);
+            const diastolic = objects.find(object => object && object.type === DIASTOLIC);
+            if (!systolic || !diastolic) {
+                return { error: 'Blood pressure correlation needs a systolic and a diastolic sample' };
+            }
+            metadata.systolic = convertUnit(systolic.value, systolic.unit, 'mmHg');
+            metadata.diastolic = convertUnit(diastolic.value, diastolic.unit, 'mmHg');
+            record.value = metadata.systolic;
+        } else if (sample.type === SLEEP_ANALYSIS) {
+            // One sample per stage segment; the value is the segment's length
+            metadata.stage = SLEEP_STAGES[sample.value] || 'unknown';
+            record.value = (metadata.endTime - metadata.startTime) / 60000;
+        } else if (sample.type === WORKOUT) {
+            metadata.type = sample.workoutActivityType;
+            metadata.totalCalories = sample.totalEnergyBurned !== undefined
+                ? convertUnit(sample.totalEnergyBurned, sample.totalEnergyBurnedUnit || 'kcal', 'kcal')
+                : undefined;
+            metadata.totalDistance = sample.totalDistance !== undefined
+                ? convertUnit(sample.totalDistance, sample.totalDistanceUnit || 'm', 'meters')
+                : undefined;
+            record.value = sample.duration !== undefined
+                ? convertUnit(sample.duration, sample.durationUnit || 's', 'minutes')
+                : (metadata.endTime - metadata.startTime) / 60000;
+        }
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    return { record };
+}
+
+module.exports = {
+    MAPPED_TYPES,
+    mapSample
+};
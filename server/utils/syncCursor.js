@@ -0,0 +1,73 @@
+// Opaque sync cursors and acknowledgement tokens. A cursor is a position in the server's change sequence plus the filters
+// of the pull it belongs to, so following pages (and later incremental pulls) keep returning
+// the same slice of data in change order.
+
+const CURSOR_VERSION = 1;
+
+function encodeCursor(position) {
+    const payload = {
+        v: CURSOR_VERSION,
+        seq: position.seq,
+        ...(position.filters && Object.keys(position.filters).length > 0 && { f: position.filters })
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Returns { seq, filters } or null when the cursor is malformed or from another version
+function decodeCursor(cursor) {
+    if (typeof cursor !== 'string' || cursor.length === 0 || cursor.length > 2048) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || payload.v !== CURSOR_VERSION || !Number.isInteger(payload.seq) || payload.seq < 0) {
+            return null;
+        }
+        return {
+            seq: payload.seq,
+            filters: payload.f && typeof payload.f === 'object' ? payload.f : {}
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Ack tokens name the consumer and, per source device, the highest change sequence number
+// delivered in a page. Checkpoints only advance when the consumer sends one back.
+function encodeAckToken(consumerDeviceId, positions) {
+    const payload = { v: CURSOR_VERSION, t: 'ack', c: consumerDeviceId, p: positions };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Returns { consumerDeviceId, positions } or null when the token is malformed
+function decodeAckToken(token) {
+    if (typeof token !== 'string' || token.length === 0 || token.length > 8192) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        if (!payload || payload.v !== CURSOR_VERSION || payload.t !== 'ack' ||
+            typeof payload.c !== 'string' || !payload.p || typeof payload.p !== 'object') {
+            return null;
+        }
+
+        const positions = {};
+        for (const [sourceDeviceId, seq] of Object.entries(payload.p)) {
+            if (!Number.isInteger(seq) || seq < 0) return null;
+            positions[sourceDeviceId] = seq;
+        }
+
+        return { consumerDeviceId: payload.c, positions };
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    encodeAckToken,
+    decodeAckToken
+};
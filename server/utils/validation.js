@@ -1,5 +1,17 @@
 const config = require('../config/config');
 
+// How old a record of a data type may be when uploaded: config.healthData.maxRecordAge, or the
+// type's raw retention where that is shorter. Past the raw retention a record's neighbours have
+// been folded into buckets, and with them the keys a re-upload would be recognised as a
+// duplicate by, so it would be stored and counted twice.
+function getMaxRecordAge(dataType) {
+    const retentionPolicy = config.healthData.retention.policies[dataType];
+    if (retentionPolicy && retentionPolicy.rawMs < config.healthData.maxRecordAge) {
+        return retentionPolicy.rawMs;
+    }
+    return config.healthData.maxRecordAge;
+}
+
 // Health data validation functions
 function validateHealthData(dataType, record) {
     try {
@@ -21,12 +33,12 @@ function validateHealthData(dataType, record) {
         }
 
         // Check if timestamp is not too old
-        const maxAge = config.healthData.maxRecordAge;
+        const maxAge = getMaxRecordAge(dataType);
         const now = Date.now();
         if (now - timestamp > maxAge) {
             return {
                 isValid: false,
-                error: `Record too old (max age: ${maxAge}ms)`
+                error: `Record too old for ${dataType} (max age: ${maxAge}ms)`
             };
         }
 
@@ -38,6 +50,17 @@ function validateHealthData(dataType, record) {
             };
         }
 
+        // Client record IDs are optional, but must be usable as a dedup key when present
+        if (record.clientRecordId !== undefined && record.clientRecordId !== null) {
+            if (typeof record.clientRecordId !== 'string' || record.clientRecordId.trim().length === 0 ||
+                record.clientRecordId.length > 128) {
+                return {
+                    isValid: false,
+                    error: 'clientRecordId must be a non-empty string of at most 128 characters'
+                };
+            }
+        }
+
         // Validate value based on data type
         const valueValidation = validateValueByType(dataType, record.value, record.metadata);
         if (!valueValidation.isValid) {
@@ -58,7 +81,7 @@ function validateValueByType(dataType, value, metadata = {}) {
     const numValue = parseFloat(value);
     
     switch (dataType) {
-        case 'heart_rate':
+        case 'heart_rate': {
             const heartRateConfig = config.healthData.validation.heartRate;
             if (isNaN(numValue) || numValue < heartRateConfig.min || numValue > heartRateConfig.max) {
                 return {
@@ -67,8 +90,9 @@ function validateValueByType(dataType, value, metadata = {}) {
                 };
             }
             break;
+        }
 
-        case 'steps':
+        case 'steps': {
             const stepsConfig = config.healthData.validation.steps;
             if (isNaN(numValue) || numValue < stepsConfig.min || numValue > stepsConfig.max) {
                 return {
@@ -77,8 +101,9 @@ function validateValueByType(dataType, value, metadata = {}) {
                 };
             }
             break;
+        }
 
-        case 'blood_pressure':
+        case 'blood_pressure': {
             if (!metadata.systolic || !metadata.diastolic) {
                 return {
                     isValid: false,
@@ -104,8 +129,9 @@ function validateValueByType(dataType, value, metadata = {}) {
                 };
             }
             break;
+        }
 
-        case 'blood_oxygen':
+        case 'blood_oxygen': {
             const oxygenConfig = config.healthData.validation.bloodOxygen;
             if (isNaN(numValue) || numValue < oxygenConfig.min || numValue > oxygenConfig.max) {
                 return {
@@ -114,8 +140,9 @@ function validateValueByType(dataType, value, metadata = {}) {
                 };
             }
             break;
+        }
 
-        case 'body_temperature':
+        case 'body_temperature': {
             const tempConfig = config.healthData.validation.bodyTemperature;
             if (isNaN(numValue) || numValue < tempConfig.min || numValue > tempConfig.max) {
                 return {
@@ -124,6 +151,7 @@ function validateValueByType(dataType, value, metadata = {}) {
                 };
             }
             break;
+        }
 
         case 'sleep':
             // Sleep data should have duration in minutes
@@ -227,7 +255,8 @@ function sanitizeHealthData(dataType, record) {
         timestamp: parseInt(record.timestamp),
         value: parseFloat(record.value),
         unit: sanitizeString(record.unit),
-        sourceApp: sanitizeString(record.sourceApp)
+        sourceApp: sanitizeString(record.sourceApp),
+        clientRecordId: sanitizeString(record.clientRecordId)
     };
 
     // Sanitize metadata
@@ -243,7 +272,7 @@ function sanitizeString(str) {
     
     // Remove any potentially harmful characters
     return str
-        .replace(/[<>\"'&]/g, '') // Remove HTML/XML chars
+        .replace(/[<>"'&]/g, '') // Remove HTML/XML chars
         .trim()
         .substring(0, 255); // Limit length
 }
@@ -275,9 +304,188 @@ function sanitizeMetadata(metadata) {
     return sanitized;
 }
 
+// Workout, lap and route point times may be epoch milliseconds or ISO strings
+function toEpochMs(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') {
+        return /^\d+$/.test(value) ? parseInt(value) : new Date(value).getTime();
+    }
+    return NaN;
+}
+
+function isOptionalAmount(value, max) {
+    if (value === undefined || value === null) return true;
+    const num = parseFloat(value);
+    return !isNaN(num) && num >= 0 && num <= max;
+}
+
+// Validate a workout for /api/v1/workouts: its span, totals, laps (which must fall within it)
+// and route points (which must carry a time within it)
+function validateWorkout(workout) {
+    const { activityType, clientWorkoutId, laps, route } = workout;
+    const workoutConfig = config.workouts;
+
+    if (!activityType || typeof activityType !== 'string' || activityType.length > 100) {
+        return {
+            isValid: false,
+            error: 'activityType must be a string of at most 100 characters'
+        };
+    }
+
+    if (clientWorkoutId !== undefined && clientWorkoutId !== null &&
+        (typeof clientWorkoutId !== 'string' || clientWorkoutId.trim().length === 0 || clientWorkoutId.length > 128)) {
+        return {
+            isValid: false,
+            error: 'clientWorkoutId must be a non-empty string of at most 128 characters'
+        };
+    }
+
+    const startTime = toEpochMs(workout.startTime);
+    const endTime = toEpochMs(workout.endTime);
+    if (isNaN(startTime) || isNaN(endTime) || startTime < 0 || endTime < startTime) {
+        return {
+            isValid: false,
+            error: 'startTime and endTime must be valid times, with endTime not before startTime'
+        };
+    }
+
+    if (endTime - startTime > workoutConfig.maxDurationMs) {
+        return {
+            isValid: false,
+            error: `Workout too long (max duration: ${workoutConfig.maxDurationMs}ms)`
+        };
+    }
+
+    const now = Date.now();
+    if (now - startTime > config.healthData.maxRecordAge) {
+        return {
+            isValid: false,
+            error: `Workout too old (max age: ${config.healthData.maxRecordAge}ms)`
+        };
+    }
+
+    // Allow 5 minutes grace period, as for records
+    if (endTime > now + (5 * 60 * 1000)) {
+        return {
+            isValid: false,
+            error: 'Workout cannot end in the future'
+        };
+    }
+
+    if (!isOptionalAmount(workout.totalDistance, 1000000)) {
+        return {
+            isValid: false,
+            error: 'totalDistance must be between 0 and 1000000 meters'
+        };
+    }
+
+    if (!isOptionalAmount(workout.totalCalories, 10000)) {
+        return {
+            isValid: false,
+            error: 'totalCalories must be between 0 and 10000'
+        };
+    }
+
+    if (laps !== undefined && laps !== null) {
+        if (!Array.isArray(laps) || laps.length > workoutConfig.maxLaps) {
+            return {
+                isValid: false,
+                error: `laps must be an array of at most ${workoutConfig.maxLaps} laps`
+            };
+        }
+
+        for (const [index, lap] of laps.entries()) {
+            const lapStart = lap && toEpochMs(lap.startTime);
+            const lapEnd = lap && toEpochMs(lap.endTime);
+            if (!lap || isNaN(lapStart) || isNaN(lapEnd) || lapEnd < lapStart ||
+                lapStart < startTime || lapEnd > endTime) {
+                return {
+                    isValid: false,
+                    error: `Lap ${index} must have a startTime and endTime within the workout`
+                };
+            }
+
+            if (!isOptionalAmount(lap.distance, 1000000) || !isOptionalAmount(lap.totalCalories, 10000)) {
+                return {
+                    isValid: false,
+                    error: `Lap ${index} has an invalid distance or totalCalories`
+                };
+            }
+        }
+    }
+
+    if (route !== undefined && route !== null) {
+        if (!Array.isArray(route) || route.length > workoutConfig.maxRoutePoints) {
+            return {
+                isValid: false,
+                error: `route must be an array of at most ${workoutConfig.maxRoutePoints} points`
+            };
+        }
+
+        for (const [index, point] of route.entries()) {
+            const timestamp = point && toEpochMs(point.timestamp);
+            if (!validateGPSCoordinate(point) || isNaN(timestamp) || timestamp < startTime || timestamp > endTime) {
+                return {
+                    isValid: false,
+                    error: `Route point ${index} must have valid coordinates and a timestamp within the workout`
+                };
+            }
+
+            if (point.altitude !== undefined && point.altitude !== null && !Number.isFinite(parseFloat(point.altitude))) {
+                return {
+                    isValid: false,
+                    error: `Route point ${index} has an invalid altitude`
+                };
+            }
+        }
+    }
+
+    if (workout.metadata !== undefined && workout.metadata !== null &&
+        (typeof workout.metadata !== 'object' || Array.isArray(workout.metadata))) {
+        return {
+            isValid: false,
+            error: 'metadata must be an object'
+        };
+    }
+
+    return { isValid: true };
+}
+
+// Sanitize a validated workout: times as epoch milliseconds, laps and route points in time order
+function sanitizeWorkout(workout) {
+    const optionalNumber = value => (value === undefined || value === null ? null : parseFloat(value));
+
+    return {
+        clientWorkoutId: sanitizeString(workout.clientWorkoutId),
+        activityType: sanitizeString(workout.activityType),
+        startTime: toEpochMs(workout.startTime),
+        endTime: toEpochMs(workout.endTime),
+        totalDistance: optionalNumber(workout.totalDistance),
+        totalCalories: optionalNumber(workout.totalCalories),
+        sourceApp: sanitizeString(workout.sourceApp),
+        laps: (workout.laps || [])
+            .map(lap => ({
+                startTime: toEpochMs(lap.startTime),
+                endTime: toEpochMs(lap.endTime),
+                distance: optionalNumber(lap.distance),
+                totalCalories: optionalNumber(lap.totalCalories)
+            }))
+            .sort((a, b) => a.startTime - b.startTime),
+        route: (workout.route || [])
+            .map(point => ({
+                timestamp: toEpochMs(point.timestamp),
+                latitude: parseFloat(point.latitude),
+                longitude: parseFloat(point.longitude),
+                altitude: optionalNumber(point.altitude)
+            }))
+            .sort((a, b) => a.timestamp - b.timestamp),
+        metadata: workout.metadata ? sanitizeMetadata(workout.metadata) : null
+    };
+}
+
 // Validate device registration data
 function validateDeviceRegistration(deviceData) {
-    const { deviceId, deviceName, deviceType } = deviceData;
+    const { deviceId, deviceName, deviceType, userId } = deviceData;
     
     if (!deviceId || typeof deviceId !== 'string' || deviceId.length < 1 || deviceId.length > 100) {
         return {
@@ -300,6 +508,42 @@ function validateDeviceRegistration(deviceData) {
         };
     }
     
+    if (userId !== undefined && (typeof userId !== 'string' || userId.length < 1 || userId.length > 100)) {
+        return {
+            isValid: false,
+            error: 'User ID must be a string between 1 and 100 characters'
+        };
+    }
+    
+    return { isValid: true };
+}
+
+// Validate a source priority rule for one data type
+function validateSourcePriorityRule(rule) {
+    const { dataType, priority, bucketMs } = rule;
+    
+    if (!config.healthData.supportedTypes.includes(dataType)) {
+        return {
+            isValid: false,
+            error: `Unsupported data type: ${dataType}`
+        };
+    }
+    
+    if (!Array.isArray(priority) || priority.length === 0 ||
+        !priority.every(entry => typeof entry === 'string' && entry.length >= 1 && entry.length <= 100)) {
+        return {
+            isValid: false,
+            error: 'Priority must be a non-empty array of device IDs or device types'
+        };
+    }
+    
+    if (bucketMs !== undefined && (!Number.isInteger(bucketMs) || bucketMs < 60 * 1000 || bucketMs > 24 * 60 * 60 * 1000)) {
+        return {
+            isValid: false,
+            error: 'bucketMs must be a whole number of milliseconds between one minute and one day'
+        };
+    }
+    
     return { isValid: true };
 }
 
@@ -351,12 +595,16 @@ function validateSyncParams(params) {
 }
 
 module.exports = {
+    getMaxRecordAge,
     validateHealthData,
     validateValueByType,
     validateGPSCoordinate,
     sanitizeHealthData,
     sanitizeString,
     sanitizeMetadata,
+    validateWorkout,
+    sanitizeWorkout,
     validateDeviceRegistration,
+    validateSourcePriorityRule,
     validateSyncParams
 };
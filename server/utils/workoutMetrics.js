@@ -0,0 +1,144 @@
+const config = require('../config/config');
+
+// Distance, pace, elevation and splits of a workout, computed from its route points (each
+// { timestamp, latitude, longitude, altitude }, in time order). Distances are meters, paces
+// seconds per kilometer.
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Great-circle (haversine) distance between two points
+function distanceBetween(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Running totals along the route: the distance covered and the climbing done up to each
+// point. Climbing ignores altitude changes smaller than noiseMeters - altitude counts once it
+// has moved that far from the level it last settled at.
+function routeProgress(points, noiseMeters = config.workouts.elevationNoiseMeters) {
+    const progress = [];
+    let distance = 0;
+    let gain = 0;
+    let level = null;
+
+    points.forEach((point, index) => {
+        if (index > 0) {
+            distance += distanceBetween(points[index - 1], point);
+        }
+
+        if (point.altitude !== null && point.altitude !== undefined) {
+            if (level === null || point.altitude <= level - noiseMeters) {
+                level = point.altitude;
+            } else if (point.altitude >= level + noiseMeters) {
+                gain += point.altitude - level;
+                level = point.altitude;
+            }
+        }
+
+        progress.push({ distance, gain });
+    });
+
+    return progress;
+}
+
+// Total distance and climbing of a route (null for a route too short to measure, or with no
+// altitudes)
+function measureRoute(points) {
+    if (points.length < 2) {
+        return { distance: null, elevationGain: null };
+    }
+
+    const last = routeProgress(points)[points.length - 1];
+    const hasAltitude = points.some(point => point.altitude !== null && point.altitude !== undefined);
+    return {
+        distance: round(last.distance),
+        elevationGain: hasAltitude ? round(last.gain) : null
+    };
+}
+
+function paceSecondsPerKm(durationMs, distance) {
+    // Milliseconds per meter is seconds per kilometer
+    return distance > 0 ? round(durationMs / distance) : null;
+}
+
+function averageSpeed(durationMs, distance) {
+    return durationMs > 0 && distance !== null ? round(distance / (durationMs / 1000), 2) : null;
+}
+
+// The route cut into splits of splitMeters each (the last one shorter when the route does not
+// end on a boundary). The time a boundary was crossed is interpolated between the points
+// either side of it.
+function computeSplits(points, splitMeters = config.workouts.splitDistanceMeters) {
+    const splits = [];
+    if (points.length < 2) return splits;
+
+    const progress = routeProgress(points);
+    let start = { time: points[0].timestamp, distance: 0, gain: 0 };
+
+    const closeSplit = (end) => {
+        const distance = end.distance - start.distance;
+        const durationMs = end.time - start.time;
+        splits.push({
+            split: splits.length + 1,
+            distance: round(distance),
+            durationSeconds: round(durationMs / 1000),
+            paceSecondsPerKm: paceSecondsPerKm(durationMs, distance),
+            elevationGain: round(end.gain - start.gain)
+        });
+        start = end;
+    };
+
+    for (let i = 1; i < points.length; i++) {
+        const before = progress[i - 1];
+        const after = progress[i];
+        const stepDistance = after.distance - before.distance;
+
+        while (stepDistance > 0 && start.distance + splitMeters <= after.distance) {
+            const boundary = start.distance + splitMeters;
+            const fraction = (boundary - before.distance) / stepDistance;
+            closeSplit({
+                time: points[i - 1].timestamp + fraction * (points[i].timestamp - points[i - 1].timestamp),
+                distance: boundary,
+                gain: before.gain + fraction * (after.gain - before.gain)
+            });
+        }
+    }
+
+    const end = progress[progress.length - 1];
+    // A remainder under a meter is rounding, not a split
+    if (end.distance - start.distance >= 1) {
+        closeSplit({ time: points[points.length - 1].timestamp, distance: end.distance, gain: end.gain });
+    }
+
+    return splits;
+}
+
+// A lap's duration, distance and pace. Its distance is the one reported for it, or else the
+// length of the route points recorded during it.
+function measureLap(lap, points) {
+    const durationMs = lap.endTime - lap.startTime;
+    const lapPoints = points.filter(point => point.timestamp >= lap.startTime && point.timestamp <= lap.endTime);
+    const distance = lap.distance !== null ? lap.distance : measureRoute(lapPoints).distance;
+
+    return {
+        durationSeconds: round(durationMs / 1000),
+        distance,
+        paceSecondsPerKm: distance !== null ? paceSecondsPerKm(durationMs, distance) : null
+    };
+}
+
+module.exports = {
+    distanceBetween,
+    measureRoute,
+    paceSecondsPerKm,
+    averageSpeed,
+    computeSplits,
+    measureLap
+};
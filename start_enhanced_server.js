@@ -6,7 +6,6 @@
  * Simple starter script for the enhanced server with proper error handling
  */
 
-const path = require('path');
 const { logger } = require('./server/utils/logger');
 
 // ASCII art banner
@@ -0,0 +1,3 @@
+const { defineCompatRoundTripTests } = require('./compatRoundTrip');
+
+defineCompatRoundTripTests();
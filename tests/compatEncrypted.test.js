@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { defineCompatRoundTripTests } = require('./compatRoundTrip');
+
+// The same round trip with values, metadata and routes encrypted at rest
+defineCompatRoundTripTests({ env: { ENCRYPTION_KEY: 'compat round trip test passphrase' } });
+
+test('the uploaded values and metadata are stored encrypted', async () => {
+    const { getRows } = require('../server/database/init');
+    const rows = await getRows('SELECT data_type, value, metadata FROM health_data');
+    assert.strictEqual(rows.length, 12);
+    for (const row of rows) {
+        assert.match(row.value, /^enc:v1:/, row.data_type);
+        if (row.metadata !== null) assert.match(row.metadata, /^enc:v1:/, row.data_type);
+    }
+});
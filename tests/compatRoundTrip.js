@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { compatItems } = require('./fixtures/compatBatch');
+
+// Tests that every type of the iOS compatibility batch format survives the trip through the
+// server: uploaded by one iPhone, downloaded by another. Shared by the test files that run them
+// with and without encryption; `env` is passed to startServer.
+function defineCompatRoundTripTests({ env = {} } = {}) {
+    const items = compatItems();
+    let api;
+    let stop;
+    let downloaded;
+
+    before(async () => {
+        ({ api, stop } = await startServer({ env }));
+
+        const uploaded = await api('POST', '/api/v1/data', {
+            id: 'batch-1',
+            timestamp: new Date().toISOString(),
+            ...items
+        }, { 'X-Device-ID': 'iphone-a', 'X-Device-Type': 'ios' });
+        assert.strictEqual(uploaded.status, 200, JSON.stringify(uploaded.body));
+        assert.deepStrictEqual(uploaded.body.rejected || [], []);
+
+        const since = encodeURIComponent(new Date(0).toISOString());
+        const response = await api('GET', `/api/v1/data?since=${since}`, undefined, {
+            'X-Device-ID': 'iphone-b'
+        });
+        assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+        downloaded = response.body;
+    });
+
+    after(() => stop());
+
+    test('the fixture covers every compatibility type', () => {
+        const { COMPAT_TYPES } = require('../server/utils/compatBatch');
+        const fields = Object.values(COMPAT_TYPES).map(compatType => compatType.field);
+        assert.deepStrictEqual(Object.keys(items).sort(), fields.sort());
+    });
+
+    for (const [field, [sent]] of Object.entries(items)) {
+        test(`${field} items come back as they were sent`, () => {
+            assert.strictEqual(downloaded[field].length, 1, JSON.stringify(downloaded[field]));
+            const { id, version, ...received } = downloaded[field][0];
+            assert.ok(id);
+            assert.strictEqual(version, 1);
+            assert.deepStrictEqual(received, sent);
+        });
+    }
+
+    test('the uploading iPhone does not get its own items back', async () => {
+        const since = encodeURIComponent(new Date(0).toISOString());
+        const response = await api('GET', `/api/v1/data?since=${since}`, undefined, {
+            'X-Device-ID': 'iphone-a'
+        });
+        for (const field of Object.keys(items)) {
+            assert.deepStrictEqual(response.body[field], [], field);
+        }
+    });
+}
+
+module.exports = {
+    defineCompatRoundTripTests
+};
@@ -0,0 +1,76 @@
+-- The schema of the first release, before schema versioning (PRAGMA user_version 0).
+-- migrations.test.js builds a database from it to test upgrading deployed databases.
+
+CREATE TABLE IF NOT EXISTS devices (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('wearos', 'ios')),
+    last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_sync_timestamp BIGINT DEFAULT 0,
+    is_active BOOLEAN DEFAULT 1,
+    metadata JSON,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS health_data (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    data_type TEXT NOT NULL,
+    timestamp BIGINT NOT NULL,
+    value REAL,
+    unit TEXT,
+    metadata JSON,
+    source_app TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS sync_sessions (
+    id TEXT PRIMARY KEY,
+    device_id TEXT NOT NULL,
+    sync_type TEXT NOT NULL CHECK (sync_type IN ('http', 'bluetooth')),
+    status TEXT NOT NULL CHECK (status IN ('started', 'completed', 'failed')),
+    records_synced INTEGER DEFAULT 0,
+    start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+    end_time DATETIME,
+    error_message TEXT,
+    metadata JSON,
+    FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS bluetooth_sessions (
+    id TEXT PRIMARY KEY,
+    device_id TEXT,
+    device_address TEXT,
+    connection_status TEXT CHECK (connection_status IN ('connecting', 'connected', 'disconnected', 'failed')),
+    start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+    end_time DATETIME,
+    data_transferred INTEGER DEFAULT 0,
+    error_message TEXT,
+    metadata JSON
+);
+
+CREATE TABLE IF NOT EXISTS device_settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    setting_type TEXT NOT NULL,
+    setting_value TEXT NOT NULL,
+    updated_at BIGINT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE,
+    UNIQUE(device_id, setting_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_health_data_device_timestamp ON health_data (device_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_health_data_type_timestamp ON health_data (data_type, timestamp);
+CREATE INDEX IF NOT EXISTS idx_devices_last_sync ON devices (last_sync_timestamp);
+CREATE INDEX IF NOT EXISTS idx_sync_sessions_device_time ON sync_sessions (device_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_bluetooth_sessions_device ON bluetooth_sessions (device_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_device_settings_device_type ON device_settings (device_id, setting_type);
+
+CREATE TRIGGER IF NOT EXISTS update_devices_timestamp
+AFTER UPDATE ON devices
+BEGIN
+    UPDATE devices SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
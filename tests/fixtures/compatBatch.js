@@ -0,0 +1,56 @@
+// One item of every type of the iOS compatibility batch format (see server/utils/compatBatch.js),
+// as a client would send it, in the hours before `now`. GET /api/v1/data should hand each item
+// back unchanged, with its id and version added.
+function compatItems(now = Date.now()) {
+    const at = (minutesAgo) => new Date(now - minutesAgo * 60 * 1000).toISOString();
+    const route = [
+        { latitude: 51.5007, longitude: -0.1246, altitude: 12, timestamp: at(65) },
+        { latitude: 51.5033, longitude: -0.1196, altitude: 14, timestamp: at(60) }
+    ];
+
+    return {
+        heartRateData: [{ timestamp: at(10), value: 72, confidence: 0.95 }],
+        stepCountData: [{ timestamp: at(20), count: 1200, duration: 600 }],
+        sleepData: [{
+            timestamp: at(600),
+            startTime: at(600),
+            endTime: at(240),
+            stages: [
+                { stage: 'deep', startTime: at(600), endTime: at(420) },
+                { stage: 'rem', startTime: at(420), endTime: at(240) }
+            ]
+        }],
+        activityData: [{
+            timestamp: at(120),
+            type: 'walking',
+            startTime: at(120),
+            endTime: at(90),
+            duration: 30,
+            totalDistance: 2400,
+            totalCalories: 110
+        }],
+        workoutData: [{
+            timestamp: at(70),
+            type: 'running',
+            startTime: at(70),
+            endTime: at(40),
+            duration: 1800,
+            totalDistance: 5000,
+            totalCalories: 320,
+            averageHeartRate: 148,
+            maxHeartRate: 171,
+            route
+        }],
+        bloodPressureData: [{ timestamp: at(30), systolic: 118, diastolic: 76 }],
+        bloodOxygenData: [{ timestamp: at(31), value: 98 }],
+        bodyTemperatureData: [{ timestamp: at(32), value: 36.8 }],
+        caloriesBurnedData: [{ timestamp: at(33), value: 85, duration: 900 }],
+        distanceData: [{ timestamp: at(34), value: 1500, duration: 900 }],
+        floorsClimbedData: [{ timestamp: at(35), count: 4 }],
+        gpsRouteData: [{ timestamp: at(65), startTime: at(65), endTime: at(60), coordinates: route }]
+    };
+}
+
+module.exports = {
+    compatItems
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+// node --test runs each test file in its own process, so each file starts one server on a
+// database in a fresh temporary directory. The configuration is read when the server modules
+// are first loaded, which is why startServer sets the environment before requiring them.
+
+function makeTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'health-sync-test-'));
+}
+
+// Start the server on an ephemeral port. `dbPath` opens an existing database instead of a new
+// one; `env` adds environment variables (ENCRYPTION_KEY, ...). Returns the server, an `api`
+// helper and `stop`, which also closes the database and removes the temporary directory.
+async function startServer({ dbPath, env = {} } = {}) {
+    if (require.cache[require.resolve('../server/config/config')]) {
+        throw new Error('The server configuration was loaded before startServer set the environment');
+    }
+
+    const dir = dbPath ? path.dirname(dbPath) : makeTempDir();
+    Object.assign(process.env, {
+        DB_PATH: dbPath || path.join(dir, 'health_sync.db'),
+        PORT: '0',
+        HOST: '127.0.0.1',
+        LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+        ...env
+    });
+
+    const GalaxyWatchSyncServer = require('../server/app_enhanced');
+    const { closeDatabase } = require('../server/database/init');
+    const config = require('../server/config/config');
+
+    // Scheduled snapshots and maintenance start at startup and would still be running when a
+    // short test file closes the database
+    config.database.backups.enabled = false;
+    config.database.maintenance.enabled = false;
+
+    const server = new GalaxyWatchSyncServer();
+    await server.start();
+    if (!server.server.listening) {
+        await once(server.server, 'listening');
+    }
+    const base = `http://127.0.0.1:${server.server.address().port}`;
+
+    // Send a request and return { status, body }, with the body parsed when it is JSON
+    async function api(method, url, body, headers = {}) {
+        const response = await fetch(base + url, {
+            method,
+            headers: { 'content-type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        try {
+            return { status: response.status, body: JSON.parse(text) };
+        } catch (error) {
+            return { status: response.status, body: text };
+        }
+    }
+
+    async function stop() {
+        await server.stop();
+        await closeDatabase();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    return { server, api, stop, dir };
+}
+
+module.exports = {
+    makeTempDir,
+    startServer
+};
@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { makeTempDir, startServer } = require('./helpers');
+
+// A database as the first release left it: the baseline schema, no schema version, and records
+// without the columns (record UUIDs, change sequence numbers, ...) added since
+const HOUR = 60 * 60 * 1000;
+const UUID_V4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+const start = Math.floor(Date.now() / HOUR) * HOUR - 48 * HOUR;
+
+let api;
+let stop;
+let dir;
+
+function buildBaselineDatabase(dbPath) {
+    const db = new sqlite3.Database(dbPath);
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+    });
+    const schema = fs.readFileSync(path.join(__dirname, 'fixtures', 'baseline-schema.sql'), 'utf8');
+
+    return new Promise((resolve, reject) => {
+        db.exec(schema, async (err) => {
+            if (err) return reject(err);
+            try {
+                await run("INSERT INTO devices (id, name, type) VALUES ('watch-1', 'Watch', 'wearos')");
+                await run("INSERT INTO devices (id, name, type) VALUES ('phone-1', 'iPhone', 'ios')");
+                const insertRecord = `
+                    INSERT INTO health_data (device_id, data_type, timestamp, value, unit, metadata)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `;
+                for (let i = 0; i < 6; i++) {
+                    await run(insertRecord, ['watch-1', 'steps', start + i * 10 * 60 * 1000, 100 * (i + 1), 'steps', null]);
+                }
+                await run(insertRecord, ['watch-1', 'heart_rate', start, 72, 'bpm', JSON.stringify({ confidence: 0.9 })]);
+                // Sleep from the compatibility API was stored in milliseconds
+                await run(insertRecord, ['phone-1', 'sleep', start + 2 * HOUR, 6 * HOUR, 'milliseconds', null]);
+                await run(`
+                    INSERT INTO sync_sessions (id, device_id, sync_type, status, records_synced, end_time)
+                    VALUES ('session-1', 'watch-1', 'http', 'completed', 7, CURRENT_TIMESTAMP)
+                `);
+                db.close((closeErr) => (closeErr ? reject(closeErr) : resolve()));
+            } catch (insertErr) {
+                reject(insertErr);
+            }
+        });
+    });
+}
+
+before(async () => {
+    dir = makeTempDir();
+    const dbPath = path.join(dir, 'health_sync.db');
+    await buildBaselineDatabase(dbPath);
+    ({ api, stop } = await startServer({ dbPath }));
+});
+
+after(() => stop());
+
+test('the baseline database is migrated to the latest schema version', async () => {
+    const { getSchemaVersion } = require('../server/database/migrations');
+    const version = await getSchemaVersion();
+    assert.strictEqual(version.current, version.latest);
+});
+
+test('the database is copied before it is migrated', () => {
+    const backups = fs.readdirSync(path.join(dir, 'backups'));
+    assert.ok(backups.some(name => /^health_sync-v0-.*\.db$/.test(name)), backups.join(', '));
+});
+
+test('existing records keep their values and get the columns added since', async () => {
+    const listed = await api('GET', '/api/v1/health-data?deviceId=watch-1&dataType=steps&limit=100');
+    assert.strictEqual(listed.status, 200, JSON.stringify(listed.body));
+    const values = listed.body.data.map(record => record.value).sort((a, b) => a - b);
+    assert.deepStrictEqual(values, [100, 200, 300, 400, 500, 600]);
+    for (const record of listed.body.data) {
+        assert.match(record.record_uuid, UUID_V4);
+        assert.strictEqual(record.version, 1);
+    }
+
+    const status = await api('GET', '/api/v1/sync/status/watch-1');
+    assert.strictEqual(status.body.device.userId, 'default');
+});
+
+test('sleep stored in milliseconds is converted to minutes', async () => {
+    const listed = await api('GET', '/api/v1/health-data?deviceId=phone-1&dataType=sleep');
+    assert.strictEqual(listed.body.data.length, 1);
+    assert.strictEqual(listed.body.data[0].value, 360);
+    assert.strictEqual(listed.body.data[0].unit, 'minutes');
+});
+
+test('rollups are built for the existing records', async () => {
+    const summary = await api('GET', '/api/v1/analytics/summary/watch-1?timeframe=7d&view=device');
+    assert.strictEqual(summary.status, 200, JSON.stringify(summary.body));
+    assert.strictEqual(summary.body.summary.steps.total, 2100);
+    assert.strictEqual(summary.body.summary.heartRate.average, 72);
+});
+
+test('existing records are in the other devices\' sync feeds', async () => {
+    const feed = await api('GET', '/api/v1/sync/data/phone-1');
+    assert.strictEqual(feed.status, 200, JSON.stringify(feed.body));
+    assert.strictEqual(feed.body.data.length, 7);
+    assert.ok(feed.body.data.every(record => record.device_id === 'watch-1'));
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let api;
+let stop;
+
+before(async () => {
+    ({ api, stop } = await startServer());
+    const registered = await api('POST', '/api/v1/sync/register', {
+        deviceId: 'watch-1',
+        deviceName: 'Watch',
+        deviceType: 'wearos'
+    });
+    assert.strictEqual(registered.status, 201);
+});
+
+after(() => stop());
+
+// `count` heart rate records starting at `start`, one per second
+function heartRateRecords(start, count) {
+    return Array.from({ length: count }, (_, i) => ({
+        timestamp: start + i * 1000,
+        value: 60 + (i % 40)
+    }));
+}
+
+async function openUpload() {
+    const opened = await api('POST', '/api/v1/sync/uploads', { deviceId: 'watch-1', dataType: 'heart_rate' });
+    assert.strictEqual(opened.status, 201, JSON.stringify(opened.body));
+    return opened.body.sessionId;
+}
+
+async function putChunk(sessionId, index, records) {
+    return api('PUT', `/api/v1/sync/uploads/${sessionId}/chunks/${index}`, { records });
+}
+
+test('a commit stores every chunk once and closes the session', async () => {
+    const sessionId = await openUpload();
+    const start = Date.now() - 6 * 60 * 60 * 1000;
+    for (let index = 0; index < 3; index++) {
+        const stored = await putChunk(sessionId, index, heartRateRecords(start + index * 100000, 50));
+        assert.strictEqual(stored.status, 201);
+    }
+    // A resent chunk replaces the first copy
+    const resent = await putChunk(sessionId, 1, heartRateRecords(start + 100000, 50));
+    assert.strictEqual(resent.status, 200);
+
+    const committed = await api('POST', `/api/v1/sync/uploads/${sessionId}/commit`, {});
+    assert.strictEqual(committed.status, 200, JSON.stringify(committed.body));
+    assert.strictEqual(committed.body.recordsSynced, 150);
+
+    const again = await api('POST', `/api/v1/sync/uploads/${sessionId}/commit`, {});
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.alreadyCommitted, true);
+
+    const late = await putChunk(sessionId, 3, heartRateRecords(start, 1));
+    assert.strictEqual(late.status, 409);
+});
+
+test('chunks, aborts and commits racing a commit are either part of it or refused', async () => {
+    const sessionId = await openUpload();
+    const start = Date.now() - 5 * 60 * 60 * 1000;
+    for (let index = 0; index < 10; index++) {
+        const stored = await putChunk(sessionId, index, heartRateRecords(start + index * 1000000, 1000));
+        assert.strictEqual(stored.status, 201);
+    }
+
+    const commit = api('POST', `/api/v1/sync/uploads/${sessionId}/commit`, {});
+    const [late, abort, second] = await Promise.all([
+        putChunk(sessionId, 10, heartRateRecords(start + 10 * 1000000, 1)),
+        api('DELETE', `/api/v1/sync/uploads/${sessionId}`),
+        api('POST', `/api/v1/sync/uploads/${sessionId}/commit`, {})
+    ]);
+    const committed = await commit;
+
+    // The abort and the second commit were refused or found the upload already committed;
+    // either way the first commit stored the upload
+    assert.notStrictEqual(abort.status, 200, JSON.stringify(abort.body));
+    assert.ok(second.status === 409 || second.body.alreadyCommitted, JSON.stringify(second.body));
+    assert.strictEqual(committed.status, 200, JSON.stringify(committed.body));
+
+    // The late chunk is in the upload only if it was accepted
+    const lateAccepted = late.status === 201;
+    if (!lateAccepted) assert.strictEqual(late.status, 409, JSON.stringify(late.body));
+    assert.strictEqual(committed.body.recordsSynced, lateAccepted ? 10001 : 10000);
+});
+
+test('a session being committed takes no chunks and a rejected commit reopens it', async () => {
+    const { beginCommit, storeChunk, abandonCommit } = require('../server/database/uploadSessions');
+    const sessionId = await openUpload();
+    const start = Date.now() - 4 * 60 * 60 * 1000;
+
+    assert.strictEqual((await putChunk(sessionId, 0, heartRateRecords(start, 10))).status, 201);
+    assert.strictEqual(await beginCommit(sessionId), true);
+    assert.strictEqual(await storeChunk(sessionId, 1, heartRateRecords(start + 60000, 10)), null);
+    assert.strictEqual(await beginCommit(sessionId), false);
+    await abandonCommit(sessionId);
+
+    // A record the server refuses fails the whole commit and stores nothing
+    assert.strictEqual((await putChunk(sessionId, 1, [{ timestamp: start, value: 999 }])).status, 201);
+    const rejected = await api('POST', `/api/v1/sync/uploads/${sessionId}/commit`, {});
+    assert.strictEqual(rejected.status, 422, JSON.stringify(rejected.body));
+    assert.strictEqual(rejected.body.errors[0].index, 10);
+
+    // The session is open again, so the bad chunk can be replaced and the commit retried
+    assert.strictEqual((await putChunk(sessionId, 1, heartRateRecords(start + 60000, 10))).status, 200);
+    const committed = await api('POST', `/api/v1/sync/uploads/${sessionId}/commit`, {});
+    assert.strictEqual(committed.status, 200, JSON.stringify(committed.body));
+    assert.strictEqual(committed.body.recordsSynced, 20);
+});